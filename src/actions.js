@@ -0,0 +1,129 @@
+/* eslint-disable max-len */
+import objectPath from 'object-path';
+import {LOOP_MARKER, bindLoopMarkers} from './conditions.js';
+
+/**
+ * Rule actions, run by applyRules for every matched context of a rule, on a copy of the document:
+ *   { type: 'set', path: 'orders[].status', value: 'blocked' }
+ *   { type: 'set', path: 'country', valueRef: '_context.defaultCountry' }
+ *   { type: 'unset', path: 'orders[].discount' }
+ *   { type: 'push', path: 'tags', value: 'reviewed' }
+ *   { type: 'emit', event: 'order_blocked', payloadRef: 'orders[].id' }
+ *
+ * Arrays in 'path', 'valueRef' and 'payloadRef' are bound to the loops of the rule's conditions,
+ * so 'orders[]' is the order of the matched context.
+ */
+
+export const ACTION_TYPES = ['set', 'unset', 'push', 'emit'];
+
+/**
+ * Checks the actions of a rule and binds their arrays to the rule's loops.
+ * @param {any} actions The actions of the rule.
+ * @param {Array<object>} loops The sorted and renumbered loops of the rule.
+ * @return {Array<object>} The actions, with '[]' and '[variable]' replaced by '[@n]'.
+ */
+export function compileActions(actions, loops) {
+  if (!Array.isArray(actions)) throw new Error('The actions of a rule must be an array.');
+  return actions.map((action, index) => {
+    validateAction(action, index);
+    return bindActionPaths(action, loops);
+  });
+}
+
+/**
+ * Binds the arrays of the paths of an action to the rule's loops.
+ * @param {object} action A valid action.
+ * @param {Array<object>} loops The loops of the rule.
+ * @return {object} A copy of the action, with '[]' and '[variable]' replaced by '[@n]'.
+ * @throws {Error} When a path uses an array that the conditions do not iterate.
+ */
+export function bindActionPaths(action, loops) {
+  const bound = {...action};
+  ['path', 'valueRef', 'payloadRef'].forEach((field) => {
+    if (typeof action[field] === 'string') bound[field] = bindLoops(action[field], loops);
+  });
+  return bound;
+}
+
+/**
+ * Tells whether a compiled action refers to array elements of the matched context.
+ * @param {object} action The compiled action.
+ * @return {boolean} True when its path, valueRef or payloadRef has a '[@n]' marker.
+ */
+export function usesContextElements(action) {
+  return ['path', 'valueRef', 'payloadRef'].some((field) => typeof action[field] === 'string' && action[field].includes('[@'));
+}
+
+/**
+ * Checks the type and the fields of an action.
+ * @param {any} action The action.
+ * @param {number} index The index of the action in the rule's actions.
+ * @throws {Error} When the action is invalid.
+ */
+export function validateAction(action, index) {
+  if (!action || typeof action !== 'object' || !ACTION_TYPES.includes(action.type)) {
+    throw new Error(`Invalid action at index ${index}. The type must be one of: ${ACTION_TYPES.join(', ')}.`);
+  }
+  if (action.type === 'emit' ? typeof action.event !== 'string' : typeof action.path !== 'string') {
+    throw new Error(`Action [${action.type}] at index ${index} requires ${action.type === 'emit' ? 'an event name' : 'a path'}.`);
+  }
+  if (['set', 'push'].includes(action.type) && (action.value === undefined) === (action.valueRef === undefined)) {
+    throw new Error(`Action [${action.type}] at index ${index} requires exactly one of value and valueRef.`);
+  }
+}
+
+/**
+ * Binds the arrays of an action path to the rule's loops.
+ * @param {string} path The path, e.g. 'orders[].items[].status'.
+ * @param {Array<object>} loops The loops of the rule.
+ * @return {string} The path with '[@n]' markers.
+ */
+function bindLoops(path, loops) {
+  const bound = bindLoopMarkers(path, loops);
+  if (LOOP_MARKER.test(bound)) {
+    throw new Error(`Action path [${path}] uses an array that is not iterated by the conditions.`);
+  }
+  return bound;
+}
+
+/**
+ * Runs the actions of a rule for one matched context.
+ * @param {Array<object>} actions The compiled actions.
+ * @param {object} target The document being transformed.
+ * @param {object} helpers { rule, resolvePath: (path) => string, readValue: (path) => any, changes: Array, events: Array }
+ */
+export function runActions(actions, target, {rule, resolvePath, readValue, changes, events}) {
+  actions.forEach((action) => {
+    if (action.type === 'emit') {
+      const payload = copyValue(action.payloadRef !== undefined ? readValue(action.payloadRef) : action.payload);
+      events.push({event: action.event, ruleId: rule.id, payload});
+      return;
+    }
+    const path = resolvePath(action.path);
+    const previousValue = objectPath.get(target, path);
+    const value = copyValue(action.valueRef !== undefined ? readValue(action.valueRef) : action.value);
+    if (action.type === 'set') {
+      objectPath.set(target, path, value);
+      changes.push({ruleId: rule.id, action: 'set', path, previousValue, value});
+    } else if (action.type === 'unset') {
+      if (previousValue === undefined) return;
+      objectPath.del(target, path);
+      changes.push({ruleId: rule.id, action: 'unset', path, previousValue});
+    } else {
+      if (previousValue !== undefined && !Array.isArray(previousValue)) {
+        throw new Error(`Cannot push to [${path}]: it is not an array.`);
+      }
+      objectPath.push(target, path, value);
+      changes.push({ruleId: rule.id, action: 'push', path, value});
+    }
+  });
+}
+
+/**
+ * Copies a value, so that values set in several contexts do not share objects with each other or with the rule.
+ * @param {any} value The value.
+ * @return {any} The copy.
+ */
+function copyValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
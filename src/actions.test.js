@@ -0,0 +1,91 @@
+import { applyRules, compileRules, validateRules, lintRules } from './businessRules.js';
+
+describe('applyRules - rule actions', () => {
+  const documentJson = {
+    customer: { name: 'Ana' },
+    orders: [
+      { id: 1, total: 50, discount: 5, tags: [] },
+      { id: 2, total: 500, discount: 10, tags: ['vip'] },
+      { id: 3, total: 900 },
+    ],
+  };
+  const highValue = { ref: 'orders[].total', operator: '>', comparisonValue: 100 };
+
+  test('runs the actions of every matched context on a copy of the document', () => {
+    const rules = [{ id: 'block', type: 'ERROR', conditions: [highValue], actions: [
+      { type: 'set', path: 'orders[].status', value: 'blocked' },
+      { type: 'unset', path: 'orders[].discount' },
+      { type: 'push', path: 'orders[].tags', value: 'review' },
+      { type: 'emit', event: 'order_blocked', payloadRef: 'orders[].id' },
+    ] }];
+    const { results, document, changes, events } = applyRules(documentJson, rules);
+    expect(results).toEqual(validateRules(documentJson, rules));
+    expect(document.orders).toEqual([
+      { id: 1, total: 50, discount: 5, tags: [] },
+      { id: 2, total: 500, tags: ['vip', 'review'], status: 'blocked' },
+      { id: 3, total: 900, tags: ['review'], status: 'blocked' },
+    ]);
+    expect(documentJson.orders[1]).toEqual({ id: 2, total: 500, discount: 10, tags: ['vip'] });
+    expect(changes).toEqual([
+      { ruleId: 'block', action: 'set', path: 'orders.1.status', previousValue: undefined, value: 'blocked' },
+      { ruleId: 'block', action: 'unset', path: 'orders.1.discount', previousValue: 10 },
+      { ruleId: 'block', action: 'push', path: 'orders.1.tags', value: 'review' },
+      { ruleId: 'block', action: 'set', path: 'orders.2.status', previousValue: undefined, value: 'blocked' },
+      { ruleId: 'block', action: 'push', path: 'orders.2.tags', value: 'review' },
+    ]);
+    expect(events).toEqual([{ event: 'order_blocked', ruleId: 'block', payload: 2 }, { event: 'order_blocked', ruleId: 'block', payload: 3 }]);
+  });
+
+  test('fills values from the context and only runs the actions of rules that fired', () => {
+    const rules = [
+      { id: 'defaultCountry', conditions: [{ ref: 'customer.country', operator: 'does_not_exists' }], actions: [
+        { type: 'set', path: 'customer.country', valueRef: '_context.defaultCountry' },
+      ] },
+      { id: 'neverFires', conditions: [{ ref: 'customer.name', operator: '=', comparisonValue: 'Bia' }], actions: [
+        { type: 'set', path: 'customer.name', value: 'changed' },
+      ] },
+    ];
+    const { document, changes } = compileRules(rules).apply(documentJson, { defaultCountry: 'BR' });
+    expect(document.customer).toEqual({ name: 'Ana', country: 'BR' });
+    expect(changes.map(c => c.ruleId)).toEqual(['defaultCountry']);
+  });
+
+  test('runs the actions of every matched context even when only the first one is returned', () => {
+    const rules = [{ id: 'block', conditions: [highValue], actions: [{ type: 'set', path: 'orders[].status', value: 'blocked' }] }];
+    const { results, changes } = applyRules(documentJson, rules, null, { returnAllContexts: false });
+    expect(results[0].conditions).toHaveLength(1);
+    expect(changes.map(c => c.path)).toEqual(['orders.1.status', 'orders.2.status']);
+  });
+
+  test('skips the actions that use array elements when a rule matched without any', () => {
+    const rules = [{ id: 'noBlocked', conditions: [{ not: { ref: 'orders[].status', operator: '=', comparisonValue: 'blocked' } }], actions: [
+      { type: 'set', path: 'orders[].status', value: 'checked' },
+      { type: 'emit', event: 'order_checked', payloadRef: 'orders[].id' },
+      { type: 'set', path: 'checked', value: true },
+    ] }];
+    const { results, document, changes, events } = applyRules({ orders: [] }, rules);
+    expect(results.map(r => [r.id, r.errors])).toEqual([['noBlocked', undefined]]);
+    expect(document).toEqual({ orders: [], checked: true });
+    expect(changes.map(c => c.path)).toEqual(['checked']);
+    expect(events).toEqual([]);
+  });
+
+  test('reports invalid actions and failures while running them', () => {
+    const rules = [
+      { id: 'badType', conditions: [highValue], actions: [{ type: 'delete', path: 'x' }] },
+      { id: 'unknownArray', conditions: [highValue], actions: [{ type: 'set', path: 'items[].x', value: 1 }] },
+      { id: 'notArray', conditions: [{ ref: 'customer.name', operator: 'exists' }], actions: [{ type: 'push', path: 'customer.name', value: 'x' }] },
+    ];
+    const { results, changes } = applyRules(documentJson, rules);
+    expect(results.filter(r => r.errors).map(r => [r.id, r.keyword, r.errors[0].code, r.errors[0].cause])).toEqual([
+      ['badType', 'conditional', 'invalid_rule', 'Invalid action at index 0. The type must be one of: set, unset, push, emit.'],
+      ['unknownArray', 'conditional', 'invalid_rule', 'Action path [items[].x] uses an array that is not iterated by the conditions.'],
+      ['notArray', 'action', 'action_error', 'Cannot push to [customer.name]: it is not an array.'],
+    ]);
+    expect(changes).toEqual([]);
+    expect(lintRules(rules).map(d => [d.path, d.code, d.message])).toEqual([
+      ['$[0].actions[0]', 'invalid_action', 'Invalid action at index 0. The type must be one of: set, unset, push, emit.'],
+      ['$[1].actions[0]', 'invalid_action', 'Action path [items[].x] uses an array that is not iterated by the conditions.'],
+    ]);
+  });
+});
@@ -0,0 +1,82 @@
+/* eslint-disable max-len */
+import objectPath from 'object-path';
+import {toObjectPath} from './paths.js';
+
+/**
+ * Aggregate functions usable in 'ref' and 'comparisonRef':
+ *   { aggregate: 'sum', path: 'items[].price', filter: [{ ref: 'type', operator: '<>', comparisonValue: 'fee' }] }
+ *
+ * Every '[]' of the path is expanded into its elements, and the optional filter (a condition tree, with
+ * refs relative to the innermost element) selects which elements go into the aggregate. A path without
+ * '[]' is read as the array itself, so { aggregate: 'count', path: 'tags' } counts the items of 'tags'.
+ */
+
+export const AGGREGATE_FUNCTIONS = ['count', 'sum', 'min', 'max', 'avg', 'distinctCount'];
+
+/**
+ * Collects the elements reached by an aggregate path.
+ *
+ * Example:
+ *   'orders[].items[].price' => one { element, value } per item of every order, where element is the item
+ *   and value is its price.
+ *
+ * @param {string} path The aggregate path, with loops already bound.
+ * @param {function(string): any} getValue Reads a path from the root (document or context).
+ * @return {Array<object>} The collected { element, value } entries.
+ */
+export function collectAggregateItems(path, getValue) {
+  const index = path.indexOf('[]');
+  if (index === -1) return collectAggregateItems(`${path}[]`, getValue);
+
+  const array = getValue(path.slice(0, index));
+  if (!Array.isArray(array)) return [];
+  const rest = path.slice(index + 2).replace(/^\./, '');
+  const items = [];
+  array.forEach((element) => {
+    if (rest === '') {
+      items.push({element, value: element});
+    } else if (rest.includes('[]')) {
+      items.push(...collectAggregateItems(rest, (subPath) => (subPath === '' ? element : objectPath.get(element, toObjectPath(subPath)))));
+    } else {
+      items.push({element, value: objectPath.get(element, toObjectPath(rest))});
+    }
+  });
+  return items;
+}
+
+/**
+ * Computes an aggregate function over the collected values.
+ * 'count' counts every element; the other functions ignore null and undefined values.
+ * Over no values, 'sum' and 'distinctCount' are 0 and 'min', 'max' and 'avg' are undefined.
+ * @param {string} name The aggregate function.
+ * @param {Array<any>} values The values of the selected elements.
+ * @return {object} The aggregated value and how many values went into it: { value, count }.
+ */
+export function computeAggregate(name, values) {
+  if (name === 'count') return {value: values.length, count: values.length};
+
+  const defined = values.filter((value) => value !== undefined && value !== null);
+  const count = defined.length;
+  if (name === 'distinctCount') {
+    return {value: new Set(defined.map((value) => (typeof value === 'object' ? JSON.stringify(value) : value))).size, count};
+  }
+  if (name === 'sum' || name === 'avg') {
+    const invalid = defined.find((value) => typeof value !== 'number');
+    if (invalid !== undefined) throw new Error(`Aggregate [${name}] requires numeric values, got [${invalid}].`);
+    const sum = defined.reduce((total, value) => total + value, 0);
+    if (name === 'sum') return {value: sum, count};
+    return {value: count > 0 ? sum / count : undefined, count};
+  }
+  if (name === 'min' || name === 'max') {
+    const types = new Set(defined.map((value) => typeof value));
+    if (types.size > 1 || (types.size === 1 && !types.has('number') && !types.has('string'))) {
+      throw new Error(`Aggregate [${name}] requires values that are all numbers or all strings.`);
+    }
+    const value = defined.reduce((best, current) => {
+      if (best === undefined) return current;
+      return (name === 'min' ? current < best : current > best) ? current : best;
+    }, undefined);
+    return {value, count};
+  }
+  throw new Error(`Unsupported aggregate: ${name}`);
+}
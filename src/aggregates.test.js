@@ -0,0 +1,105 @@
+import { validateRules, lintRules } from './businessRules.js';
+
+describe('validateRules - aggregate functions', () => {
+  const documentJson = {
+    total: 60,
+    items: [
+      { sku: 'A', price: 10, type: 'product' },
+      { sku: 'B', price: 20, type: 'product' },
+      { sku: 'A', price: 30, type: 'fee' },
+    ],
+    clients: [{ age: 15 }, { age: 12 }, { age: 40 }, { age: 17 }],
+    orders: [
+      { total: 30, items: [{ price: 10 }, { price: 20 }] },
+      { total: 99, items: [{ price: 5 }] },
+    ],
+    tags: ['a', 'b'],
+  };
+
+  test('compares a sum with a field and reports the aggregated value and count', () => {
+    const rules = [{ id: 'sum', type: 'ERROR', conditions: [
+      { ref: { aggregate: 'sum', path: 'items[].price' }, operator: '=', comparisonRef: 'total' },
+    ] }];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].errors).toBeUndefined();
+    expect(result[0].conditions[0].conditionValues[0]).toEqual({
+      instancePath: 'sum(items[].price)',
+      instancePathValue: { aggregate: 'sum', value: 60, count: 3 },
+      operator: '=',
+      comparisonValue: 60,
+    });
+  });
+
+  test('counts the elements selected by a filter', () => {
+    const rules = [{ id: 'minors', type: 'ERROR', conditions: [
+      { ref: { aggregate: 'count', path: 'clients[]', filter: [{ ref: 'age', operator: '<', comparisonValue: 18 }] }, operator: '>', comparisonValue: 2 },
+    ] }];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].conditions[0].conditionValues[0].instancePathValue).toEqual({ aggregate: 'count', value: 3, count: 3 });
+  });
+
+  test('supports min, max, avg and distinctCount in ref and comparisonRef', () => {
+    const rules = [
+      { id: 'min', conditions: [{ ref: { aggregate: 'min', path: 'clients[].age' }, operator: '=', comparisonValue: 12 }] },
+      { id: 'max', conditions: [{ ref: { aggregate: 'max', path: 'clients[].age' }, operator: '=', comparisonValue: 40 }] },
+      { id: 'avg', conditions: [{ ref: { aggregate: 'avg', path: 'items[].price', filter: { not: { ref: 'type', operator: '=', comparisonValue: 'fee' } } }, operator: '=', comparisonValue: 15 }] },
+      { id: 'distinct', conditions: [{ ref: { aggregate: 'distinctCount', path: 'items[].sku' }, operator: '<', comparisonRef: { aggregate: 'count', path: 'items' } }] },
+      { id: 'plain', conditions: [{ ref: { aggregate: 'count', path: 'tags' }, operator: '=', comparisonValue: 2 }] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.map(r => r.id)).toEqual(['min', 'max', 'avg', 'distinct', 'plain']);
+    result.forEach(r => expect(r.errors).toBeUndefined());
+    expect(result[3].conditions[0].conditionValues[0].comparisonValue).toEqual({ aggregate: 'count', value: 3, count: 3 });
+  });
+
+  test('does not create loops for aggregated arrays and binds named loop variables', () => {
+    const rules = [
+      { id: 'alongside', conditions: [
+        { ref: 'clients[].age', operator: '<', comparisonValue: 13 },
+        { ref: { aggregate: 'count', path: 'clients[]' }, operator: '=', comparisonValue: 4 },
+      ] },
+      { id: 'perOrder', conditions: [
+        { ref: { aggregate: 'sum', path: 'orders[o].items[].price' }, operator: '<>', comparisonRef: 'orders[o].total' },
+      ] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result[0].conditions.length).toBe(1);
+    expect(result[0].conditions[0].conditionValues[1].instancePathValue.value).toBe(4);
+    expect(result[1].conditions.length).toBe(1);
+    expect(result[1].conditions[0].bindings).toEqual({ o: 1 });
+    expect(result[1].conditions[0].conditionValues[0].instancePath).toBe('sum(orders.1.items[].price)');
+  });
+
+  test('aggregates over the context object and over missing arrays', () => {
+    const rules = [
+      { id: 'context', conditions: [{ ref: { aggregate: 'sum', path: '_context.limits[]' }, operator: '=', comparisonValue: 6 }] },
+      { id: 'missingSum', conditions: [{ ref: { aggregate: 'sum', path: 'nothing[].x' }, operator: '=', comparisonValue: 0 }] },
+      { id: 'missingAvg', conditions: [{ ref: { aggregate: 'avg', path: 'nothing[].x' }, operator: 'does_not_exists' }] },
+    ];
+    const result = validateRules(documentJson, rules, { limits: [1, 2, 3] });
+    expect(result.map(r => r.id)).toEqual(['context', 'missingSum', 'missingAvg']);
+  });
+
+  test('returns errors for unknown aggregates and non-numeric sums', () => {
+    const rules = [
+      { id: 'unknown', conditions: [{ ref: { aggregate: 'median', path: 'items[].price' }, operator: '>', comparisonValue: 1 }] },
+      { id: 'text', conditions: [{ ref: { aggregate: 'sum', path: 'items[].sku' }, operator: '>', comparisonValue: 1 }] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(2);
+    result.forEach(r => expect(r.errors).toBeDefined());
+  });
+
+  test('lints aggregate refs and their filters', () => {
+    const rules = [{ id: 'lint', conditions: [
+      { ref: 'total', operator: 'exists' },
+      { ref: { aggregate: 'median', path: 'items[].price', filter: [{ ref: 'type', operator: 'equals', comparisonValue: 'fee' }] }, operator: '>', comparisonValue: 1 },
+    ] }];
+    expect(lintRules(rules).map(d => [d.conditionIndex, d.path, d.code])).toEqual([
+      [1, '$[0].conditions[1].ref.aggregate', 'unknown_aggregate'],
+      [1, '$[0].conditions[1].ref.filter[0].operator', 'unknown_operator'],
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+/* eslint-disable max-len */
+
+/**
+ * Batch validation helpers for validateMany: reading documents from arrays, iterables, async iterables and
+ * Node readable streams, and summarizing the results of a batch.
+ *
+ * Streams that emit text (strings or Buffers, e.g. fs.createReadStream('records.ndjson')) are read as NDJSON,
+ * one document per non-empty line. Object-mode streams and iterables yield the documents themselves; string items
+ * of iterables (e.g. the lines of readline) are parsed as one JSON document each.
+ */
+
+/**
+ * Reads the documents of a source, one at a time.
+ * @param {Iterable|AsyncIterable|object} source An array, an iterable, an async iterable or a readable stream.
+ * @return {AsyncGenerator<{document: any}|{error: Error}>} One entry per document; documents that are not valid JSON yield { error }.
+ */
+export async function* readDocuments(source) {
+  if (source === null || source === undefined || typeof source === 'string' ||
+    (typeof source[Symbol.asyncIterator] !== 'function' && typeof source[Symbol.iterator] !== 'function')) {
+    throw new Error('validateMany requires an array, an iterable, an async iterable or a readable stream of documents.');
+  }
+  const isStream = typeof source.pipe === 'function';
+  const decoder = new TextDecoder();
+  let pending = '';
+  for await (const item of source) {
+    if (isStream && (typeof item === 'string' || item instanceof Uint8Array)) {
+      // Texto NDJSON: as linhas podem chegar quebradas entre chunks
+      pending += typeof item === 'string' ? item : decoder.decode(item, {stream: true});
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        if (line.trim() !== '') yield parseDocument(line);
+      }
+    } else if (typeof item === 'string') {
+      yield parseDocument(item);
+    } else {
+      yield {document: item};
+    }
+  }
+  pending += decoder.decode();
+  if (pending.trim() !== '') yield parseDocument(pending);
+}
+
+/**
+ * Parses a JSON document.
+ * @param {string} text The JSON text.
+ * @return {{document: any}|{error: Error}} The document, or the parse error.
+ */
+function parseDocument(text) {
+  try {
+    return {document: JSON.parse(text)};
+  } catch (error) {
+    return {error};
+  }
+}
+
+/**
+ * Creates the summary of a batch.
+ * @return {object} { documents, invalidDocuments, firedByRule, firedByType, errors: { total, byCode }, contextLimitHits, timeLimitHits, completed }
+ */
+export function createBatchSummary() {
+  return {
+    documents: 0,
+    invalidDocuments: 0,
+    firedByRule: {},
+    firedByType: {},
+    errors: {total: 0, byCode: {}},
+    contextLimitHits: 0,
+    timeLimitHits: 0,
+    completed: false,
+  };
+}
+
+/**
+ * Adds the results of one document to the summary of a batch.
+ * A rule counts as fired once per document, however many contexts matched.
+ * @param {object} summary The summary.
+ * @param {Array<object>} results The results of the document, in the default output format.
+ */
+export function addResultsToSummary(summary, results) {
+  summary.documents++;
+  results.forEach((result) => {
+    if (result.keyword === 'conditional' && !result.errors) {
+      summary.firedByRule[result.id] = (summary.firedByRule[result.id] ?? 0) + 1;
+      summary.firedByType[result.type] = (summary.firedByType[result.type] ?? 0) + 1;
+    } else if (result.keyword === 'context_limit') {
+      result.errors.forEach(({code}) => {
+        if (code === 'context_limit') summary.contextLimitHits++;
+        if (code === 'time_limit') summary.timeLimitHits++;
+      });
+    } else if (result.keyword !== 'warning' && result.errors) {
+      result.errors.forEach(({code}) => addError(summary, code));
+    }
+  });
+}
+
+/**
+ * Builds the result error of a document that could not be read.
+ * @param {Error} error The parse error.
+ * @param {number} index The index of the document in the source.
+ * @return {object} { cause, context, code: 'invalid_document' }
+ */
+export function toInvalidDocumentError(error, index) {
+  return {cause: error.message, context: `Document [${index}] is not valid JSON.`, code: 'invalid_document'};
+}
+
+/**
+ * Adds a document that could not be read to the summary of a batch.
+ * @param {object} summary The summary.
+ */
+export function addInvalidDocumentToSummary(summary) {
+  summary.documents++;
+  summary.invalidDocuments++;
+  addError(summary, 'invalid_document');
+}
+
+/**
+ * Counts an error in the summary.
+ * @param {object} summary The summary.
+ * @param {string} code The error code.
+ */
+function addError(summary, code) {
+  summary.errors.total++;
+  summary.errors.byCode[code] = (summary.errors.byCode[code] ?? 0) + 1;
+}
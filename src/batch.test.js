@@ -0,0 +1,96 @@
+import { Readable } from 'node:stream';
+import { validateMany, compileRules } from './businessRules.js';
+
+describe('validateMany - batch validation', () => {
+  const rules = [
+    { id: 'highValue', type: 'WARNING', conditions: [{ ref: 'items[].price', operator: '>', comparisonValue: 100 }] },
+    { id: 'noCustomer', type: 'ERROR', conditions: [{ ref: 'customer', operator: 'does_not_exists' }] },
+  ];
+  const documents = [
+    { id: 'A', customer: 'Ana', items: [{ price: 150 }, { price: 10 }] },
+    { id: 'B', items: [{ price: 20 }] },
+    { id: 'C', items: [{ price: 300 }, { price: 200 }] },
+  ];
+
+  const collect = async (batch) => {
+    const entries = [];
+    for await (const entry of batch) entries.push(entry);
+    return entries;
+  };
+
+  test('yields the results of every document of an array, with its index and key', async () => {
+    const batch = validateMany(documents, rules, null, { documentKey: 'id' });
+    const entries = await collect(batch);
+    expect(entries.map(({ index, key, results }) => [index, key, results.map((result) => result.id)])).toEqual([
+      [0, 'A', ['highValue']],
+      [1, 'B', ['noCustomer']],
+      [2, 'C', ['highValue', 'noCustomer']],
+    ]);
+    expect(entries[2].results[0].conditions).toHaveLength(2);
+  });
+
+  test('summarizes fired rules per rule and type, errors and context limits', async () => {
+    const batch = validateMany(documents, [...rules, { id: 'broken', type: 'ERROR', conditions: [{ ref: 'id', operator: 'nope', comparisonValue: 1 }] }], null, { contextLimit: 1 });
+    expect(batch.summary.completed).toBe(false);
+    await collect(batch);
+    expect(batch.summary).toEqual({
+      documents: 3,
+      invalidDocuments: 0,
+      firedByRule: { highValue: 2, noCustomer: 2 },
+      firedByType: { WARNING: 2, ERROR: 2 },
+      errors: { total: 3, byCode: { evaluation_error: 3 } },
+      contextLimitHits: 2,
+      timeLimitHits: 0,
+      completed: true,
+    });
+  });
+
+  test('reads NDJSON from a text stream, with lines split across chunks', async () => {
+    const text = documents.map((document) => JSON.stringify(document)).join('\n\n') + '\n{ broken\n';
+    const chunks = [text.slice(0, 7), text.slice(7, 60), text.slice(60)].map((chunk) => Buffer.from(chunk));
+    const batch = validateMany(Readable.from(chunks), rules, null, { documentKey: (document, index) => `${document.id}#${index}` });
+    const entries = await collect(batch);
+    expect(entries.map(({ key }) => key)).toEqual(['A#0', 'B#1', 'C#2', undefined]);
+    expect(entries[3]).toEqual({ index: 3, results: [], errors: [expect.objectContaining({ code: 'invalid_document', context: 'Document [3] is not valid JSON.' })] });
+    expect(batch.summary).toMatchObject({ documents: 4, invalidDocuments: 1, errors: { total: 1, byCode: { invalid_document: 1 } } });
+  });
+
+  test('accepts object-mode streams, async iterables and iterables of JSON strings', async () => {
+    const fromStream = await collect(validateMany(Readable.from(documents), rules));
+    async function* generate() {
+      yield* documents;
+    }
+    const fromGenerator = await collect(validateMany(generate(), rules));
+    const fromLines = await collect(validateMany(new Set(documents.map((document) => JSON.stringify(document))), rules));
+    [fromStream, fromGenerator, fromLines].forEach((entries) => expect(entries.map(({ results }) => results.length)).toEqual([1, 1, 2]));
+  });
+
+  test('reads documents lazily, one at a time', async () => {
+    const read = [];
+    function* generate() {
+      for (const document of documents) {
+        read.push(document.id);
+        yield document;
+      }
+    }
+    const batch = compileRules(rules).validateMany(generate());
+    await batch.next();
+    expect(read).toEqual(['A']);
+    await batch.return();
+  });
+
+  test('formats the results with the output option and loads facts', async () => {
+    const batch = validateMany(documents.slice(0, 1), [{ id: 'limit', conditions: [{ ref: 'items[].price', operator: '>', comparisonRef: '_fact.limit' }] }], null, {
+      output: 'ajv',
+      facts: { limit: async () => 100 },
+    });
+    const [entry] = await collect(batch);
+    expect(entry.results.map(({ instancePath }) => instancePath)).toEqual(['/items/0/price']);
+    expect(batch.summary.firedByRule).toEqual({ limit: 1 });
+  });
+
+  test('rejects sources that are not collections', async () => {
+    await expect(collect(validateMany({ id: 'A' }, rules))).rejects.toThrow('validateMany requires an array');
+    expect(() => validateMany(documents, rules, null, { documentKey: 1 })).toThrow('The documentKey option');
+  });
+});
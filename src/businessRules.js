@@ -1,5 +1,28 @@
 /* eslint-disable max-len */
 import objectPath from 'object-path';
+import {getOperator} from './operators.js';
+import {processConditionsForLoops, renumberLoops, mapConditionTree, getConditionGroupKey, collectLeafConditions, isAggregateRef, isExpressionRef, getRefPath, isQuantifierCondition, listArrayReferences, QUANTIFIERS, SELF_JOIN_MODES, RULE_STOP_MODES, listAcceptedValues} from './conditions.js';
+import {AGGREGATE_FUNCTIONS, collectAggregateItems, computeAggregate} from './aggregates.js';
+import {parseExpression, evaluateExpression} from './expressions.js';
+import {parseDate} from './dates.js';
+import {DEFAULT_SEMANTICS, validateSemantics, applySemantics} from './semantics.js';
+import {FACT_PREFIX, compileFactProviders, createFactStore, isFactError, isFactPending} from './facts.js';
+import {compileActions, runActions, usesContextElements} from './actions.js';
+import {compileMessageTemplate, renderMessageTemplate, bindPlaceholderLoops} from './templates.js';
+import {OUTPUT_FORMATS, formatAjvErrors} from './output.js';
+import {translateRulePaths, formatPath, toObjectPath} from './paths.js';
+import {readDocuments, createBatchSummary, addResultsToSummary, addInvalidDocumentToSummary, toInvalidDocumentError} from './batch.js';
+import {diffResults, createDiffSummary, addDiffToSummary} from './shadow.js';
+import {resolveRuleSet} from './ruleSets.js';
+import {RESULTS_PREFIX, OUTCOME_FIELDS, findRuleReferences, resolveRuleReference, sortRulesByDependencies} from './chaining.js';
+
+export {registerOperator, unregisterOperator, listOperators} from './operators.js';
+export {registerFormat, unregisterFormat, listFormats} from './formats.js';
+export {lintRules} from './lint.js';
+export {toAjvErrors, toJsonPointer} from './output.js';
+export {resolveRuleSet} from './ruleSets.js';
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
 
 /**
  * Validates a set of rules against a JSON document.
@@ -16,142 +39,800 @@ import objectPath from 'object-path';
  *   => Each client will be evaluated against the fixed minAge value.
  *
  * @param {object} documentJson The JSON document to validate.
- * @param {Array<object>} rules The array of rules to validate.
+ * @param {Array<object>|object} rules The array of rules to validate, or a rule-set document with fragments and extends (see ruleSets.js).
  * @param {object|null} contextObj Optional context object. If provided, rules can reference it using '_context.' in their paths.
- * @param {object} options Optional settings: { contextLimit: number (default 10000), timeLimit: number (seconds, default 200), returnAllContexts: boolean (default true) }
+ * @param {object} options Optional settings: { contextLimit: number (default 10000), timeLimit: number (seconds, default 200), returnAllContexts: boolean (default true), selfJoin: string (default 'all'), now: Date|string|number (default: the time of each call), dateFormats: Array<string> (default ['iso']), timezone: string (default 'UTC'), semantics: object (see semantics.js), explain: boolean (default false), logger: object (default silent), stopOnMatch: boolean|string|Array<string> (default false), output: 'default'|'ajv' (default 'default'), version: string|number (default: the version of the rule-set document, echoed in every result) }
  * @return {Array<object>} An array of objects containing the IDs and types of the rules that passed, along with their contexts.
  */
 export function validateRules(documentJson, rules, contextObj = null, options = {}) {
-  const rulesObj = JSON.parse(JSON.stringify(rules));
+  return compileRules(rules, options).validate(documentJson, contextObj);
+}
+
+/**
+ * Validates a set of rules against a JSON document, loading facts on demand.
+ * Paths starting with '_fact.' are read from the fact providers of options.facts, which are only
+ * called when a condition actually reads them (see facts.js).
+ *
+ * Example:
+ *   const results = await validateRulesAsync(order, rules, null, {
+ *     facts: { creditLimit: async ({ documentJson }) => api.creditLimit(documentJson.customerId) },
+ *   });
+ *
+ * @param {object} documentJson The JSON document to validate.
+ * @param {Array<object>|object} rules The array of rules to validate, or a rule-set document.
+ * @param {object|null} contextObj Optional context object.
+ * @param {object} options The options of validateRules, plus { facts: object, factTtl: number (milliseconds, default 0), factConcurrency: number (default 4) }
+ * @return {Promise<Array<object>>} The same output as validateRules.
+ */
+export function validateRulesAsync(documentJson, rules, contextObj = null, options = {}) {
+  return compileRules(rules, options).validateAsync(documentJson, contextObj);
+}
+
+/**
+ * Validates a set of rules against a JSON document and runs the actions of the rules that matched
+ * (see actions.js) on a copy of the document. The input document is not changed.
+ *
+ * Example:
+ *   const rules = [{ id: 'block', conditions: [...], actions: [{ type: 'set', path: 'orders[].status', value: 'blocked' }] }];
+ *   const { results, document, changes, events } = applyRules(documentJson, rules);
+ *
+ * @param {object} documentJson The JSON document to validate.
+ * @param {Array<object>|object} rules The array of rules to validate, or a rule-set document.
+ * @param {object|null} contextObj Optional context object.
+ * @param {object} options The same options of validateRules.
+ * @return {{results: Array<object>, document: object, changes: Array<object>, events: Array<object>}} The results of validateRules,
+ *   the transformed copy of the document, the changes made to it and the emitted events.
+ */
+export function applyRules(documentJson, rules, contextObj = null, options = {}) {
+  return compileRules(rules, options).apply(documentJson, contextObj);
+}
+
+/**
+ * Validates a set of rules against a collection of documents, compiling the rules once.
+ * Documents are read and validated one at a time, so arrays, iterables, async iterables and readable
+ * streams (NDJSON text or object mode, see batch.js) of any size can be validated with bounded memory.
+ *
+ * Example:
+ *   const batch = validateMany(fs.createReadStream('orders.ndjson'), rules, null, { documentKey: 'orderId' });
+ *   for await (const { index, key, results } of batch) { ... }
+ *   console.log(batch.summary); // { documents, invalidDocuments, firedByRule, firedByType, errors, contextLimitHits, timeLimitHits, completed }
+ *
+ * @param {Iterable|AsyncIterable|object} documents The documents.
+ * @param {Array<object>|object} rules The array of rules to validate, or a rule-set document.
+ * @param {object|null} contextObj Optional context object, shared by every document.
+ * @param {object} options The options of validateRulesAsync, plus { documentKey: string|function(documentJson, index) (default none) }
+ * @return {AsyncGenerator<object>} Yields { index, key, results } per document (key only with documentKey), or
+ *   { index, results: [], errors } for documents that are not valid JSON. Its 'summary' property is updated as documents
+ *   are validated and has completed: true once the source is exhausted.
+ */
+export function validateMany(documents, rules, contextObj = null, options = {}) {
+  return compileRules(rules, options).validateMany(documents, contextObj);
+}
+
+/**
+ * Evaluates a document against a baseline and a candidate rule set and compares the outcomes rule by rule
+ * (see shadow.js), to see how a rule change affects real documents before it is published.
+ *
+ * Example:
+ *   const diff = compareRuleSets(order, publishedRuleSet, candidateRuleSet);
+ *   // { baselineVersion: 3, candidateVersion: 4, newlyFiring: { minor: { type: 'ERROR', contexts: ['clients.1'] } },
+ *   //   noLongerFiring: {}, changed: {}, errors: {}, identical: false }
+ *
+ * @param {object} documentJson The JSON document.
+ * @param {Array<object>|object} baselineRules The rules in use: an array of rules or a rule-set document.
+ * @param {Array<object>|object} candidateRules The rules to compare with them.
+ * @param {object|null} contextObj Optional context object, shared by both rule sets.
+ * @param {object} options The options of validateRules, used by both rule sets (pass 'now' to evaluate both at the same instant), plus
+ *   { baselineVersion, candidateVersion } (default: the versions of the rule-set documents) and, for compareRuleSetsMany,
+ *   { documentKey, maxExamples: number (default 5) }.
+ * @return {object} The diff, keyed by rule id: { baselineVersion, candidateVersion, newlyFiring, noLongerFiring, changed, errors, identical }.
+ */
+export function compareRuleSets(documentJson, baselineRules, candidateRules, contextObj = null, options = {}) {
+  return compileComparison(baselineRules, candidateRules, options).compare(documentJson, contextObj);
+}
+
+/**
+ * Compares a baseline and a candidate rule set over a collection of documents, like validateMany: documents are
+ * read one at a time, and the summary aggregates the diffs by rule.
+ *
+ * Example:
+ *   const comparison = compareRuleSetsMany(fs.createReadStream('orders.ndjson'), published, candidate, null, { documentKey: 'orderId' });
+ *   for await (const { key, diff } of comparison) { ... }
+ *   console.log(comparison.summary.rules); // { minor: { newlyFiring: 12, noLongerFiring: 0, changed: 3, ..., examples: [...] } }
+ *
+ * @param {Iterable|AsyncIterable|object} documents The documents.
+ * @param {Array<object>|object} baselineRules The rules in use.
+ * @param {Array<object>|object} candidateRules The rules to compare with them.
+ * @param {object|null} contextObj Optional context object, shared by every document.
+ * @param {object} options The options of compareRuleSets.
+ * @return {AsyncGenerator<object>} Yields { index, key, diff } per document (key only with documentKey), or { index, errors } for
+ *   documents that are not valid JSON. Its 'summary' property ({ baselineVersion, candidateVersion, documents, invalidDocuments,
+ *   changedDocuments, rules, completed }) is updated as documents are compared.
+ */
+export function compareRuleSetsMany(documents, baselineRules, candidateRules, contextObj = null, options = {}) {
+  return compileComparison(baselineRules, candidateRules, options).compareMany(documents, contextObj);
+}
+
+/**
+ * Compiles a baseline and a candidate rule set once, to compare them against many documents.
+ * @param {Array<object>|object} baselineRules The rules in use.
+ * @param {Array<object>|object} candidateRules The rules to compare with them.
+ * @param {object} options The options of compareRuleSets.
+ * @return {object} { baselineVersion, candidateVersion, compare, compareAsync, compareMany }: compare(documentJson, contextObj = null)
+ *   returns the same as compareRuleSets, compareAsync the same loading facts like validateAsync, and compareMany(documents,
+ *   contextObj = null) the same as compareRuleSetsMany.
+ */
+export function compileComparison(baselineRules, candidateRules, options = {}) {
+  const maxExamples = options.maxExamples !== undefined ? options.maxExamples : 5;
+  if (!Number.isInteger(maxExamples) || maxExamples < 0) {
+    throw new Error(`Invalid maxExamples [${maxExamples}]. It must be a non-negative integer.`);
+  }
+  // O diff compara os resultados no formato padrão, sem as entradas do trace
+  const evaluationOptions = {...options, output: 'default', explain: false};
+  const baseline = compileRules(baselineRules, {...evaluationOptions, version: options.baselineVersion});
+  const candidate = compileRules(candidateRules, {...evaluationOptions, version: options.candidateVersion});
+  const versions = {baselineVersion: baseline.version ?? null, candidateVersion: candidate.version ?? null};
+  const documentKey = options.documentKey !== undefined ? options.documentKey : null;
+
+  const compare = (documentJson, contextObj = null) => ({
+    ...versions,
+    ...diffResults(baseline.validate(documentJson, contextObj), candidate.validate(documentJson, contextObj)),
+  });
+  const compareAsync = async (documentJson, contextObj = null) => {
+    const [baselineResults, candidateResults] = await Promise.all([baseline.validateAsync(documentJson, contextObj), candidate.validateAsync(documentJson, contextObj)]);
+    return {...versions, ...diffResults(baselineResults, candidateResults)};
+  };
+
+  return {
+    ...versions,
+    compare,
+    compareAsync,
+    compareMany(documents, contextObj = null) {
+      const summary = createDiffSummary(versions.baselineVersion, versions.candidateVersion);
+      const comparison = (async function* () {
+        let index = 0;
+        for await (const {document, error} of readDocuments(documents)) {
+          const entry = {index: index++};
+          if (error) {
+            summary.documents++;
+            summary.invalidDocuments++;
+            yield {...entry, errors: [toInvalidDocumentError(error, entry.index)]};
+            continue;
+          }
+          if (documentKey !== null) {
+            entry.key = typeof documentKey === 'function' ? documentKey(document, entry.index) : getValueWithContext(document, documentKey, null);
+          }
+          const diff = options.facts !== undefined ? await compareAsync(document, contextObj) : compare(document, contextObj);
+          addDiffToSummary(summary, diff, entry.key ?? entry.index, maxExamples);
+          yield {...entry, diff};
+        }
+        summary.completed = true;
+      })();
+      comparison.summary = summary;
+      return comparison;
+    },
+  };
+}
+
+/**
+ * Compiles a set of rules once, so it can be validated against many documents.
+ * Rule cloning, loop detection, path parsing and operator lookup happen here instead of
+ * on every call. Operators registered after compiling are not seen by the compiled rules.
+ *
+ * Example:
+ *   const compiled = compileRules(rules, { returnAllContexts: false });
+ *   const results = documents.map((doc) => compiled.validate(doc, contextObj));
+ *
+ * @param {Array<object>|object} rules The array of rules to compile, or a rule-set document.
+ * @param {object} options Optional settings, the same accepted by validateRules.
+ * @return {object} An object whose validate(documentJson, contextObj = null) returns the same output as validateRules, validateAsync the same as
+ *   validateRulesAsync, apply the same as applyRules and applyAsync the output of apply, loading facts like validateAsync.
+ *   validateMany(documents, contextObj = null) returns the same as validateMany. version is the version of the rule set.
+ */
+export function compileRules(rules, options = {}) {
   const contextLimit = options.contextLimit !== undefined ? options.contextLimit : 10000;
   const timeLimit = options.timeLimit !== undefined ? options.timeLimit : 200; // seconds
   const returnAllContexts = options.returnAllContexts !== undefined ? options.returnAllContexts : true;
-  const results = [];
-  const validRulesByDate = filterRulesByDate(rulesObj);
-  const startTime = Date.now();
-
-  validRulesByDate.forEach((rule) => {
-    try {
-      const loops = [];
-      rule.conditionResultContext = [];
+  const explain = options.explain !== undefined ? options.explain : false;
+  const logger = options.logger !== undefined ? options.logger : null;
+  if (logger !== null && (typeof logger !== 'object' || !LOG_LEVELS.some((level) => typeof logger[level] === 'function'))) {
+    throw new Error(`The logger option must be an object with at least one of the methods ${LOG_LEVELS.join(', ')}.`);
+  }
+  const selfJoin = options.selfJoin !== undefined ? options.selfJoin : 'all';
+  const dateFormats = options.dateFormats !== undefined ? options.dateFormats : ['iso'];
+  const timezone = options.timezone !== undefined ? options.timezone : 'UTC';
+  const now = options.now !== undefined ? new Date(parseDate(options.now, {dateFormats, timezone})) : undefined;
+  if (options.semantics !== undefined) validateSemantics(options.semantics);
+  const semantics = {...DEFAULT_SEMANTICS, ...options.semantics};
+  const factProviders = compileFactProviders(options.facts ?? {}, options.factTtl !== undefined ? options.factTtl : 0);
+  const factConcurrency = options.factConcurrency !== undefined ? options.factConcurrency : 4;
+  if (!Number.isInteger(factConcurrency) || factConcurrency < 1) {
+    throw new Error(`Invalid factConcurrency [${factConcurrency}]. It must be a positive integer.`);
+  }
+  const factCache = new Map();
+  const output = options.output !== undefined ? options.output : 'default';
+  if (!OUTPUT_FORMATS.includes(output)) {
+    throw new Error(`Invalid output [${output}]. Use one of: ${OUTPUT_FORMATS.join(', ')}.`);
+  }
+  // Documento de rule set: fragmentos e herança resolvidos em regras simples antes de compilar
+  const ruleSet = Array.isArray(rules) ? {rules, errors: []} : resolveRuleSet(rules);
+  const resolveErrors = new Map(ruleSet.errors.map((error) => [error.index, error]));
+  // Versão do rule set, ecoada em cada resultado; a opção serve para arrays de regras
+  const version = options.version !== undefined ? options.version : ruleSet.version;
+  if (version !== undefined && typeof version !== 'string' && typeof version !== 'number') {
+    throw new Error(`Invalid version [${version}]. It must be a string or a number.`);
+  }
+  // Com output 'ajv' os resultados viram uma lista de erros no formato do Ajv
+  const formatResults = (results) => (output === 'ajv' ? formatAjvErrors(results, ruleSet) : results);
+  const documentKey = options.documentKey !== undefined ? options.documentKey : null;
+  if (documentKey !== null && typeof documentKey !== 'string' && typeof documentKey !== 'function') {
+    throw new Error('The documentKey option must be a path or a function (documentJson, index) => key.');
+  }
+  const stopOnMatch = options.stopOnMatch !== undefined ? options.stopOnMatch : false;
+  if (!(typeof stopOnMatch === 'boolean' || typeof stopOnMatch === 'string' || (Array.isArray(stopOnMatch) && stopOnMatch.every((type) => typeof type === 'string')))) {
+    throw new Error(`Invalid stopOnMatch [${stopOnMatch}]. Use a boolean, a rule type or an array of rule types.`);
+  }
+  // Maior prioridade primeiro; o sort é estável, então empates mantêm a ordem do array
+  const compiledRules = compileRuleReferences(JSON.parse(JSON.stringify(ruleSet.rules)).map((rule, index) => {
+    const compiled = compileRule(rule, selfJoin);
+    if (resolveErrors.has(index)) compiled.compileError = new Error(resolveErrors.get(index).message);
+    return compiled;
+  }).sort((a, b) => getPriority(b) - getPriority(a)));
 
-      processConditionsForLoops(rule, loops);
+  /**
+   * Evaluates every rule against a document.
+   * @param {object} documentJson The JSON document to validate.
+   * @param {object|null} contextObj The context object.
+   * @param {object|undefined} facts The fact store of the run, if '_fact.' paths are read from providers.
+   * @return {{results: Array<object>, diagnostics: Array<object>, matches: Array<object>}} The results, the diagnostics to log
+   *   and the matched contexts of the rules with actions.
+   */
+  const run = (documentJson, contextObj, facts) => {
+    const results = [];
+    const diagnostics = [];
+    const matches = [];
+    // 'now' de referência: o da opção, ou o momento da chamada
+    // Resultado de cada regra já avaliada, lido pelas referências '_results.'
+    const ruleOutcomes = new Map();
+    const evaluationOptions = {now: now ?? new Date(), dateFormats, timezone, semantics, facts, ruleOutcomes};
+    const startTime = Date.now();
+    const emit = (diagnostic) => diagnostics.push(diagnostic);
+    // Regras que dispararam com stopOnMatch: { ruleId, type, scope: 'all'|'type' }
+    const stops = [];
 
-      const sortedLoops = sortLoopsByPath(loops);
-      if (!validateArrayReferences(sortedLoops, rule)) return;
+    compiledRules.forEach((compiledRule) => {
+      const inactiveReason = getInactiveReason(compiledRule, evaluationOptions.now);
+      if (inactiveReason) {
+        ruleOutcomes.set(String(compiledRule.id), {fired: false, matches: 0, errored: false, skipped: true});
+        emit(createDiagnostic('debug', 'rule_skipped', compiledRule, inactiveReason.reason, inactiveReason.message));
+        if (explain) results.push(explainSkippedRule(compiledRule, inactiveReason));
+        return;
+      }
+      const stop = stops.find((candidate) => candidate.scope === 'all' || candidate.type === compiledRule.type);
+      // Uma regra suspensa que pararia esta: a regra espera pelos fatos dela
+      if (stop?.pending) {
+        ruleOutcomes.set(String(compiledRule.id), {pending: stop.pending});
+        return;
+      }
+      if (stop) {
+        const stopped = {reason: 'stopped', message: `Rule [${stop.ruleId}] matched with stopOnMatch${stop.scope === 'type' ? ` for type [${stop.type}]` : ''}.`};
+        ruleOutcomes.set(String(compiledRule.id), {fired: false, matches: 0, errored: false, skipped: true});
+        emit(createDiagnostic('debug', 'rule_skipped', compiledRule, stopped.reason, stopped.message));
+        results.push({id: compiledRule.id, type: compiledRule.type, message: compiledRule.description, keyword: 'skipped', skippedBy: stop.ruleId, reason: stopped.message});
+        if (explain) results.push(explainSkippedRule(compiledRule, stopped));
+        return;
+      }
+      // Estado da avaliação fica numa cópia, a regra compilada é reutilizada entre documentos
+      const rule = {...compiledRule, conditionResultContext: []};
+      const scope = {documentJson, contextObj, context: null, options: evaluationOptions};
+      const resultsBefore = results.length;
+      if (rule.compileWarnings?.length > 0) {
+        const warnings = rule.compileWarnings.map(({code, cause, context}) => createDiagnostic('warn', code, rule, cause, context));
+        warnings.forEach(emit);
+        results.push({id: rule.id, type: rule.type, message: rule.description, keyword: 'warning', errors: warnings.map(toResultError)});
+      }
+      try {
+        if (rule.compileError) throw rule.compileError;
 
-      // CONTADOR DE CONTEXTOS E FLAGS DE LIMITE
-      const contextCounter = { count: 0, limitReached: false, timeReached: false };
-      rule.contexts = explodeContexts(documentJson, rule.conditions, loops, [], contextLimit, startTime, timeLimit, contextCounter);
-      rule.contextLimitReached = contextCounter.limitReached;
-      rule.timeLimitReached = contextCounter.timeReached;
+        // CONTADOR DE CONTEXTOS E FLAGS DE LIMITE
+        const contextCounter = { count: 0, pruned: 0, limitReached: false, timeReached: false };
+        // No modo explain todos os contextos são gerados, para que apareçam no trace
+        const canExtend = rule.pruningPlan && !explain ? (tuple) => canExtendContext(rule.pruningPlan, {...scope, context: tuple}) : null;
+        rule.contexts = explodeContexts(documentJson, canExtend, rule.loops, [], contextLimit, startTime, timeLimit, contextCounter);
+        rule.contextLimitReached = contextCounter.limitReached;
+        rule.timeLimitReached = contextCounter.timeReached;
 
-      if (rule.contexts.length === 0) {
-        rule.conditionsResult = evaluateSimpleConditions(documentJson, rule.conditions, contextObj);
-      } else {
-        rule.conditionResultContext = evaluateConditionsInContexts(documentJson, rule, loops, contextObj, returnAllContexts);
-      }
+        // Sem contextos gerados nem podados: nenhum array a percorrer
+        if (rule.contexts.length === 0 && contextCounter.pruned === 0) {
+          rule.conditionsResult = evaluateSimpleConditions(rule.compiledConditions, scope);
+        } else {
+          rule.matchedContexts = [];
+          rule.conditionResultContext = evaluateConditionsInContexts(rule, scope, returnAllContexts, rule.matchedContexts);
+        }
 
-      addRuleToResults(rule, results);
-      // Adiciona aviso se limite atingido
-      if (rule.contextLimitReached || rule.timeLimitReached) {
+        addRuleToResults(rule, results, emit);
+        // Adiciona aviso se limite atingido
+        if (rule.contextLimitReached || rule.timeLimitReached) {
+          const limits = [
+            rule.contextLimitReached ? createDiagnostic('warn', 'context_limit', rule, 'Context limit reached', `The number of contexts exceeded the limit (${contextLimit}). ${contextCounter.pruned} partial contexts were pruned.`) : null,
+            rule.timeLimitReached ? createDiagnostic('warn', 'time_limit', rule, 'Time limit reached', `The time limit of ${timeLimit} seconds was exceeded during context generation.`) : null,
+          ].filter(Boolean);
+          limits.forEach(emit);
+          results.push({
+            id: rule.id,
+            type: rule.type,
+            message: rule.description,
+            keyword: 'context_limit',
+            errors: limits.map(toResultError),
+          });
+        }
+      } catch (error) {
+        // Fato ainda não carregado: a regra para aqui e é avaliada de novo na próxima rodada
+        if (isFactPending(getRootCause(error))) {
+          ruleOutcomes.set(String(rule.id), {pending: getRootCause(error)});
+          const stopScope = getStopScope(rule, stopOnMatch);
+          if (stopScope) stops.push({ruleId: rule.id, type: rule.type, scope: stopScope, pending: getRootCause(error)});
+          return;
+        }
+        const code = rule.compileError ? 'invalid_rule' : isFactError(getRootCause(error)) ? 'fact_error' : 'evaluation_error';
+        const diagnostic = createDiagnostic('error', code, rule, getRootCause(error).message,
+          `Error occurred while processing rule [${rule.id}]`, findConditionIndex(error), error);
+        emit(diagnostic);
         results.push({
           id: rule.id,
           type: rule.type,
           message: rule.description,
-          keyword: 'context_limit',
-          errors: [
-            rule.contextLimitReached ? { cause: 'Context limit reached', context: `The number of contexts exceeded the limit (${contextLimit}).` } : null,
-            rule.timeLimitReached ? { cause: 'Time limit reached', context: `The time limit of ${timeLimit} seconds was exceeded during context generation.` } : null,
-          ].filter(Boolean),
+          conditions: rule.conditionsResult?.items || [],
+          keyword: 'conditional',
+          errors: [toResultError(diagnostic)],
         });
       }
-    } catch (error) {
-      logError(`Error processing rule [${rule.id}]`, error);
-      results.push({
-        id: rule.id,
-        type: rule.type,
-        message: rule.description,
-        conditions: rule.conditionsResult?.items || [],
-        keyword: 'conditional',
-        errors: [
-          {
-            cause: error.message,
-            context: `Error occurred while processing rule [${rule.id}]`,
-          },
-        ],
+      const outcome = getRuleOutcome(results.slice(resultsBefore), rule);
+      ruleOutcomes.set(String(rule.id), outcome);
+      const fired = outcome.fired;
+      if (fired && rule.compiledActions) matches.push({rule, scope, contexts: rule.matchedContexts ?? [null]});
+      emit(createDiagnostic('debug', 'rule_evaluated', rule, fired ? 'fired' : 'not_fired', `Rule [${rule.id}] evaluated in ${rule.contexts?.length ?? 0} contexts.`));
+      const stopScope = fired ? getStopScope(rule, stopOnMatch) : null;
+      if (stopScope) stops.push({ruleId: rule.id, type: rule.type, scope: stopScope});
+      if (explain) results.push(explainRule(rule, scope, fired));
+    });
+
+    if (version !== undefined) {
+      results.forEach((result) => {
+        result.version = version;
       });
     }
-  });
+    return {results, diagnostics, matches};
+  };
 
-  return results;
+  /**
+   * Evaluates every rule, loading facts on demand like validateAsync.
+   * @param {object} documentJson The JSON document to validate.
+   * @param {object|null} contextObj The context object.
+   * @param {function(object): object} [finish] Called with the output of a round that read no pending fact; when it
+   *   reads pending facts itself (e.g. actions), they are loaded and the round is repeated.
+   * @return {Promise<object>} What finish returned for the last round, by default the output of run.
+   */
+  const runAsync = async (documentJson, contextObj, finish = (output) => output) => {
+    // Avalia, carrega os fatos lidos que faltam e reavalia, até que nenhum fato novo seja pedido
+    const facts = createFactStore(factProviders, factCache, {documentJson, contextObj});
+    for (;;) {
+      const output = run(documentJson, contextObj, facts);
+      if (facts.pending.size === 0) {
+        // As ações também podem ler fatos
+        const finished = finish(output);
+        if (facts.pending.size === 0) return finished;
+      }
+      await facts.load(factConcurrency);
+    }
+  };
+
+  /**
+   * Runs the actions of the matched rules of a run on a copy of the document.
+   * @param {object} documentJson The JSON document.
+   * @param {object} output The output of run.
+   * @return {{results: Array<object>, diagnostics: Array<object>, document: object, changes: Array<object>, events: Array<object>}} The output
+   *   of apply, with the results not yet formatted and the diagnostics still to log.
+   */
+  const applyMatches = (documentJson, {results, diagnostics, matches}) => {
+    const document = JSON.parse(JSON.stringify(documentJson));
+    const changes = [];
+    const events = [];
+    matches.forEach(({rule, scope, contexts}) => {
+      try {
+        // Sem contexto (ex.: 'not' sobre um array vazio) não há elemento para as ações que usam arrays
+        contexts.forEach((context) => runActions(context ? rule.compiledActions : rule.compiledActions.filter((action) => !usesContextElements(action)), document, {
+          rule,
+          resolvePath: (path) => resolvePathTemplate(parsePathTemplate(path), context) ?? path,
+          readValue: (path) => getValueWithContext(documentJson, resolvePathTemplate(parsePathTemplate(path), context) ?? path, scope.contextObj, scope.options),
+          changes,
+          events,
+        }));
+      } catch (error) {
+        const diagnostic = createDiagnostic('error', 'action_error', rule, getRootCause(error).message, `Error occurred while running the actions of rule [${rule.id}]`, null, error);
+        diagnostics.push(diagnostic);
+        results.push({id: rule.id, type: rule.type, message: rule.description, keyword: 'action', errors: [toResultError(diagnostic)], ...(version !== undefined ? {version} : {})});
+      }
+    });
+    return {results, diagnostics, document, changes, events};
+  };
+
+  /**
+   * Logs the diagnostics of applyMatches and formats its results.
+   * @param {object} applied The output of applyMatches.
+   * @return {{results: Array<object>, document: object, changes: Array<object>, events: Array<object>}} The output of apply.
+   */
+  const finishApply = ({results, diagnostics, ...applied}) => {
+    diagnostics.forEach((diagnostic) => logDiagnostic(logger, diagnostic));
+    return {results: formatResults(results), ...applied};
+  };
+
+  return {
+    version,
+    validate(documentJson, contextObj = null) {
+      // Sem validateAsync os provedores não podem ser chamados
+      const facts = factProviders.size > 0 ? {read: (path) => {
+        throw new Error(`Fact [${path}] can only be read with validateRulesAsync.`);
+      }} : undefined;
+      const {results, diagnostics} = run(documentJson, contextObj, facts);
+      diagnostics.forEach((diagnostic) => logDiagnostic(logger, diagnostic));
+      return formatResults(results);
+    },
+    async validateAsync(documentJson, contextObj = null) {
+      const {results, diagnostics} = await runAsync(documentJson, contextObj);
+      diagnostics.forEach((diagnostic) => logDiagnostic(logger, diagnostic));
+      return formatResults(results);
+    },
+    apply(documentJson, contextObj = null) {
+      const facts = factProviders.size > 0 ? {read: (path) => {
+        throw new Error(`Fact [${path}] can only be read with validateRulesAsync.`);
+      }} : undefined;
+      return finishApply(applyMatches(documentJson, run(documentJson, contextObj, facts)));
+    },
+    async applyAsync(documentJson, contextObj = null) {
+      return finishApply(await runAsync(documentJson, contextObj, (output) => applyMatches(documentJson, output)));
+    },
+    validateMany(documents, contextObj = null) {
+      const summary = createBatchSummary();
+      // Um documento por vez: só o resumo cresce, e apenas com o número de regras e tipos
+      const batch = (async function* () {
+        let index = 0;
+        for await (const {document, error} of readDocuments(documents)) {
+          const entry = {index: index++};
+          if (error) {
+            addInvalidDocumentToSummary(summary);
+            yield {...entry, results: [], errors: [toInvalidDocumentError(error, entry.index)]};
+            continue;
+          }
+          if (documentKey !== null) {
+            entry.key = typeof documentKey === 'function' ? documentKey(document, entry.index) : getValueWithContext(document, documentKey, null);
+          }
+          const {results, diagnostics} = factProviders.size > 0 ? await runAsync(document, contextObj) : run(document, contextObj);
+          diagnostics.forEach((diagnostic) => logDiagnostic(logger, diagnostic));
+          addResultsToSummary(summary, results);
+          yield {...entry, results: formatResults(results)};
+        }
+        summary.completed = true;
+      })();
+      batch.summary = summary;
+      return batch;
+    },
+  };
 }
 
 /**
- * Filters rules based on their validity dates.
- * @param {Array<object>} rules The array of rules.
- * @return {Array<object>} The filtered rules.
+ * Prepares a rule for evaluation: identifies its loops and parses its condition paths and operators.
+ * Errors are kept in compileError and reported each time the rule is evaluated.
+ * @param {object} rule The rule (already cloned).
+ * @param {string} defaultSelfJoin The selfJoin mode for rules that do not set their own.
+ * @return {object} The compiled rule.
  */
-function filterRulesByDate(rules) {
-  return rules.filter((rule) => {
-    const isAfterStartDate = rule.initialDate ? new Date(rule.initialDate) <= new Date() : true;
-    const isBeforeEndDate = rule.endDate ? new Date(rule.endDate) >= new Date() : true;
-    return isAfterStartDate && isBeforeEndDate;
+function compileRule(rule, defaultSelfJoin = 'all') {
+  try {
+    if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+      throw new Error(`Invalid priority [${rule.priority}]. It must be a number.`);
+    }
+    if (rule.stopOnMatch !== undefined && !RULE_STOP_MODES.includes(rule.stopOnMatch)) {
+      throw new Error(`Invalid stopOnMatch [${rule.stopOnMatch}]. Use one of: ${listAcceptedValues(RULE_STOP_MODES)}.`);
+    }
+    const filters = translateRulePaths(rule);
+    rule.compileWarnings = validateArrayReferences(rule);
+    const loops = [];
+    processConditionsForLoops(rule, loops);
+    rule.loops = sortLoopsByPath(loops);
+    renumberLoops(rule, rule.loops);
+    rule.loops.forEach((loop) => {
+      if (filters.has(loop.variable)) loop.filter = filters.get(loop.variable);
+    });
+    rule.loopVariables = compileLoopVariables(rule, rule.selfJoin ?? defaultSelfJoin);
+    if (rule.actions !== undefined) {
+      rule.compiledActions = compileActions(rule.actions, rule.loops);
+      // As ações rodam em todos os contextos que casaram, mesmo com returnAllContexts false
+      rule.collectAllMatches = true;
+    }
+    rule.messageTemplate = compileMessageTemplate(rule.description, (path) => bindPlaceholderLoops(path, rule.loops));
+    let conditionIndex = 0;
+    rule.compiledConditions = mapConditionTree(rule.conditions, (condition) => compileIndexedCondition(condition, conditionIndex++));
+    rule.pruningPlan = planContextPruning(rule.compiledConditions, rule.loops.length);
+  } catch (error) {
+    rule.compileError = error;
+  }
+  return rule;
+}
+
+/**
+ * Checks the named loop variables of a rule and marks their loops with the selfJoin mode.
+ * @param {object} rule The rule, with its sorted loops.
+ * @param {string} selfJoin 'all', 'distinct' (skip pairs with equal indices) or 'unordered' (also skip mirrored pairs).
+ * @return {Array<Array>} [variable, position in the context tuple] pairs, used to report bindings.
+ */
+function compileLoopVariables(rule, selfJoin) {
+  if (!SELF_JOIN_MODES.includes(selfJoin)) {
+    throw new Error(`Invalid selfJoin [${selfJoin}]. Use one of: ${SELF_JOIN_MODES.join(', ')}.`);
+  }
+  const loopVariables = [];
+  rule.loops.forEach((loop, position) => {
+    // Loops de filtros JSONPath têm variáveis geradas, que não são reportadas
+    if (!loop.variable || loop.filter) return;
+    if (loopVariables.some(([variable]) => variable === loop.variable)) {
+      throw new Error(`Loop variable [${loop.variable}] is used for different arrays.`);
+    }
+    loop.selfJoin = selfJoin;
+    loopVariables.push([loop.variable, position]);
   });
+  return loopVariables;
+}
+
+/**
+ * Plans which conditions can be checked while contexts are being generated.
+ * Only the conditions joined by the implicit AND of rule.conditions (or by a top-level 'all' group) take part.
+ * With n loops bound, the leading conditions that use only those loops are checked, in order, so a partial
+ * context is dropped exactly when every complete context built from it would fail on the same condition.
+ * @param {Array<object>|object} compiledConditions The compiled condition tree.
+ * @param {number} loopCount The number of loops of the rule.
+ * @return {object|null} { conditions, checkedByDepth }, or null when nothing can be checked early.
+ */
+function planContextPruning(compiledConditions, loopCount) {
+  if (loopCount === 0) return null;
+  const conditions = Array.isArray(compiledConditions) ? compiledConditions :
+    getConditionGroupKey(compiledConditions) === 'all' && Array.isArray(compiledConditions.all) ? compiledConditions.all : null;
+  if (!conditions) return null;
+
+  // Quantidade de loops que precisam estar definidos para avaliar cada condição
+  const depths = conditions.map((condition) => collectLeafConditions(condition).reduce(
+      (depth, leaf) => Math.max(depth, templateDepth(leaf.refTemplate), templateDepth(leaf.comparisonRefTemplate)), 0));
+  const checkedByDepth = [];
+  for (let depth = 0; depth < loopCount; depth++) {
+    let count = 0;
+    while (count < depths.length && depths[count] <= depth) count++;
+    checkedByDepth.push(count);
+  }
+  return checkedByDepth.some((count) => count > 0) ? {conditions, checkedByDepth} : null;
 }
 
 /**
- * Identifies and expands loops (arrays) in a rule's conditions.
- * Now analyzes both the 'ref' and 'comparisonRef' fields,
- * ensuring all referenced arrays are considered in context generation.
+ * Returns how many loops must be bound to resolve a path template.
+ * @param {Array<string|number>|null} template The parsed path template.
+ * @return {number} The highest loop index used plus one, or 0 without loops.
+ */
+function templateDepth(template) {
+  if (!template) return 0;
+  let depth = 0;
+  for (let i = 1; i < template.length; i += 2) depth = Math.max(depth, template[i] + 1);
+  return depth;
+}
+
+/**
+ * Checks the conditions planned for a partial context.
+ * Errors never prune: the context is kept so the error is reported by the complete evaluation, as before.
+ * @param {object} plan The plan returned by planContextPruning.
+ * @param {object} scope The evaluation scope, with the partial context.
+ * @return {boolean} False when the partial context already fails one of the conditions.
+ */
+function canExtendContext(plan, scope) {
+  const depth = scope.context.length;
+  const count = plan.checkedByDepth[depth];
+  if (count === 0 || (depth > 0 && count === plan.checkedByDepth[depth - 1])) return true;
+  try {
+    for (let i = 0; i < count; i++) {
+      if (!evaluateConditionNode(plan.conditions[i], scope).result) return false;
+    }
+  } catch (error) {
+    return true;
+  }
+  return true;
+}
+
+/**
+ * Compiles a plain condition of rule.conditions, recording its index in evaluation order so that
+ * errors (from compiling it now, or from evaluating it later) can be reported with it.
+ * @param {object} condition The condition, with loops already replaced by '[@n]'.
+ * @param {number} conditionIndex The index of the condition.
+ * @return {object} The compiled condition.
+ */
+function compileIndexedCondition(condition, conditionIndex) {
+  try {
+    return {...compileLeafCondition(condition), conditionIndex};
+  } catch (error) {
+    error.conditionIndex = conditionIndex;
+    throw error;
+  }
+}
+
+/**
+ * Parses the paths and looks up the operator of a plain condition.
+ * @param {object} condition The condition, with loops already replaced by '[@n]'.
+ * @return {object} The compiled condition.
+ */
+function compileLeafCondition(condition) {
+  if (isQuantifierCondition(condition)) return compileQuantifierCondition(condition);
+  if (condition.semantics !== undefined) validateSemantics(condition.semantics);
+  const operatorDefinition = getOperator(condition.operator);
+  return {
+    ...condition,
+    ref: compileRef(condition.ref),
+    comparisonRef: compileRef(condition.comparisonRef),
+    refTemplate: parsePathTemplate(getRefPath(condition.ref)),
+    comparisonRefTemplate: parsePathTemplate(getRefPath(condition.comparisonRef)),
+    operatorDefinition,
+    compiledComparison: operatorDefinition?.compileComparison && condition.comparisonValue !== undefined ? operatorDefinition.compileComparison(condition.comparisonValue, condition) : undefined,
+  };
+}
+
+/**
+ * Checks a quantifier condition and compiles its inner conditions.
+ * @param {object} condition The quantifier condition, with loops already replaced by '[@n]'.
+ * @return {object} The compiled condition.
+ */
+function compileQuantifierCondition(condition) {
+  if (!QUANTIFIERS.includes(condition.quantifier)) {
+    throw new Error(`Unsupported quantifier: ${condition.quantifier}`);
+  }
+  if (['atLeast', 'exactly'].includes(condition.quantifier) && !(Number.isInteger(condition.count) && condition.count >= 0)) {
+    throw new Error(`Quantifier [${condition.quantifier}] requires a non-negative integer count.`);
+  }
+  if (condition.conditions === undefined || condition.conditions === null) {
+    throw new Error(`Quantifier [${condition.quantifier}] requires conditions.`);
+  }
+  return {
+    ...condition,
+    conditions: mapConditionTree(condition.conditions, compileLeafCondition),
+    refTemplate: parsePathTemplate(condition.ref),
+  };
+}
+
+/**
+ * Checks an aggregate ref and compiles its filter, or parses an expression ref. Plain paths are returned as they are.
+ * @param {string|object} ref The 'ref' or 'comparisonRef' of a condition.
+ * @return {string|object} The compiled ref.
+ */
+function compileRef(ref) {
+  if (isExpressionRef(ref)) return {...ref, parsed: parseExpression(ref.expression)};
+  if (!isAggregateRef(ref)) return ref;
+  if (!AGGREGATE_FUNCTIONS.includes(ref.aggregate)) {
+    throw new Error(`Unsupported aggregate: ${ref.aggregate}`);
+  }
+  if (typeof ref.path !== 'string' || ref.path.length === 0) {
+    throw new Error(`Aggregate [${ref.aggregate}] requires a path.`);
+  }
+  return {...ref, filter: ref.filter === undefined ? undefined : mapConditionTree(ref.filter, compileLeafCondition)};
+}
+
+/**
+ * Splits a path with '[@n]' loop markers into literal parts and loop indices.
  *
- * Example: If 'ref' references 'clients[]' and 'comparisonRef' references 'references[]',
- * both will be considered and the cartesian product of indices will be generated.
+ * Example:
+ *   'clients[@0].orders[@1].total' => ['clients', 0, '.orders', 1, '.total']
  *
- * @param {object} rule The rule being processed.
- * @param {Array<object>} loops The array where identified loops will be stored.
+ * @param {string} path The path.
+ * @return {Array<string|number>|null} The parts (odd positions are loop indices), or null if the path has no loop markers.
  */
-function processConditionsForLoops(rule, loops) {
-  rule.conditions.forEach((condition, conditionIndex) => {
-    // Lista de campos a analisar: ref e comparisonRef
-    ['ref', 'comparisonRef'].forEach((field) => {
-      if (condition[field]) {
-        let refValue = condition[field];
-        while (refValue.includes('[]')) {
-          const {objectName, completeObjectPath} = extractLoopDetails(refValue);
-          // Evita duplicidade de loops
-          if (!loops.some(loop => loop.completeObjectPath === completeObjectPath)) {
-            loops.push({objectName, completeObjectPath, parm: `@${loops.length}`});
-          }
-          // Atualiza todos os campos ref e comparisonRef das condições
-          rule.conditions.forEach((innerCondition) => {
-            ['ref', 'comparisonRef'].forEach((innerField) => {
-              if (innerCondition[innerField] && innerCondition[innerField].includes(`${objectName}[]`)) {
-                innerCondition[innerField] = innerCondition[innerField].replaceAll(
-                  `${objectName}[]`,
-                  `${objectName}[@${loops.length - 1}]`,
-                );
-              }
-            });
-          });
-          // Atualiza o valor para continuar o while, se houver mais de um []
-          refValue = refValue.replace(`${objectName}[]`, `${objectName}[@${loops.length - 1}]`);
-        }
-      }
-    });
+function parsePathTemplate(path) {
+  if (typeof path !== 'string' || !path.includes('[@')) return null;
+  return path.split(/\[@(\d+)\]/).map((part, index) => (index % 2 === 1 ? Number(part) : part));
+}
+
+/**
+ * Builds the concrete path of a template for a context of indices.
+ * @param {Array<string|number>|null} template The parsed path template.
+ * @param {Array<number>} context The context of indices.
+ * @return {string|undefined} The path, or undefined if there is no template.
+ */
+function resolvePathTemplate(template, context) {
+  if (!template) return undefined;
+  let path = '';
+  for (let i = 0; i < template.length; i++) {
+    path += i % 2 === 1 ? `.${context[template[i]]}` : template[i];
+  }
+  return path;
+}
+
+/**
+ * Checks the '_results.' references of the rules and orders the rules so that each one is evaluated
+ * after the rules it references. Invalid references and dependency cycles become compile errors.
+ * Rules whose 'matches' is referenced are marked with collectAllMatches.
+ * @param {Array<object>} rules The compiled rules, in priority order.
+ * @return {Array<object>} The rules in evaluation order.
+ */
+function compileRuleReferences(rules) {
+  const ruleIds = new Set(rules.map((rule) => String(rule.id)));
+  rules.forEach((rule) => {
+    if (rule.compileError) return;
+    const invalid = findRuleReferences(rule, ruleIds).find(({field}) => !OUTCOME_FIELDS.includes(field));
+    if (!invalid) return;
+    rule.compileError = new Error(invalid.ruleId === null ? `No rule matches the reference [${invalid.path}].` :
+      `Unknown rule outcome [${invalid.field}] in [${invalid.path}]. Use one of: ${OUTCOME_FIELDS.join(', ')}.`);
   });
+  // Regras cujo 'matches' é lido contam todos os contextos, mesmo com returnAllContexts false
+  const counted = new Set(rules.flatMap((rule) => findRuleReferences(rule, ruleIds).filter(({field}) => field === 'matches').map(({ruleId}) => ruleId)));
+  rules.forEach((rule) => {
+    if (counted.has(String(rule.id))) rule.collectAllMatches = true;
+  });
+  const {sorted, cycles} = sortRulesByDependencies(rules);
+  cycles.forEach((ids, rule) => {
+    rule.compileError ??= new Error(`Rules [${ids.join(', ')}] reference each other in a cycle.`);
+  });
+  return sorted;
+}
+
+/**
+ * Builds the outcome of an evaluated rule, read by '_results.' references, from its entries in the results.
+ * @param {Array<object>} entries The results added while evaluating the rule.
+ * @param {object} rule The evaluated rule, with the contexts that matched.
+ * @return {object} { fired, matches, errored, skipped }
+ */
+function getRuleOutcome(entries, rule) {
+  const match = entries.find((result) => result.keyword === 'conditional' && !result.errors);
+  return {
+    fired: Boolean(match),
+    // Contextos que casaram, não só os reportados; regras sem arrays têm um único
+    matches: match ? rule.matchedContexts?.length ?? 1 : 0,
+    errored: entries.some((result) => result.keyword === 'conditional' && result.errors),
+    skipped: false,
+  };
 }
 
 /**
- * Extracts details of a loop from a condition value.
- * @param {string} value The condition value.
- * @return {object} The extracted loop details.
+ * Returns the priority of a rule: higher priorities are evaluated first. Rules without a valid priority count as 0.
+ * @param {object} rule The rule.
+ * @return {number} The priority.
  */
-function extractLoopDetails(value) {
-  const completeObjectPath = value.split('[]')[0];
-  const lastDotIndex = completeObjectPath.lastIndexOf('.');
-  const objectName = completeObjectPath.slice(lastDotIndex + 1);
-  return {objectName, completeObjectPath};
+function getPriority(rule) {
+  return Number.isFinite(rule.priority) ? rule.priority : 0;
+}
+
+/**
+ * Tells which rules are skipped after a rule matches.
+ * The rule's own stopOnMatch wins over the option: true skips every remaining rule, 'type' skips the remaining
+ * rules of the same type and false skips none. Otherwise the option applies: true for any rule, or the rule types that stop.
+ * @param {object} rule The rule that matched.
+ * @param {boolean|string|Array<string>} stopOnMatch The stopOnMatch option.
+ * @return {string|null} 'all', 'type' or null.
+ */
+function getStopScope(rule, stopOnMatch) {
+  if (rule.stopOnMatch !== undefined) {
+    if (rule.stopOnMatch === 'type') return 'type';
+    return rule.stopOnMatch ? 'all' : null;
+  }
+  const types = typeof stopOnMatch === 'string' ? [stopOnMatch] : stopOnMatch;
+  if (types === true || (Array.isArray(types) && types.includes(rule.type))) return 'all';
+  return null;
+}
+
+/**
+ * Tells why a rule is not active at a date, based on its initialDate and endDate.
+ * @param {object} rule The rule.
+ * @param {Date} now The reference date.
+ * @return {object|null} { reason: 'not_started'|'expired', message }, or null for active rules.
+ */
+function getInactiveReason(rule, now = new Date()) {
+  if (rule.initialDate && !(new Date(rule.initialDate) <= now)) {
+    return {reason: 'not_started', message: `The rule starts at ${rule.initialDate}, after the reference date ${now.toISOString()}.`};
+  }
+  if (rule.endDate && !(new Date(rule.endDate) >= now)) {
+    return {reason: 'expired', message: `The rule ended at ${rule.endDate}, before the reference date ${now.toISOString()}.`};
+  }
+  return null;
 }
 
 /**
@@ -166,25 +847,34 @@ function sortLoopsByPath(loops) {
 /**
  * Validates array references in loops.
  * Now allows any combination of arrays (cartesian product),
- * only issuing a warning if there are arrays with the same name but different paths.
+ * only issuing a warning if there are arrays with the same name but different paths,
+ * which are iterated as a single loop. Must run before the loops replace the '[]' markers.
  * Never blocks the rule.
  *
- * @param {Array<object>} sortedLoops The sorted loops.
  * @param {object} rule The rule being validated.
- * @return {boolean} Always returns true.
+ * @return {Array<object>} The warnings, as { code, cause, context } entries.
  */
-function validateArrayReferences(sortedLoops, rule) {
+function validateArrayReferences(rule) {
   // Permitir qualquer combinação de arrays (produto cartesiano)
   // Apenas emitir aviso se houver caminhos de array com o mesmo nome mas caminhos diferentes
-  const paths = sortedLoops.map(l => l.completeObjectPath);
-  const names = sortedLoops.map(l => l.objectName);
-  const duplicates = names.filter((name, idx) => names.indexOf(name) !== idx);
-  if (duplicates.length > 0) {
-    console.warn(
-      `Warning: Rule [${rule.id}] references multiple arrays with the same name (${duplicates.join(', ')}), but different paths: ${paths.join(', ')}`
-    );
-  }
-  return true;
+  const pathsByName = new Map();
+  collectLeafConditions(rule.conditions).forEach((condition) => {
+    ['ref', 'comparisonRef'].forEach((field) => {
+      const refPath = getRefPath(condition[field]);
+      if (typeof refPath !== 'string') return;
+      listArrayReferences(refPath, isExpressionRef(condition[field])).forEach(({objectName, completeObjectPath, variable}) => {
+        if (isAggregateRef(condition[field]) && !variable) return;
+        const key = `${objectName}[${variable ?? ''}]`;
+        if (!pathsByName.has(key)) pathsByName.set(key, new Set());
+        pathsByName.get(key).add(completeObjectPath);
+      });
+    });
+  });
+  return [...pathsByName].filter(([, paths]) => paths.size > 1).map(([name, paths]) => ({
+    code: 'ambiguous_array_name',
+    cause: 'Arrays with the same name',
+    context: `Rule [${rule.id}] references multiple arrays with the same name (${name}), but different paths: ${[...paths].join(', ')}`,
+  }));
 }
 
 /**
@@ -192,22 +882,33 @@ function validateArrayReferences(sortedLoops, rule) {
  * Now always returns an array of contexts, even when there are no loops (returns [ [] ]).
  * This ensures rules with only one array field or different arrays are evaluated correctly.
  *
+ * Partial tuples are offered to canExtend before going deeper, like a nested-loop join with
+ * early filtering: when it returns false, none of the contexts built from that tuple is generated
+ * and contextCounter.pruned is incremented. Only generated contexts count towards contextLimit.
+ *
+ * Named loop variables over the same array follow their loop's selfJoin mode:
+ * 'distinct' skips tuples that repeat an index and 'unordered' also skips mirrored tuples.
+ *
  * Example:
  *   loops: [clients[], references[]] => contexts: [ [0,0], [0,1], [1,0], [1,1] ]
  *
  * @param {object} documentJson The JSON document to explode.
- * @param {Array<object>} conditions The conditions to apply.
+ * @param {function(Array<number>): boolean|null} canExtend Returns false when a partial tuple already fails the rule.
  * @param {Array<object>} existingLoops The identified loops.
  * @param {Array<number>} currentTuple The current tuple of indices (for recursion).
  * @param {number} contextLimit The maximum number of contexts allowed.
  * @param {number} startTime The start time of the operation.
  * @param {number} timeLimit The maximum time allowed for the operation.
- * @param {object} contextCounter An object to track context count and limits.
+ * @param {object} contextCounter An object to track context count, pruned tuples and limits.
  * @return {Array<Array<number>>} Array of contexts (each context is an array of indices).
  */
-function explodeContexts(documentJson, conditions, existingLoops, currentTuple, contextLimit = 10000, startTime = Date.now(), timeLimit = 200, contextCounter = { count: 0, limitReached: false, timeReached: false }) {
+function explodeContexts(documentJson, canExtend, existingLoops, currentTuple, contextLimit = 10000, startTime = Date.now(), timeLimit = 200, contextCounter = { count: 0, pruned: 0, limitReached: false, timeReached: false }) {
   const loops = [...existingLoops];
   const totalTuples = [];
+  if (loops.length > 0 && canExtend && !canExtend(currentTuple)) {
+    contextCounter.pruned++;
+    return totalTuples;
+  }
   if (loops.length === 0) {
     contextCounter.count++;
     if (contextCounter.count > contextLimit) {
@@ -220,21 +921,29 @@ function explodeContexts(documentJson, conditions, existingLoops, currentTuple,
     }
     return [currentTuple];
   }
-  const currentLoop = JSON.parse(JSON.stringify(loops.shift()));
-  const loopItemsCount = objectPath.get(documentJson, currentLoop.completeObjectPath) ?? [];
-  for (let i = 0; i < loopItemsCount.length; i++) {
+  const currentLoop = {...loops.shift()};
+  const loopItems = objectPath.get(documentJson, toObjectPath(currentLoop.completeObjectPath)) ?? [];
+  for (let i = currentLoop.minIndex ?? 0; i < loopItems.length; i++) {
     if (contextCounter.limitReached || contextCounter.timeReached) break;
+    if (currentLoop.excludedIndices?.includes(i)) continue;
+    if (currentLoop.filter && !currentLoop.filter(loopItems[i])) continue;
     if (loops.length > 0) {
       const newLoops = loops.map((item) => {
-        return {
-          objectName: item.objectName,
+        const newLoop = {
+          ...item,
           completeObjectPath: item.completeObjectPath.replace(
               `${currentLoop.completeObjectPath}[${currentLoop.parm}]`,
               `${currentLoop.completeObjectPath}.${i}`,
           ),
         };
+        // Variáveis nomeadas sobre o mesmo array (self-join)
+        if (currentLoop.variable && newLoop.variable && newLoop.completeObjectPath === currentLoop.completeObjectPath) {
+          if (newLoop.selfJoin === 'distinct') newLoop.excludedIndices = [...(newLoop.excludedIndices ?? []), i];
+          if (newLoop.selfJoin === 'unordered') newLoop.minIndex = i + 1;
+        }
+        return newLoop;
       });
-      explodeContexts(documentJson, conditions, [...newLoops], [...currentTuple, i], contextLimit, startTime, timeLimit, contextCounter).forEach((tuple) => {
+      explodeContexts(documentJson, canExtend, [...newLoops], [...currentTuple, i], contextLimit, startTime, timeLimit, contextCounter).forEach((tuple) => {
         if (!contextCounter.limitReached && !contextCounter.timeReached) {
           totalTuples.push(tuple);
         }
@@ -257,102 +966,51 @@ function explodeContexts(documentJson, conditions, existingLoops, currentTuple,
 
 /**
  * Evaluates simple conditions without contexts.
- * @param {object} documentJson The JSON document.
- * @param {Array<object>} conditions The conditions to evaluate.
- * @param {object|null} contextObj Optional context object. If provided, rules can reference it using '_context.' in their ref or comparisonRef paths.
+ * @param {Array<object>|object} conditions The compiled condition tree to evaluate.
+ * @param {object} scope The evaluation scope: { documentJson, contextObj, context, options }.
  * @return {object} The result of the evaluation.
  */
-function evaluateSimpleConditions(documentJson, conditions, contextObj = null) {
-  return conditions.reduce(
-      (result, condition) => {
-        if (result.response) {
-          try {
-            // Suporte a comparisonRef
-            if (condition.comparisonValue !== undefined && condition.comparisonRef !== undefined) {
-              throw new Error('A condition cannot have both comparisonValue and comparisonRef.');
-            }
-            const leftValue = getValueWithContext(documentJson, condition.ref, contextObj);
-            let rightValue;
-            if (condition.comparisonRef !== undefined) {
-              rightValue = getValueWithContext(documentJson, condition.comparisonRef, contextObj);
-            } else {
-              rightValue = condition.comparisonValue;
-            }
-            const test = testCondition(leftValue, rightValue, condition.operator);
-            if (test) {
-              result.items.push({
-                instancePath: condition.ref,
-                instancePathValue: leftValue,
-                operator: condition.operator,
-                comparisonValue: rightValue,
-              });
-            }
-            return {response: test, items: result.items};
-          } catch (error) {
-            logError('Error in evaluateSimpleConditions', error);
-            throw new Error(`Failed to evaluate conditions in one context.`);
-          }
-        }
-        return {response: false, items: result.items};
-      },
-      {response: true, items: []},
-  );
+function evaluateSimpleConditions(conditions, scope) {
+  try {
+    const evaluation = evaluateConditionNode(conditions, scope);
+    return {response: evaluation.result, items: evaluation.conditionValues};
+  } catch (error) {
+    throw new Error(`Failed to evaluate conditions in one context.`, {cause: error});
+  }
 }
 
 /**
  * Evaluates conditions in multiple contexts.
- * @param {object} documentJson The JSON document.
- * @param {object} rule The rule being evaluated.
- * @param {Array<object>} loops The loops to consider.
- * @param {object|null} contextObj Optional context object. If provided, rules can reference it using '_context.' in their ref or comparisonRef paths.
- * @param {boolean} returnAllContexts Whether to return all contexts or stop at the first valid one.
+ * @param {object} rule The compiled rule being evaluated, with its contexts.
+ * @param {object} scope The evaluation scope: { documentJson, contextObj, options }.
+ * @param {boolean} returnAllContexts Whether to return all contexts or stop at the first valid one. Rules with
+ *   collectAllMatches still evaluate every context, but only the first one that matched is returned.
+ * @param {Array<Array<number>>} [matchedContexts] Receives every context that matched, in evaluation order.
  * @return {Array<object>} The results of the evaluation for each context.
  */
-function evaluateConditionsInContexts(documentJson, rule, loops, contextObj = null, returnAllContexts = true) {
+function evaluateConditionsInContexts(rule, scope, returnAllContexts = true, matchedContexts = []) {
   const results = [];
   for (const context of rule.contexts) {
-    const conditionsInContext = rule.conditions.map((condition) =>
-      replaceContextValues(condition, loops, context),
-    );
-
-    const evaluation = conditionsInContext.reduce(
-      (prevItem, condition) => {
-        if (prevItem.result) {
-          try {
-            if (condition.comparisonValue !== undefined && condition.comparisonRef !== undefined) {
-              throw new Error('A condition cannot have both comparisonValue and comparisonRef.');
-            }
-            const leftValue = getValueWithContext(documentJson, condition.ref, contextObj);
-            let rightValue;
-            if (condition.comparisonRef !== undefined) {
-              rightValue = getValueWithContext(documentJson, condition.comparisonRef, contextObj);
-            } else {
-              rightValue = condition.comparisonValue;
-            }
-            const test = testCondition(leftValue, rightValue, condition.operator);
-            if (test) {
-              prevItem.conditionValues.push({
-                instancePath: condition.ref,
-                instancePathValue: leftValue,
-                operator: condition.operator,
-                comparisonValue: rightValue,
-              });
-              return {result: true, conditionValues: prevItem.conditionValues};
-            }
-            return {result: false, conditionValues: prevItem.conditionValues};
-          } catch (error) {
-            logError('Error in evaluateConditionsInContexts', error);
-            throw new Error(`Failed to evaluate conditions in one context in rule [${rule.id}].`);
-          }
-        }
-        return {result: false, conditionValues: prevItem.conditionValues};
-      },
-      {result: true, conditionValues: []},
-    );
+    let evaluation;
+    try {
+      evaluation = evaluateConditionNode(rule.compiledConditions, {...scope, context});
+    } catch (error) {
+      throw new Error(`Failed to evaluate conditions in one context in rule [${rule.id}].`, {cause: error});
+    }
 
-    if (evaluation.result) {
+    if (evaluation.result && !returnAllContexts && results.length > 0) {
+      matchedContexts.push(context);
+    } else if (evaluation.result) {
+      if (rule.loopVariables.length > 0) {
+        evaluation.bindings = Object.fromEntries(rule.loopVariables.map(([variable, position]) => [variable, context[position]]));
+      }
+      if (rule.messageTemplate) {
+        const readPath = (path) => getValueWithContext(scope.documentJson, resolvePathTemplate(parsePathTemplate(path), context) ?? path, scope.contextObj, scope.options);
+        evaluation.message = renderMessageTemplate(rule.messageTemplate, readPath, evaluation.conditionValues, scope.options);
+      }
       results.push(evaluation);
-      if (!returnAllContexts) {
+      matchedContexts.push(context);
+      if (!returnAllContexts && !rule.collectAllMatches) {
         return results;
       }
     }
@@ -361,39 +1019,212 @@ function evaluateConditionsInContexts(documentJson, rule, loops, contextObj = nu
 }
 
 /**
- * Tests a condition against two values.
+ * Evaluates a condition tree.
+ * An array is an implicit 'all' group; { all: [...] }, { any: [...] } and { not: {...} } can be nested to any depth.
+ * The returned conditionValues explain the outcome: for a passing 'any' they hold only the branch that matched,
+ * and every condition inside a group carries a conditionPath (e.g. '1.any.0') pointing at it in rule.conditions.
+ * @param {Array<object>|object} node The compiled condition tree to evaluate.
+ * @param {object} scope The evaluation scope: { documentJson, contextObj, context, options }.
+ * @param {string} path The path of the node inside rule.conditions.
+ * @param {boolean} nested Whether the node is inside a group.
+ * @return {object} The result of the evaluation: { result, conditionValues }.
+ */
+function evaluateConditionNode(node, scope, path = '', nested = false) {
+  const childPath = (segment) => (path === '' ? `${segment}` : `${path}.${segment}`);
+  if (Array.isArray(node)) {
+    return evaluateConditionGroup('all', node, scope, (index) => childPath(index), nested);
+  }
+  const groupKey = getConditionGroupKey(node);
+  if (groupKey === 'not') {
+    const inner = evaluateConditionNode(node.not, scope, childPath('not'), true);
+    return {result: !inner.result, conditionValues: inner.conditionValues};
+  }
+  if (groupKey) {
+    if (!Array.isArray(node[groupKey])) {
+      throw new Error(`Condition group '${groupKey}' must be an array.`);
+    }
+    return evaluateConditionGroup(groupKey, node[groupKey], scope, (index) => childPath(`${groupKey}.${index}`), true);
+  }
+  return evaluateLeafCondition(node, scope, nested ? path : undefined);
+}
+
+/**
+ * Evaluates the children of an 'all' or 'any' group, short-circuiting as soon as the outcome is known.
+ * @param {string} groupKey 'all' or 'any'.
+ * @param {Array<object>} children The child nodes.
+ * @param {object} scope The evaluation scope.
+ * @param {function(number): string} pathOf Returns the path of the child at the given index.
+ * @param {boolean} nested Whether the children are inside a group.
+ * @return {object} The result of the evaluation: { result, conditionValues }.
+ */
+function evaluateConditionGroup(groupKey, children, scope, pathOf, nested) {
+  const conditionValues = [];
+  for (let i = 0; i < children.length; i++) {
+    const child = evaluateConditionNode(children[i], scope, pathOf(i), nested);
+    if (groupKey === 'all' && !child.result) return {result: false, conditionValues: child.conditionValues};
+    if (groupKey === 'any' && child.result) return {result: true, conditionValues: child.conditionValues};
+    conditionValues.push(...child.conditionValues);
+  }
+  return {result: groupKey === 'all', conditionValues};
+}
+
+/**
+ * Evaluates a plain condition, resolving its loop markers for the scope's context.
+ * @param {object} compiledCondition The compiled condition to evaluate.
+ * @param {object} scope The evaluation scope: { documentJson, contextObj, context, options }.
+ * @param {string} [conditionPath] The path of the condition inside rule.conditions, reported for nested conditions.
+ * @return {object} The result of the evaluation: { result, conditionValues }.
+ */
+function evaluateLeafCondition(compiledCondition, scope, conditionPath) {
+  try {
+    return evaluatePlainCondition(compiledCondition, scope, conditionPath);
+  } catch (error) {
+    if (findConditionIndex(error) === null && compiledCondition.conditionIndex !== undefined) error.conditionIndex = compiledCondition.conditionIndex;
+    throw error;
+  }
+}
+
+/**
+ * Evaluates a plain condition or a quantifier, with the loop markers resolved for the scope's context.
+ * @param {object} compiledCondition The compiled condition to evaluate.
+ * @param {object} scope The evaluation scope: { documentJson, contextObj, context, options }.
+ * @param {string} [conditionPath] The path of the condition inside rule.conditions, reported for nested conditions.
+ * @return {object} The result of the evaluation: { result, conditionValues }.
+ */
+function evaluatePlainCondition(compiledCondition, scope, conditionPath) {
+  const condition = scope.context ? replaceContextValues(compiledCondition, scope.context) : compiledCondition;
+  if (condition.quantifier !== undefined) return evaluateQuantifierCondition(condition, scope, conditionPath);
+  if (condition.comparisonValue !== undefined && condition.comparisonRef !== undefined) {
+    throw new Error('A condition cannot have both comparisonValue and comparisonRef.');
+  }
+  if (condition.comparisonValue === undefined && condition.comparisonRef === undefined && condition.operatorDefinition?.requiresComparison) {
+    throw new Error(`Operator [${condition.operator}] requires a comparisonValue or comparisonRef.`);
+  }
+  const missingParameter = condition.operatorDefinition?.requiredParameters.find((parameter) => condition[parameter] === undefined);
+  if (missingParameter) {
+    throw new Error(`Operator [${condition.operator}] requires the condition field [${missingParameter}].`);
+  }
+  const left = readOperand(condition.ref, scope, condition.refSyntax);
+  let right;
+  if (condition.comparisonRef !== undefined) {
+    right = readOperand(condition.comparisonRef, scope, condition.comparisonRefSyntax);
+  } else {
+    right = {value: condition.comparisonValue, reportedValue: condition.comparisonValue};
+  }
+  const conditionValue = {
+    instancePath: left.reportedPath,
+    instancePathValue: left.reportedValue,
+    operator: condition.operator,
+    comparisonValue: right.reportedValue,
+  };
+  if (conditionPath !== undefined) conditionValue.conditionPath = conditionPath;
+  const result = testCondition(left.value, right.value, condition.operator, condition.operatorDefinition, {condition, options: scope.options, compiledComparison: condition.compiledComparison});
+  return {result, conditionValues: [conditionValue]};
+}
+
+/**
+ * Evaluates a quantifier: its inner conditions run once per element of the array at 'ref',
+ * with the element as the document, and the quantifier decides from the number of matches.
+ * The indices of the elements that matched and failed are reported.
+ * @param {object} condition The compiled quantifier condition, with loops already bound.
+ * @param {object} scope The evaluation scope: { documentJson, contextObj, options }.
+ * @param {string} [conditionPath] The path of the condition inside rule.conditions, reported for nested conditions.
+ * @return {object} The result of the evaluation: { result, conditionValues }.
+ */
+function evaluateQuantifierCondition(condition, scope, conditionPath) {
+  const array = getValueWithContext(scope.documentJson, condition.ref, scope.contextObj, scope.options);
+  const matchedIndices = [];
+  const failedIndices = [];
+  (Array.isArray(array) ? array : []).forEach((element, index) => {
+    const evaluation = evaluateConditionNode(condition.conditions, {...scope, documentJson: element, context: null});
+    (evaluation.result ? matchedIndices : failedIndices).push(index);
+  });
+
+  const matches = matchedIndices.length;
+  const result = {
+    all: failedIndices.length === 0,
+    any: matches > 0,
+    none: matches === 0,
+    atLeast: matches >= condition.count,
+    exactly: matches === condition.count,
+  }[condition.quantifier];
+
+  const conditionValue = {instancePath: formatPath(condition.ref, condition.refSyntax), quantifier: condition.quantifier};
+  if (condition.count !== undefined) conditionValue.count = condition.count;
+  conditionValue.matchedIndices = matchedIndices;
+  conditionValue.failedIndices = failedIndices;
+  if (conditionPath !== undefined) conditionValue.conditionPath = conditionPath;
+  return {result, conditionValues: [conditionValue]};
+}
+
+/**
+ * Reads the value of a 'ref' or 'comparisonRef', computing it when it is an aggregate or an expression.
+ * Aggregates are reported as { aggregate, value, count } under a path like 'sum(items[].price)';
+ * expressions are reported as their value, under the expression text with its loops bound.
+ * @param {string|object} ref The ref, with loops already bound.
+ * @param {object} scope The evaluation scope: { documentJson, contextObj, context, options }.
+ * @param {string} [syntax] The syntax the path was written in ('pointer' or 'jsonpath'), used for reportedPath.
+ * @return {object} { value, reportedValue, reportedPath }, where value is the one compared by the operator.
+ */
+function readOperand(ref, scope, syntax) {
+  const {documentJson, contextObj, context, options} = scope;
+  if (isExpressionRef(ref)) {
+    // Os caminhos da árvore ainda têm '[@n]'; são resolvidos com o contexto atual
+    const value = evaluateExpression(ref.parsed, (path) =>
+      getValueWithContext(documentJson, (context && resolvePathTemplate(parsePathTemplate(path), context)) ?? path, contextObj, options));
+    return {value, reportedValue: value, reportedPath: getReportedPath(ref)};
+  }
+  if (!isAggregateRef(ref)) {
+    const value = getValueWithContext(documentJson, ref, contextObj, options);
+    return {value, reportedValue: value, reportedPath: getReportedPath(ref, syntax)};
+  }
+  const items = collectAggregateItems(ref.path, (path) => getValueWithContext(documentJson, path, contextObj, options));
+  // Filtro avaliado com o próprio elemento como documento
+  const selected = ref.filter === undefined ? items : items.filter(({element}) =>
+    evaluateConditionNode(ref.filter, {...scope, documentJson: element, context: null}).result);
+  const {value, count} = computeAggregate(ref.aggregate, selected.map((item) => item.value));
+  return {value, reportedValue: {aggregate: ref.aggregate, value, count}, reportedPath: getReportedPath(ref)};
+}
+
+/**
+ * Returns how a 'ref' or 'comparisonRef' is reported: the path, 'sum(items[].price)' for aggregates
+ * or the expression text. Paths written as JSON Pointer or JSONPath are reported in that syntax.
+ * @param {string|object} ref The ref, with loops already bound.
+ * @param {string} [syntax] The syntax of a plain path ('pointer' or 'jsonpath').
+ * @return {string|undefined} The reported path.
+ */
+function getReportedPath(ref, syntax) {
+  if (isExpressionRef(ref)) return ref.expression;
+  if (isAggregateRef(ref)) return `${ref.aggregate}(${formatPath(ref.path, ref.syntax)})`;
+  return formatPath(ref, syntax);
+}
+
+/**
+ * Tests a condition against two values, using the operator registry.
  * @param {any} leftValue The left-hand side value of the condition.
  * @param {any} rightValue The right-hand side value of the condition.
  * @param {string} operator The operator to use for the comparison.
+ * @param {object} [definition] The operator definition, when already looked up.
+ * @param {object} [call] Passed on to the operator: { condition, options, compiledComparison }. Without compiledComparison, operators with compileComparison prepare the right value on this call.
  * @return {boolean} True if the condition is met, false otherwise.
  */
-function testCondition(leftValue, rightValue, operator) {
+function testCondition(leftValue, rightValue, operator, definition = getOperator(operator), call = {}) {
   try {
-    if (operator === 'exists') return typeof leftValue !== 'undefined';
-    if (operator === 'does_not_exists') return typeof leftValue === 'undefined';
-    if (typeof leftValue === 'undefined') return false; // Avoids error when leftValue is undefined
-    if (operator === 'is_empty') return leftValue.length === 0;
-    if (operator === 'is_not_empty') return leftValue.length > 0;
-
-    if (typeof leftValue === 'string') leftValue = leftValue.toLowerCase();
-    if (typeof rightValue === 'string') rightValue = rightValue.toLowerCase();
-
-    if (operator === '=') return leftValue === rightValue;
-    if (operator === '<>') return leftValue !== rightValue;
-    if (operator === '<') return leftValue < rightValue;
-    if (operator === '<=') return leftValue <= rightValue;
-    if (operator === '>') return leftValue > rightValue;
-    if (operator === '>=') return leftValue >= rightValue;
-    if (operator === 'contains') return leftValue.includes(rightValue);
-    if (operator === 'does_not_contains') return !leftValue.includes(rightValue);
-    if (operator === 'is_contained') return rightValue.includes(leftValue);
-    if (operator === 'in') return rightValue.includes(leftValue);
-    if (operator === 'not_in') return !rightValue.includes(leftValue);
-
-    throw new Error(`Unsupported operator: ${operator}`);
+    if (!definition) throw new Error(`Unsupported operator: ${operator}`);
+    const {fn, ...flags} = definition;
+    const meta = {...flags, condition: call.condition ?? {}, options: call.options ?? {}, compiledComparison: call.compiledComparison};
+    if (typeof leftValue === 'undefined' && !meta.allowUndefined) return false; // Avoids error when leftValue is undefined
+    // comparisonRef: o valor só é conhecido agora
+    if (meta.compileComparison && meta.compiledComparison === undefined) meta.compiledComparison = meta.compileComparison(rightValue, meta.condition);
+
+    if (meta.lowercaseStrings) {
+      const semantics = {...DEFAULT_SEMANTICS, ...meta.options.semantics, ...meta.condition.semantics};
+      [leftValue, rightValue] = applySemantics(leftValue, rightValue, semantics, operator);
+    }
+
+    return Boolean(fn(leftValue, rightValue, meta));
   } catch (error) {
-    logError(`Error in testCondition with operator [${operator}]`, error);
-    throw new Error(`Failed to test condition with operator [${operator}].`);
+    throw new Error(`Failed to test condition with operator [${operator}].`, {cause: error});
   }
 }
 
@@ -405,35 +1236,40 @@ function testCondition(leftValue, rightValue, operator) {
  *   ref: 'clients[@0].age', comparisonRef: 'references[@1].minAge', context: [1,0]
  *   => ref: 'clients.1.age', comparisonRef: 'references.0.minAge'
  *
- * @param {object} condition The condition to be adjusted.
- * @param {Array<object>} loops The considered loops.
+ * @param {object} condition The compiled condition to be adjusted.
  * @param {Array<number>} context The context of indices.
  * @return {object} The condition with adjusted paths.
  */
-function replaceContextValues(condition, loops, context) {
-  let adjustedRef = condition.ref;
-  let adjustedComparisonRef = condition.comparisonRef;
-  loops.forEach((loop, loopIndex) => {
-    adjustedRef = adjustedRef?.replaceAll(`[@${loopIndex}]`, `.${context[loopIndex]}`);
-    if (adjustedComparisonRef) {
-      adjustedComparisonRef = adjustedComparisonRef.replaceAll(`[@${loopIndex}]`, `.${context[loopIndex]}`);
-    }
-  });
+function replaceContextValues(condition, context) {
   return {
-    ref: adjustedRef,
-    operator: condition.operator,
-    comparisonValue: condition.comparisonValue,
-    comparisonRef: adjustedComparisonRef,
+    ...condition,
+    ref: resolveRef(condition.ref, condition.refTemplate, context),
+    comparisonRef: resolveRef(condition.comparisonRef, condition.comparisonRefTemplate, context),
   };
 }
 
+/**
+ * Binds the loop markers of a ref (a path, the path of an aggregate or the text of an expression) to a context.
+ * @param {string|object} ref The ref.
+ * @param {Array<string|number>|null} template The parsed path template of the ref.
+ * @param {Array<number>} context The context of indices.
+ * @return {string|object} The ref with a concrete path.
+ */
+function resolveRef(ref, template, context) {
+  const path = resolvePathTemplate(template, context);
+  if (path === undefined) return ref;
+  if (isExpressionRef(ref)) return {...ref, expression: path};
+  return isAggregateRef(ref) ? {...ref, path} : path;
+}
+
 /**
  * Adds a rule to the results if its conditions are met.
  * If an error occurs, it should be handled gracefully.
  * @param {object} rule The rule being processed.
  * @param {Array<object>} results The results array.
+ * @param {Function} emit Sends a diagnostic to the logger.
  */
-function addRuleToResults(rule, results) {
+function addRuleToResults(rule, results, emit = () => {}) {
   try {
     if (rule.conditionResultContext && rule.conditionResultContext.length > 0) {
       results.push({
@@ -453,39 +1289,196 @@ function addRuleToResults(rule, results) {
       });
     }
   } catch (error) {
-    logError(`Error adding rule [${rule.id}] to results`, error);
+    const diagnostic = createDiagnostic('error', 'result_error', rule, error.message, `Error occurred while adding rule [${rule.id}] to results`, null, error);
+    emit(diagnostic);
     results.push({
       id: rule.id,
       type: rule.type,
       message: rule.description,
       conditions: [],
       keyword: 'conditional',
-      errors: [
-        {
-          cause: error.message,
-          context: `Error occurred while adding rule [${rule.id}] to results`,
-        },
-      ],
+      errors: [toResultError(diagnostic)],
     });
   }
 }
 
 /**
- * Logs an error with a detailed message.
- * @param {string} message The error message.
- * @param {Error} error The error object.
+ * Builds a structured diagnostic, sent to the logger and (for warnings and errors) returned in the results.
+ * @param {string} level 'debug', 'info', 'warn' or 'error'.
+ * @param {string} code A stable identifier of the event (e.g. 'evaluation_error', 'context_limit').
+ * @param {object} rule The rule the event refers to.
+ * @param {string} cause A short description of the event.
+ * @param {string} context Where it happened.
+ * @param {number|null} conditionIndex The index of the condition in evaluation order, when the event refers to one.
+ * @param {Error} [error] The error behind the event.
+ * @return {object} { level, code, ruleId, conditionIndex, cause, context, error }
  */
-function logError(message, error) {
-  console.error(`[ERROR] ${message}:`, {
-    message: error.message,
-    stack: error.stack,
-  });
+function createDiagnostic(level, code, rule, cause, context, conditionIndex = null, error = undefined) {
+  const diagnostic = {level, code, ruleId: rule.id ?? null, conditionIndex, cause, context};
+  if (error) diagnostic.error = error;
+  return diagnostic;
+}
+
+/**
+ * Returns the 'errors' entry of a result for a diagnostic.
+ * @param {object} diagnostic The diagnostic.
+ * @return {object} { cause, context, code, conditionIndex }
+ */
+function toResultError(diagnostic) {
+  return {cause: diagnostic.cause, context: diagnostic.context, code: diagnostic.code, conditionIndex: diagnostic.conditionIndex};
 }
 
-// Nova função utilitária para buscar valores considerando contextObj e _context prefix
-function getValueWithContext(documentJson, path, contextObj) {
+/**
+ * Sends a diagnostic to the logger as logger[level](message, diagnostic). Does nothing without a logger,
+ * or when the logger has no method for the level. A failing logger never breaks the validation.
+ * @param {object|null} logger The logger option.
+ * @param {object} diagnostic The diagnostic.
+ */
+function logDiagnostic(logger, diagnostic) {
+  if (!logger || typeof logger[diagnostic.level] !== 'function') return;
+  const condition = diagnostic.conditionIndex === null ? '' : ` condition ${diagnostic.conditionIndex}`;
+  try {
+    logger[diagnostic.level](`[${diagnostic.code}] rule [${diagnostic.ruleId}]${condition}: ${diagnostic.cause}`, diagnostic);
+  } catch (error) {
+    // O logger do chamador não deve interromper a validação
+  }
+}
+
+/**
+ * Returns the index of the condition an error comes from, looking through its causes.
+ * @param {Error} error The error.
+ * @return {number|null} The condition index, or null if unknown.
+ */
+function findConditionIndex(error) {
+  for (let current = error; current instanceof Error; current = current.cause) {
+    if (current.conditionIndex !== undefined) return current.conditionIndex;
+  }
+  return null;
+}
+
+/**
+ * Builds the 'explain' entry of an active rule: a trace of every condition in every context.
+ * Unlike the evaluation, the trace does not stop at the first condition that decides a group: the
+ * remaining conditions are evaluated as well and flagged as shortCircuited.
+ * @param {object} rule The evaluated rule, with its contexts.
+ * @param {object} scope The evaluation scope: { documentJson, contextObj, options }.
+ * @param {boolean} fired Whether the rule was reported as matched.
+ * @return {object} { id, type, message, keyword: 'explain', fired, contexts: [{ context, bindings, result, trace }], errors }
+ */
+function explainRule(rule, scope, fired) {
+  const explanation = {id: rule.id, type: rule.type, message: rule.description, keyword: 'explain', fired, contexts: []};
+  if (rule.compileError) {
+    explanation.errors = [{cause: getRootCause(rule.compileError).message, context: `Error occurred while compiling rule [${rule.id}]`}];
+    return explanation;
+  }
+  // Sem contextos (arrays vazios ou erro antes de gerá-los) o trace usa o documento sem índices
+  const contexts = rule.contexts?.length > 0 ? rule.contexts : [null];
+  try {
+    explanation.contexts = contexts.map((context) => {
+      const {result, trace} = traceConditionNode(rule.compiledConditions, {...scope, context});
+      const entry = {context: context ?? [], result, trace};
+      if (context && rule.loopVariables.length > 0) {
+        entry.bindings = Object.fromEntries(rule.loopVariables.map(([variable, position]) => [variable, context[position]]));
+      }
+      return entry;
+    });
+  } catch (error) {
+    // Um trace que falha é reportado na própria regra, sem interromper as demais
+    explanation.contexts = [];
+    explanation.errors = [{cause: getRootCause(error).message, context: `Error occurred while explaining rule [${rule.id}]`}];
+  }
+  return explanation;
+}
+
+/**
+ * Builds the 'explain' entry of a rule skipped because of its initialDate or endDate, or because of a stopOnMatch.
+ * @param {object} rule The rule.
+ * @param {object} inactive The reason: { reason: 'not_started'|'expired'|'stopped', message }.
+ * @return {object} { id, type, message, keyword: 'explain', fired: false, skipped, reason }
+ */
+function explainSkippedRule(rule, inactive) {
+  return {id: rule.id, type: rule.type, message: rule.description, keyword: 'explain', fired: false, skipped: inactive.reason, reason: inactive.message};
+}
+
+/**
+ * Evaluates every condition of a tree for the trace of the explain option.
+ * Errors are recorded in the trace entry of the condition, which then counts as false; a group whose
+ * children are not an array gets one such entry, at the path of the group.
+ * @param {Array<object>|object} node The compiled condition tree.
+ * @param {object} scope The evaluation scope: { documentJson, contextObj, context, options }.
+ * @param {string} path The path of the node inside rule.conditions.
+ * @param {boolean} shortCircuited Whether the outcome of the enclosing group was already decided.
+ * @return {object} { result, trace }, where each trace entry is { conditionPath, instancePath, instancePathValue, operator, comparisonPath, comparisonValue, result, shortCircuited, error }.
+ */
+function traceConditionNode(node, scope, path = '', shortCircuited = false) {
+  const childPath = (segment) => (path === '' ? `${segment}` : `${path}.${segment}`);
+  const groupKey = Array.isArray(node) ? 'all' : getConditionGroupKey(node);
+  if (groupKey === 'not') {
+    const inner = traceConditionNode(node.not, scope, childPath('not'), shortCircuited);
+    return {result: !inner.result, trace: inner.trace};
+  }
+  if (groupKey) {
+    const children = Array.isArray(node) ? node : node[groupKey];
+    if (!Array.isArray(children)) {
+      const error = `Condition group '${groupKey}' must be an array.`;
+      return {result: false, trace: [{conditionPath: childPath(groupKey), result: false, error, shortCircuited}]};
+    }
+    const pathOf = (index) => (Array.isArray(node) ? childPath(index) : childPath(`${groupKey}.${index}`));
+    let decided = false;
+    let result = groupKey === 'all';
+    const trace = [];
+    children.forEach((child, index) => {
+      const evaluation = traceConditionNode(child, scope, pathOf(index), shortCircuited || decided);
+      trace.push(...evaluation.trace);
+      if (!decided && evaluation.result !== (groupKey === 'all')) {
+        decided = true;
+        result = !result;
+      }
+    });
+    return {result, trace};
+  }
+
+  const entry = {conditionPath: path};
+  const condition = scope.context ? replaceContextValues(node, scope.context) : node;
+  try {
+    const {result, conditionValues: [conditionValue]} = evaluateLeafCondition(node, scope, path);
+    Object.assign(entry, conditionValue);
+    if (condition.comparisonRef !== undefined) entry.comparisonPath = getReportedPath(condition.comparisonRef, condition.comparisonRefSyntax);
+    entry.result = result;
+  } catch (error) {
+    Object.assign(entry, {instancePath: getReportedPath(condition.ref, condition.refSyntax), operator: condition.operator, result: false, error: getRootCause(error).message});
+  }
+  entry.shortCircuited = shortCircuited;
+  return {result: entry.result, trace: [entry]};
+}
+
+/**
+ * Returns the innermost cause of an error, which describes the actual problem
+ * when evaluation errors are wrapped on their way up.
+ * @param {Error} error The error.
+ * @return {Error} The innermost error.
+ */
+function getRootCause(error) {
+  let root = error;
+  while (root.cause instanceof Error) root = root.cause;
+  return root;
+}
+
+// Nova função utilitária para buscar valores considerando contextObj, _context, _fact e _results prefix
+function getValueWithContext(documentJson, path, contextObj, options = {}) {
+  if (typeof path === 'string' && path.startsWith(FACT_PREFIX) && options.facts) {
+    return options.facts.read(path);
+  }
+  if (typeof path === 'string' && path.startsWith(RESULTS_PREFIX) && options.ruleOutcomes) {
+    const {ruleId, field} = resolveRuleReference(path.slice(RESULTS_PREFIX.length), new Set(options.ruleOutcomes.keys()));
+    if (ruleId === null) return undefined;
+    const outcome = options.ruleOutcomes.get(ruleId);
+    // Regra suspensa à espera de um fato: quem a lê também espera
+    if (outcome.pending) throw outcome.pending;
+    return outcome[field];
+  }
   if (typeof path === 'string' && path.startsWith('_context.') && contextObj) {
     return objectPath.get(contextObj, path.replace('_context.', ''));
   }
-  return objectPath.get(documentJson, path);
+  return objectPath.get(documentJson, toObjectPath(path));
 }
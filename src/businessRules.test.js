@@ -1,4 +1,4 @@
-import { validateRules } from './businessRules.js';
+import { validateRules, compileRules, registerOperator, unregisterOperator } from './businessRules.js';
 
 describe('validateRules', () => {
 
@@ -612,4 +612,361 @@ describe('Benchmark de performance - returnAllContexts', () => {
     resFirst.forEach(r => expect(r.errors).toBeUndefined());
     console.timeEnd('Tempo - returnAllContexts: false');
   });
-});
\ No newline at end of file
+});
+describe('validateRules - nested condition groups', () => {
+  const documentJson = {
+    age: 16,
+    country: 'BR',
+    guardian: 'Maria',
+    clients: [
+      { name: 'Ana', age: 15, vip: false },
+      { name: 'Bia', age: 30, vip: true },
+      { name: 'Caio', age: 40, vip: false },
+    ],
+  };
+
+  test('fires an any group when one branch matches and reports only that branch', () => {
+    const rules = [
+      { id: 'any1', type: 'test', conditions: { any: [
+        { ref: 'country', operator: '=', comparisonValue: 'US' },
+        { ref: 'age', operator: '<', comparisonValue: 18 },
+      ] } },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].errors).toBeUndefined();
+    const values = result[0].conditions[0].conditionValues;
+    expect(values.length).toBe(1);
+    expect(values[0].instancePath).toBe('age');
+    expect(values[0].conditionPath).toBe('any.1');
+  });
+
+  test('does not fire an any group when no branch matches', () => {
+    const rules = [
+      { id: 'any2', type: 'test', conditions: { any: [
+        { ref: 'country', operator: '=', comparisonValue: 'US' },
+        { ref: 'age', operator: '>', comparisonValue: 18 },
+      ] } },
+    ];
+    expect(validateRules(documentJson, rules)).toEqual([]);
+  });
+
+  test('supports not and groups nested inside a plain conditions array', () => {
+    const rules = [
+      { id: 'nested', type: 'test', conditions: [
+        { ref: 'age', operator: '<', comparisonValue: 18 },
+        { not: { ref: 'guardian', operator: 'does_not_exists' } },
+        { any: [
+          { all: [
+            { ref: 'country', operator: '=', comparisonValue: 'BR' },
+            { ref: 'age', operator: '>', comparisonValue: 15 },
+          ] },
+          { ref: 'country', operator: '=', comparisonValue: 'AR' },
+        ] },
+      ] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].errors).toBeUndefined();
+    const paths = result[0].conditions[0].conditionValues.map((v) => v.conditionPath);
+    expect(paths).toEqual([undefined, '1.not', '2.any.0.all.0', '2.any.0.all.1']);
+  });
+
+  test('does not fire when a not group wraps a matching condition', () => {
+    const rules = [
+      { id: 'not1', type: 'test', conditions: { not: { ref: 'country', operator: '=', comparisonValue: 'BR' } } },
+    ];
+    expect(validateRules(documentJson, rules)).toEqual([]);
+  });
+
+  test('expands array loops inside groups', () => {
+    const rules = [
+      { id: 'loops', type: 'test', conditions: { any: [
+        { ref: 'clients[].age', operator: '<', comparisonValue: 18 },
+        { ref: 'clients[].vip', operator: '=', comparisonValue: true },
+      ] } },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].errors).toBeUndefined();
+    expect(result[0].conditions.length).toBe(2);
+    expect(result[0].conditions[0].conditionValues[0].instancePath).toBe('clients.0.age');
+    expect(result[0].conditions[1].conditionValues[0].instancePath).toBe('clients.1.vip');
+    expect(result[0].conditions[1].conditionValues[0].conditionPath).toBe('any.1');
+  });
+
+  test('returns an error for a group with more than one key', () => {
+    const rules = [
+      { id: 'bad', type: 'test', conditions: { any: [], all: [] } },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].errors).toBeDefined();
+  });
+});
+
+describe('compileRules', () => {
+  const rules = [
+    { id: 'minor', type: 'ERROR', description: 'Client must be an adult', conditions: [
+      { ref: 'clients[].age', operator: '<', comparisonRef: '_context.minAge' },
+    ] },
+    { id: 'orders', type: 'WARNING', description: 'Order above client limit', conditions: [
+      { ref: 'orders[].total', operator: '>', comparisonRef: 'clients[].limit' },
+    ] },
+    { id: 'group', type: 'INFO', description: 'Foreign or unknown country', conditions: { any: [
+      { ref: 'country', operator: 'does_not_exists' },
+      { ref: 'country', operator: 'not_in', comparisonValue: ['BR'] },
+    ] } },
+    { id: 'invalid', type: 'ERROR', description: 'Invalid operator', conditions: [
+      { ref: 'country', operator: 'INVALID_OPERATOR', comparisonValue: 'BR' },
+    ] },
+    { id: 'expired', type: 'ERROR', endDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(), conditions: [
+      { ref: 'country', operator: 'exists' },
+    ] },
+  ];
+  const contextObj = { minAge: 18 };
+
+  test('validate returns the expected results for each document', () => {
+    const compiled = compileRules(rules);
+    const invalid = {
+      id: 'invalid',
+      type: 'ERROR',
+      message: 'Invalid operator',
+      conditions: [],
+      keyword: 'conditional',
+      errors: [{ cause: 'Unsupported operator: INVALID_OPERATOR', context: 'Error occurred while processing rule [invalid]', code: 'evaluation_error', conditionIndex: 0 }],
+    };
+    const foreign = { country: 'AR', clients: [{ age: 12, limit: 100 }, { age: 30, limit: 200 }], orders: [{ total: 150 }] };
+    expect(compiled.validate(foreign, contextObj)).toEqual([
+      { id: 'minor', type: 'ERROR', message: 'Client must be an adult', keyword: 'conditional', conditions: [
+        { result: true, conditionValues: [{ instancePath: 'clients.0.age', instancePathValue: 12, operator: '<', comparisonValue: 18 }] },
+      ] },
+      { id: 'orders', type: 'WARNING', message: 'Order above client limit', keyword: 'conditional', conditions: [
+        { result: true, conditionValues: [{ instancePath: 'orders.0.total', instancePathValue: 150, operator: '>', comparisonValue: 100 }] },
+      ] },
+      { id: 'group', type: 'INFO', message: 'Foreign or unknown country', keyword: 'conditional', conditions: [
+        { result: true, conditionValues: [{ instancePath: 'country', instancePathValue: 'AR', operator: 'not_in', comparisonValue: ['BR'], conditionPath: 'any.1' }] },
+      ] },
+      invalid,
+    ]);
+    const adult = compiled.validate({ country: 'BR', clients: [{ age: 40, limit: 10 }], orders: [{ total: 5 }] }, contextObj);
+    expect(adult.map(({ id }) => id)).toEqual(['group', 'invalid']);
+    expect(adult[1]).toEqual(invalid);
+  });
+
+  test('applies the options given at compile time', () => {
+    const doc = { clients: [{ age: 10 }, { age: 12 }, { age: 30 }] };
+    const compiled = compileRules([rules[0]], { returnAllContexts: false });
+    expect(compiled.validate(doc, contextObj)).toEqual(validateRules(doc, [rules[0]], contextObj, { returnAllContexts: false }));
+    expect(compiled.validate(doc, contextObj)[0].conditions.length).toBe(1);
+  });
+
+  test('does not leak results between documents or change the given rules', () => {
+    const original = JSON.parse(JSON.stringify(rules));
+    const compiled = compileRules(rules);
+    const adult = { country: 'BR', clients: [{ age: 40, limit: 10 }], orders: [] };
+    const minor = { country: 'BR', clients: [{ age: 10, limit: 10 }], orders: [] };
+    expect(compiled.validate(minor, contextObj).some(r => r.id === 'minor')).toBe(true);
+    expect(compiled.validate(adult, contextObj).some(r => r.id === 'minor')).toBe(false);
+    expect(rules).toEqual(original);
+  });
+
+  test('resolves operators when compiling', () => {
+    registerOperator('is_br', (left) => left === 'br', { requiresComparison: false });
+    const compiled = compileRules([{ id: 'custom', type: 'INFO', conditions: [{ ref: 'country', operator: 'is_br' }] }]);
+    unregisterOperator('is_br');
+    expect(compiled.validate({ country: 'BR' }).length).toBe(1);
+  });
+});
+
+describe('Benchmark de performance - compileRules', () => {
+  it('compila as condições uma vez para muitos documentos', () => {
+    let compilations = 0;
+    registerOperator('price_above', (left, right, meta) => left > meta.compiledComparison, {
+      lowercaseStrings: false,
+      compileComparison: (comparison) => {
+        compilations++;
+        return comparison;
+      },
+    });
+    const rules = Array.from({ length: 30 }, (_, i) => ({
+      id: `rule${i}`,
+      type: 'ERROR',
+      description: `Regra ${i}`,
+      conditions: [
+        { ref: 'items[].price', operator: 'price_above', comparisonValue: i * 10 },
+        { any: [
+          { ref: 'items[].tags', operator: 'contains', comparisonValue: 'promo' },
+          { ref: 'customer.segment', operator: 'in', comparisonValue: ['gold', 'silver'] },
+        ] },
+      ],
+    }));
+    const documents = Array.from({ length: 300 }, (_, i) => ({
+      customer: { segment: ['gold', 'silver', 'bronze'][i % 3] },
+      items: Array.from({ length: 3 }, (_, j) => ({ price: (i * 13 + j * 29) % 400, tags: j % 2 ? ['promo'] : [] })),
+    }));
+
+    try {
+      const expected = documents.map((doc) => validateRules(doc, rules));
+      expect(compilations).toBe(rules.length * documents.length);
+
+      compilations = 0;
+      const compiled = compileRules(rules);
+      const actual = documents.map((doc) => compiled.validate(doc));
+      expect(compilations).toBe(rules.length);
+      expect(actual).toEqual(expected);
+    } finally {
+      unregisterOperator('price_above');
+    }
+  });
+});
+
+describe('validateRules - pruned context exploration', () => {
+  const documentJson = {
+    active: true,
+    clients: Array.from({ length: 200 }, (_, i) => ({ id: i, age: i % 50 === 0 ? 15 : 30, minAgeRef: i % 2 })),
+    references: Array.from({ length: 200 }, (_, i) => ({ minAge: i === 7 ? 16 : 99, country: i % 3 === 0 ? 'BR' : 'AR' })),
+  };
+  const rule = {
+    id: 'join',
+    type: 'ERROR',
+    description: 'Minor client below a Brazilian reference',
+    conditions: [
+      { ref: 'active', operator: '=', comparisonValue: true },
+      { ref: 'clients[].age', operator: '<', comparisonValue: 18 },
+      { ref: 'references[].country', operator: '=', comparisonValue: 'BR' },
+      { ref: 'clients[].age', operator: '<', comparisonRef: 'references[].minAge' },
+    ],
+  };
+
+  test('drops partial contexts that already fail instead of hitting contextLimit', () => {
+    const result = validateRules(documentJson, [rule]);
+    expect(result.find(r => r.keyword === 'context_limit')).toBeUndefined();
+    expect(result.length).toBe(1);
+    result.forEach(r => expect(r.errors).toBeUndefined());
+    expect(result).toEqual(validateRules(documentJson, [rule], null, { contextLimit: 100000 }));
+  });
+
+  test('keeps the same results and returnAllContexts behaviour', () => {
+    const all = validateRules(documentJson, [rule]);
+    // Clientes 0, 50, 100 e 150 (idade 15) com as referências brasileiras de minAge 99
+    expect(all[0].conditions.length).toBe(4 * 67);
+    const first = validateRules(documentJson, [rule], null, { returnAllContexts: false });
+    expect(first[0].conditions).toEqual([all[0].conditions[0]]);
+    expect(first[0].conditions[0].conditionValues.map(v => v.instancePath)).toEqual(['active', 'clients.0.age', 'references.0.country', 'clients.0.age']);
+  });
+
+  test('does not generate any context when a condition without arrays fails', () => {
+    const result = validateRules({ ...documentJson, active: false }, [rule], null, { contextLimit: 1 });
+    expect(result).toEqual([]);
+  });
+
+  test('reports how many partial contexts were pruned when the limit is reached', () => {
+    const result = validateRules(documentJson, [rule], null, { contextLimit: 300 });
+    const limitError = result.find(r => r.keyword === 'context_limit');
+    expect(limitError).toBeDefined();
+    expect(limitError.errors[0].cause).toBe('Context limit reached');
+    // Clientes 1..49 são podados antes de chegar ao cliente 50
+    expect(limitError.errors[0].context).toBe('The number of contexts exceeded the limit (300). 49 partial contexts were pruned.');
+  });
+
+  test('still reports errors from conditions checked early', () => {
+    const rules = [{ id: 'err', type: 'ERROR', conditions: [
+      { ref: 'active', operator: 'INVALID_OPERATOR', comparisonValue: true },
+      { ref: 'clients[].age', operator: '<', comparisonValue: 18 },
+    ] }];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].errors).toBeDefined();
+  });
+});
+
+describe('validateRules - named loop variables', () => {
+  const documentJson = {
+    clients: [
+      { name: 'Ana', docNumber: '111' },
+      { name: 'Bia', docNumber: '222' },
+      { name: 'Caio', docNumber: '111' },
+    ],
+    orders: [
+      { id: 1, date: '2024-01-10', items: [{ sku: 'A' }, { sku: 'B' }, { sku: 'A' }] },
+      { id: 2, date: '2024-03-05', items: [{ sku: 'C' }] },
+    ],
+  };
+  const duplicatedDocs = {
+    id: 'dupDoc',
+    type: 'ERROR',
+    description: 'Two clients share the same document number',
+    conditions: [
+      { ref: 'clients[a].docNumber', operator: '=', comparisonRef: 'clients[b].docNumber' },
+    ],
+  };
+
+  test('iterates each variable as an independent loop and reports the bindings', () => {
+    const result = validateRules(documentJson, [duplicatedDocs]);
+    expect(result.length).toBe(1);
+    expect(result[0].errors).toBeUndefined();
+    // 3 pares iguais (a = b) + (0,2) + (2,0)
+    expect(result[0].conditions.map(c => c.bindings)).toEqual([
+      { a: 0, b: 0 }, { a: 0, b: 2 }, { a: 1, b: 1 }, { a: 2, b: 0 }, { a: 2, b: 2 },
+    ]);
+    expect(result[0].conditions[1].conditionValues[0]).toMatchObject({ instancePath: 'clients.0.docNumber', comparisonValue: '111' });
+  });
+
+  test('skips pairs with equal indices with selfJoin distinct', () => {
+    const result = validateRules(documentJson, [{ ...duplicatedDocs, selfJoin: 'distinct' }]);
+    expect(result[0].conditions.map(c => c.bindings)).toEqual([{ a: 0, b: 2 }, { a: 2, b: 0 }]);
+  });
+
+  test('also skips mirrored pairs with selfJoin unordered, per rule or for the whole call', () => {
+    const perRule = validateRules(documentJson, [{ ...duplicatedDocs, selfJoin: 'unordered' }]);
+    expect(perRule[0].conditions.map(c => c.bindings)).toEqual([{ a: 0, b: 2 }]);
+    const perCall = validateRules(documentJson, [duplicatedDocs], null, { selfJoin: 'unordered' });
+    expect(perCall).toEqual(perRule);
+  });
+
+  test('compares elements of the same array', () => {
+    const rules = [{
+      id: 'laterOrder',
+      type: 'INFO',
+      description: 'Some order is later than another order',
+      selfJoin: 'distinct',
+      conditions: [{ ref: 'orders[x].date', operator: '>', comparisonRef: 'orders[y].date' }],
+    }];
+    const result = validateRules(documentJson, rules);
+    expect(result[0].conditions.map(c => c.bindings)).toEqual([{ x: 1, y: 0 }]);
+  });
+
+  test('supports named variables in nested arrays and mixed with []', () => {
+    const rules = [{
+      id: 'repeatedSku',
+      type: 'WARNING',
+      description: 'Order with the same sku twice',
+      selfJoin: 'unordered',
+      conditions: [
+        { ref: 'orders[].items[i].sku', operator: '=', comparisonRef: 'orders[].items[j].sku' },
+      ],
+    }];
+    const result = validateRules(documentJson, rules);
+    expect(result[0].conditions.length).toBe(1);
+    expect(result[0].conditions[0].bindings).toEqual({ i: 0, j: 2 });
+    expect(result[0].conditions[0].conditionValues[0].instancePath).toBe('orders.0.items.0.sku');
+    expect(result[0].conditions[0].conditionValues[0].comparisonValue).toBe('A');
+  });
+
+  test('returns an error for an invalid selfJoin or a variable used for different arrays', () => {
+    const invalidMode = validateRules(documentJson, [{ ...duplicatedDocs, selfJoin: 'sometimes' }]);
+    expect(invalidMode[0].errors).toBeDefined();
+    const conflict = validateRules(documentJson, [{ id: 'conflict', conditions: [
+      { ref: 'clients[a].name', operator: '=', comparisonRef: 'orders[a].id' },
+    ] }]);
+    expect(conflict[0].errors).toBeDefined();
+  });
+
+  test('binds array indices correctly when loops are sorted', () => {
+    const result = validateRules({ z: [{ a: 1 }, { a: 2 }, { a: 3 }], b: [{ c: 0 }] }, [
+      { id: 'sorted', conditions: [{ ref: 'z[].a', operator: '>', comparisonRef: 'b[].c' }] },
+    ]);
+    expect(result[0].conditions.map(c => c.conditionValues[0].instancePath)).toEqual(['z.0.a', 'z.1.a', 'z.2.a']);
+  });
+});
@@ -0,0 +1,120 @@
+/* eslint-disable max-len */
+import {collectLeafConditions, getRefPath} from './conditions.js';
+
+/**
+ * Rule chaining: a condition can read the outcome of another rule of the same set with the '_results.' prefix:
+ *   { ref: '_results.R12.fired', operator: '=', comparisonValue: true }
+ *   { ref: '_results.R15.matches', operator: '>=', comparisonValue: 2 }
+ *
+ * The outcome of a rule is { fired, matches, errored, skipped }, built from its entries in the results.
+ * Rules are evaluated after the rules they reference, and rules that reference each other in a cycle fail with an error.
+ */
+
+export const RESULTS_PREFIX = '_results.';
+export const OUTCOME_FIELDS = ['fired', 'matches', 'errored', 'skipped'];
+
+const RESULTS_REFERENCE = /_results\.([\w$@:-]+(?:\.[\w$@:-]+)*)/g;
+
+/**
+ * Lists the '_results.' references of a rule, in ref and comparisonRef (including expressions).
+ * @param {object} rule The rule.
+ * @param {Set<string>} ruleIds The ids of the rules of the set.
+ * @return {Array<object>} One entry per reference: { path, ruleId, field }, where ruleId is null when no rule matches
+ *   and field is the outcome field read (possibly not one of OUTCOME_FIELDS).
+ */
+export function findRuleReferences(rule, ruleIds) {
+  let leaves;
+  try {
+    leaves = collectLeafConditions(rule.conditions);
+  } catch (error) {
+    return [];
+  }
+  const references = [];
+  leaves.forEach((condition) => {
+    ['ref', 'comparisonRef'].forEach((field) => {
+      const refPath = condition && typeof condition === 'object' ? getRefPath(condition[field]) : undefined;
+      if (typeof refPath !== 'string') return;
+      for (const [path, reference] of refPath.matchAll(RESULTS_REFERENCE)) {
+        references.push({path, ...resolveRuleReference(reference, ruleIds)});
+      }
+    });
+  });
+  return references;
+}
+
+/**
+ * Splits the part of a '_results.' path after the prefix into a rule id and an outcome field.
+ * Rule ids may contain dots, so the longest id followed by a '.' wins.
+ * @param {string} reference The path after '_results.'.
+ * @param {Set<string>} ruleIds The ids of the rules of the set.
+ * @return {{ruleId: string|null, field: string|null}} The rule id and field.
+ */
+export function resolveRuleReference(reference, ruleIds) {
+  const ruleId = [...ruleIds].filter((id) => reference.startsWith(`${id}.`)).sort((a, b) => b.length - a.length)[0];
+  if (ruleId === undefined) return {ruleId: null, field: null};
+  return {ruleId, field: reference.slice(ruleId.length + 1).split('.')[0]};
+}
+
+/**
+ * Orders rules so that every rule comes after the rules it references. Among the rules whose
+ * dependencies are met, the current order (priority, then array order) is kept.
+ * @param {Array<object>} rules The rules, in their current order.
+ * @return {{sorted: Array<object>, cycles: Map<object, Array<string>>}} The ordered rules, and the rules in a
+ *   dependency cycle with the ids of the cycle. Rules in a cycle are ordered as if they had no dependencies.
+ */
+export function sortRulesByDependencies(rules) {
+  const ruleIds = new Set(rules.map((rule) => String(rule.id)));
+  const dependencies = new Map(rules.map((rule) => [rule, new Set(findRuleReferences(rule, ruleIds)
+      .filter((reference) => reference.ruleId !== null)
+      .flatMap((reference) => rules.filter((candidate) => String(candidate.id) === reference.ruleId)))]));
+
+  const cycles = findCycles(rules, dependencies);
+  cycles.forEach((cycle, rule) => dependencies.set(rule, new Set([...dependencies.get(rule)].filter((dependency) => !cycles.has(dependency)))));
+
+  const sorted = [];
+  const done = new Set();
+  while (sorted.length < rules.length) {
+    const next = rules.find((rule) => !done.has(rule) && [...dependencies.get(rule)].every((dependency) => done.has(dependency)));
+    sorted.push(next);
+    done.add(next);
+  }
+  return {sorted, cycles};
+}
+
+/**
+ * Finds the rules that take part in a dependency cycle (Tarjan's strongly connected components).
+ * @param {Array<object>} rules The rules.
+ * @param {Map<object, Set<object>>} dependencies The rules each rule references.
+ * @return {Map<object, Array<string>>} Each rule in a cycle, with the ids of the rules of its cycle.
+ */
+function findCycles(rules, dependencies) {
+  const cycles = new Map();
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  let counter = 0;
+
+  const visit = (rule) => {
+    index.set(rule, counter);
+    lowLink.set(rule, counter++);
+    stack.push(rule);
+    dependencies.get(rule).forEach((dependency) => {
+      if (!index.has(dependency)) {
+        visit(dependency);
+        lowLink.set(rule, Math.min(lowLink.get(rule), lowLink.get(dependency)));
+      } else if (stack.includes(dependency)) {
+        lowLink.set(rule, Math.min(lowLink.get(rule), index.get(dependency)));
+      }
+    });
+    if (lowLink.get(rule) !== index.get(rule)) return;
+    const component = stack.splice(stack.indexOf(rule));
+    if (component.length > 1 || dependencies.get(rule).has(rule)) {
+      const ids = component.map((member) => member.id);
+      component.forEach((member) => cycles.set(member, ids));
+    }
+  };
+  rules.forEach((rule) => {
+    if (!index.has(rule)) visit(rule);
+  });
+  return cycles;
+}
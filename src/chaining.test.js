@@ -0,0 +1,81 @@
+import { validateRules, lintRules } from './businessRules.js';
+
+describe('validateRules - rule chaining with _results', () => {
+  const documentJson = { total: 150, country: 'BR', items: [{ price: 60 }, { price: 90 }, { price: 5 }] };
+  const ids = (result) => result.filter(r => r.keyword === 'conditional' && !r.errors).map(r => r.id);
+
+  test('evaluates rules after the rules they reference, whatever their position', () => {
+    const rules = [
+      { id: 'manualReview', priority: 10, conditions: [
+        { ref: '_results.R12.fired', operator: '=', comparisonValue: true },
+        { ref: '_results.R15.fired', operator: '=', comparisonValue: true },
+      ] },
+      { id: 'R12', conditions: [{ ref: 'total', operator: '>', comparisonValue: 100 }] },
+      { id: 'R15', conditions: [{ ref: 'items[].price', operator: '>', comparisonValue: 50 }] },
+      { id: 'notForeign', conditions: [{ ref: '_results.foreign.fired', operator: '=', comparisonValue: false }] },
+      { id: 'foreign', conditions: [{ ref: 'country', operator: '<>', comparisonValue: 'BR' }] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(ids(result)).toEqual(['R12', 'R15', 'manualReview', 'notForeign']);
+    expect(result[2].conditions[0].conditionValues[0]).toEqual({ instancePath: '_results.R12.fired', instancePathValue: true, operator: '=', comparisonValue: true });
+  });
+
+  test('exposes the number of matched contexts, errors and skipped rules', () => {
+    const rules = [
+      { id: 'expensive', stopOnMatch: 'type', type: 'PRICE', conditions: [{ ref: 'items[].price', operator: '>', comparisonValue: 50 }] },
+      { id: 'cheap', type: 'PRICE', conditions: [{ ref: 'items[].price', operator: '<', comparisonValue: 10 }] },
+      { id: 'broken', conditions: [{ ref: 'total', operator: 'nope', comparisonValue: 1 }] },
+      { id: 'summary', conditions: [
+        { ref: '_results.expensive.matches', operator: '=', comparisonValue: 2 },
+        { ref: '_results.cheap.skipped', operator: '=', comparisonValue: true },
+        { ref: '_results.broken.errored', operator: '=', comparisonValue: true },
+        { ref: { expression: '_results.expensive.matches * 10' }, operator: '=', comparisonValue: 20 },
+      ] },
+    ];
+    expect(ids(validateRules(documentJson, rules))).toEqual(['expensive', 'summary']);
+  });
+
+  test('counts every matched context, even when only the first one is returned', () => {
+    const rules = [
+      { id: 'R15', conditions: [{ ref: 'items[].price', operator: '>', comparisonValue: 50 }] },
+      { id: 'twice', conditions: [{ ref: '_results.R15.matches', operator: '>=', comparisonValue: 2 }] },
+    ];
+    const result = validateRules(documentJson, rules, null, { returnAllContexts: false });
+    expect(ids(result)).toEqual(['R15', 'twice']);
+    expect(result[0].conditions).toHaveLength(1);
+    expect(result[1].conditions[0].conditionValues[0].instancePathValue).toBe(2);
+  });
+
+  test('reports cycles and unknown references as rule errors', () => {
+    const rules = [
+      { id: 'a', conditions: [{ ref: '_results.b.fired', operator: '=', comparisonValue: true }] },
+      { id: 'b', conditions: [{ ref: '_results.a.fired', operator: '=', comparisonValue: false }] },
+      { id: 'dependent', conditions: [{ ref: '_results.a.errored', operator: '=', comparisonValue: true }] },
+      { id: 'unknown', conditions: [{ ref: '_results.missing.fired', operator: '=', comparisonValue: true }] },
+      { id: 'badField', conditions: [{ ref: '_results.a.count', operator: '>', comparisonValue: 1 }] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.map(r => [r.id, r.errors?.[0].cause])).toEqual([
+      ['a', 'Rules [a, b] reference each other in a cycle.'],
+      ['b', 'Rules [a, b] reference each other in a cycle.'],
+      ['dependent', undefined],
+      ['unknown', 'No rule matches the reference [_results.missing.fired].'],
+      ['badField', 'Unknown rule outcome [count] in [_results.a.count]. Use one of: fired, matches, errored, skipped.'],
+    ]);
+    expect(lintRules(rules).map(d => [d.ruleId, d.code])).toEqual([
+      ['a', 'rule_cycle'],
+      ['b', 'rule_cycle'],
+      ['unknown', 'unknown_rule_reference'],
+      ['badField', 'unknown_rule_reference'],
+    ]);
+  });
+
+  test('supports rule ids with dots', () => {
+    const rules = [
+      { id: 'credit.limit', conditions: [{ ref: 'total', operator: '>', comparisonValue: 100 }] },
+      { id: 'credit', conditions: [{ ref: 'total', operator: '<', comparisonValue: 100 }] },
+      { id: 'check', conditions: [{ ref: '_results.credit.limit.fired', operator: '=', comparisonValue: true }] },
+    ];
+    expect(ids(validateRules(documentJson, rules))).toEqual(['credit.limit', 'check']);
+  });
+});
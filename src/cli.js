@@ -0,0 +1,241 @@
+/* eslint-disable max-len */
+import fs from 'node:fs';
+import {readFile} from 'node:fs/promises';
+import {parseArgs} from 'node:util';
+import {compileRules, lintRules} from './businessRules.js';
+
+/**
+ * Command-line interface, installed as the 'ajre' bin:
+ *   ajre validate --rules rules.json [--context ctx.json] [options] data.json data.ndjson -
+ *   ajre lint rules.json
+ *
+ * '.ndjson' and '.jsonl' files (and '-', for stdin) are read as one document per line; other files are one
+ * JSON document each. runCli does the work and returns the exit code, so it can be called without a process.
+ */
+
+export const EXIT_CODES = {ok: 0, failed: 1, invalid: 2, ruleErrors: 3};
+export const CLI_FORMATS = ['table', 'json', 'ndjson'];
+
+const USAGE = `Usage:
+  ajre validate --rules <rules.json> [options] <data.json|data.ndjson|->...
+  ajre lint <rules.json>... [--format table|json|ndjson]
+
+Validate options:
+  -r, --rules <file>                  Rules: a JSON array of rules or a rule-set document.
+  -c, --context <file>                Context object, read with '_context.' paths.
+  -f, --format <table|json|ndjson>    Output format. Default: table.
+      --context-limit <n>             Maximum number of contexts per rule. Default: 10000.
+      --time-limit <seconds>          Maximum time to generate the contexts of a rule. Default: 200.
+      --return-all-contexts <bool>    false stops at the first matched context of each rule. Default: true.
+      --fail-on <types>               Comma-separated rule types that make the exit code 1, or 'none'. Default: ERROR.
+      --key <path>                    Path of a document field that identifies it in the output.
+
+Exit codes: 0 ok, 1 a rule of a --fail-on type fired (lint: errors found), 2 invalid usage or input, 3 a rule failed to evaluate.
+`;
+
+/**
+ * Runs the command line.
+ * @param {Array<string>} args The arguments, without 'node' and the script (process.argv.slice(2)).
+ * @param {object} [io] { stdout, stderr, stdin }: streams with write(); stdin is read for the '-' data file.
+ * @return {Promise<number>} The exit code (see EXIT_CODES).
+ */
+export async function runCli(args, io = {stdout: process.stdout, stderr: process.stderr, stdin: process.stdin}) {
+  const [command, ...rest] = args;
+  try {
+    if (command === 'validate') return await validateCommand(rest, io);
+    if (command === 'lint') return await lintCommand(rest, io);
+    if (command === 'help' || command === '--help' || command === '-h') {
+      io.stdout.write(USAGE);
+      return EXIT_CODES.ok;
+    }
+    io.stderr.write(`ajre: ${command === undefined ? 'Missing command.' : `Unknown command [${command}].`}\n\n${USAGE}`);
+    return EXIT_CODES.invalid;
+  } catch (error) {
+    io.stderr.write(`ajre: ${error.message}\n`);
+    // Erros de parseArgs (flag desconhecida, valor faltando) também mostram o uso
+    if (error.code?.startsWith('ERR_PARSE_ARGS')) io.stderr.write(`\n${USAGE}`);
+    return EXIT_CODES.invalid;
+  }
+}
+
+/**
+ * The 'validate' command: validates data files against a rule set.
+ * @param {Array<string>} args The arguments after the command.
+ * @param {object} io The streams.
+ * @return {Promise<number>} The exit code.
+ */
+async function validateCommand(args, io) {
+  const {values, positionals} = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      'rules': {type: 'string', short: 'r'},
+      'context': {type: 'string', short: 'c'},
+      'format': {type: 'string', short: 'f', default: 'table'},
+      'context-limit': {type: 'string'},
+      'time-limit': {type: 'string'},
+      'return-all-contexts': {type: 'string'},
+      'fail-on': {type: 'string', default: 'ERROR'},
+      'key': {type: 'string'},
+    },
+  });
+  if (values.rules === undefined) throw new Error('The validate command requires --rules <file>.');
+  if (positionals.length === 0) throw new Error('The validate command requires at least one data file, or - for NDJSON from stdin.');
+  const writer = createWriter(values.format, io.stdout, [['DOCUMENT', 24], ['RULE', 20], ['TYPE', 8], ['MATCHES', 7], ['MESSAGE']]);
+
+  const options = {};
+  if (values['context-limit'] !== undefined) options.contextLimit = parseNumberFlag('context-limit', values['context-limit']);
+  if (values['time-limit'] !== undefined) options.timeLimit = parseNumberFlag('time-limit', values['time-limit']);
+  if (values['return-all-contexts'] !== undefined) {
+    if (!['true', 'false'].includes(values['return-all-contexts'])) {
+      throw new Error(`Invalid --return-all-contexts [${values['return-all-contexts']}]. Use true or false.`);
+    }
+    options.returnAllContexts = values['return-all-contexts'] === 'true';
+  }
+  if (values.key !== undefined) options.documentKey = values.key;
+  const failOn = values['fail-on'] === 'none' ? [] : values['fail-on'].split(',').map((type) => type.trim()).filter(Boolean);
+
+  const compiled = compileRules(await readJsonFile(values.rules), options);
+  const contextObj = values.context !== undefined ? await readJsonFile(values.context) : null;
+
+  const firedTypes = new Map();
+  let invalidDocuments = 0;
+  let ruleErrors = 0;
+  for (const file of positionals) {
+    const single = file !== '-' && !isNdjsonFile(file);
+    const documents = file === '-' ? io.stdin : single ? [await readJsonFile(file)] : fs.createReadStream(file);
+    for await (const entry of compiled.validateMany(documents, contextObj)) {
+      const document = entry.key !== undefined ? String(entry.key) : single ? file : `${file}#${entry.index}`;
+      if (entry.errors) {
+        invalidDocuments++;
+        entry.errors.forEach((error) => writer.row([document, '', '', '', `[${error.code}] ${error.cause}`]));
+      }
+      entry.results.forEach((result) => {
+        if (result.keyword === 'conditional' && !result.errors) {
+          firedTypes.set(result.type, (firedTypes.get(result.type) ?? 0) + 1);
+          const matches = Array.isArray(result.conditions) ? result.conditions.length : 1;
+          writer.row([document, String(result.id), String(result.type), String(matches), result.conditions?.[0]?.message ?? result.message ?? '']);
+        } else if (result.errors && result.keyword !== 'skipped') {
+          if (result.keyword === 'conditional') ruleErrors++;
+          result.errors.forEach((error) => writer.row([document, String(result.id), String(result.type), '', `[${error.code}] ${error.cause}`]));
+        }
+      });
+      writer.entry({file, ...entry});
+    }
+  }
+
+  const fired = [...firedTypes].map(([type, count]) => `${type}: ${count}`).join(', ');
+  writer.end(`${[...firedTypes.values()].reduce((total, count) => total + count, 0)} rules fired${fired ? ` (${fired})` : ''}, ${ruleErrors} rule errors, ${invalidDocuments} invalid documents.`);
+  if (failOn.some((type) => firedTypes.has(type))) return EXIT_CODES.failed;
+  if (invalidDocuments > 0) return EXIT_CODES.invalid;
+  return ruleErrors > 0 ? EXIT_CODES.ruleErrors : EXIT_CODES.ok;
+}
+
+/**
+ * The 'lint' command: checks rule files with lintRules.
+ * @param {Array<string>} args The arguments after the command.
+ * @param {object} io The streams.
+ * @return {Promise<number>} The exit code: 1 when there are 'error' diagnostics.
+ */
+async function lintCommand(args, io) {
+  const {values, positionals} = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      rules: {type: 'string', short: 'r'},
+      format: {type: 'string', short: 'f', default: 'table'},
+    },
+  });
+  const files = [...(values.rules !== undefined ? [values.rules] : []), ...positionals];
+  if (files.length === 0) throw new Error('The lint command requires at least one rule file.');
+  const writer = createWriter(values.format, io.stdout, [['FILE', 24], ['PATH', 32], ['SEVERITY', 8], ['CODE', 24], ['MESSAGE']]);
+
+  let errors = 0;
+  let warnings = 0;
+  for (const file of files) {
+    const diagnostics = lintRules(await readJsonFile(file));
+    diagnostics.forEach((diagnostic) => {
+      if (diagnostic.severity === 'error') errors++;
+      else warnings++;
+      writer.row([file, diagnostic.path, diagnostic.severity, diagnostic.code, diagnostic.message]);
+    });
+    writer.entry({file, diagnostics});
+  }
+  writer.end(`${errors} errors, ${warnings} warnings.`);
+  return errors > 0 ? EXIT_CODES.failed : EXIT_CODES.ok;
+}
+
+/**
+ * Creates the output writer of a format. Every format prints as it goes, so the output of a large NDJSON input
+ * is not kept in memory: 'table' prints each row in columns of fixed width (longer cells push the rest of their
+ * row) and a summary line at the end; 'json' prints the entries as one array; 'ndjson' prints one entry per line.
+ * @param {string} format The format.
+ * @param {object} stdout The output stream.
+ * @param {Array<Array>} columns The table columns: [header, width], with no width for the last one.
+ * @return {{row: Function, entry: Function, end: Function}} The writer.
+ */
+function createWriter(format, stdout, columns) {
+  if (!CLI_FORMATS.includes(format)) throw new Error(`Invalid --format [${format}]. Use one of: ${CLI_FORMATS.join(', ')}.`);
+  if (format === 'table') {
+    let rows = 0;
+    const writeLine = (cells) => stdout.write(`${cells.map((cell, index) => (index === cells.length - 1 ? cell : cell.padEnd(columns[index][1]))).join('  ').trimEnd()}\n`);
+    return {
+      row: (cells) => {
+        // Cabeçalho só antes da primeira linha
+        if (rows++ === 0) writeLine(columns.map(([header]) => header));
+        writeLine(cells.map((cell) => String(cell).replace(/\s+/g, ' ')));
+      },
+      entry: () => {},
+      end: (summary) => stdout.write(`${rows > 0 ? '\n' : ''}${summary}\n`),
+    };
+  }
+  if (format === 'ndjson') {
+    return {row: () => {}, entry: (entry) => stdout.write(`${JSON.stringify(entry)}\n`), end: () => {}};
+  }
+  let count = 0;
+  return {
+    row: () => {},
+    entry: (entry) => stdout.write(`${count++ === 0 ? '[\n' : ',\n'}${JSON.stringify(entry)}`),
+    end: () => stdout.write(count === 0 ? '[]\n' : '\n]\n'),
+  };
+}
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} file The file path.
+ * @return {Promise<any>} The parsed content.
+ */
+async function readJsonFile(file) {
+  let text;
+  try {
+    text = await readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read [${file}]: ${error.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in [${file}]: ${error.message}`);
+  }
+}
+
+/**
+ * Tells whether a data file holds one document per line.
+ * @param {string} file The file path.
+ * @return {boolean} True for '.ndjson' and '.jsonl' files.
+ */
+function isNdjsonFile(file) {
+  return /\.(ndjson|jsonl)$/i.test(file);
+}
+
+/**
+ * Parses a numeric flag.
+ * @param {string} name The flag name.
+ * @param {string} value The flag value.
+ * @return {number} The number.
+ */
+function parseNumberFlag(name, value) {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0) throw new Error(`Invalid --${name} [${value}]. It must be a non-negative number.`);
+  return number;
+}
@@ -0,0 +1,122 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { runCli, EXIT_CODES } from './cli.js';
+
+describe('cli - ajre validate and lint', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ajre-cli-'));
+  const write = (name, content) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+  const rules = write('rules.json', [
+    { id: 'minor', type: 'ERROR', description: 'Client {{clients[].name}} is a minor', conditions: [{ ref: 'clients[].age', operator: '<', comparisonRef: '_context.minAge' }] },
+    { id: 'noEmail', type: 'WARNING', description: 'No email', conditions: [{ ref: 'email', operator: 'does_not_exists' }] },
+  ]);
+  const context = write('context.json', { minAge: 18 });
+  const adult = write('adult.json', { id: 1, email: 'a@b.c', clients: [{ name: 'Ana', age: 30 }] });
+  const records = write('records.ndjson', [
+    { id: 2, clients: [{ name: 'Bia', age: 40 }] },
+    { id: 3, email: 'x@y.z', clients: [{ name: 'Caio', age: 12 }, { name: 'Duda', age: 15 }] },
+  ].map((record) => JSON.stringify(record)).join('\n'));
+
+  const run = async (args, stdin) => {
+    let stdout = '';
+    let stderr = '';
+    const code = await runCli(args, {
+      stdout: { write: (text) => { stdout += text; } },
+      stderr: { write: (text) => { stderr += text; } },
+      stdin,
+    });
+    return { code, stdout, stderr };
+  };
+
+  afterAll(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  test('prints a table of the rules that fired, and exits with 1 when an ERROR fired', async () => {
+    const { code, stdout } = await run(['validate', '--rules', rules, '--context', context, adult, records]);
+    expect(code).toBe(EXIT_CODES.failed);
+    const lines = stdout.trim().split('\n');
+    expect(lines[0]).toMatch(/^DOCUMENT\s+RULE\s+TYPE\s+MATCHES\s+MESSAGE$/);
+    expect(lines[1]).toMatch(/records\.ndjson#0\s+noEmail\s+WARNING\s+1\s+No email$/);
+    expect(lines[2]).toMatch(/records\.ndjson#1\s+minor\s+ERROR\s+2\s+Client Caio is a minor$/);
+    expect(lines.at(-1)).toBe('2 rules fired (WARNING: 1, ERROR: 1), 0 rule errors, 0 invalid documents.');
+  });
+
+  test('exit codes follow --fail-on', async () => {
+    expect((await run(['validate', '-r', rules, '-c', context, adult])).code).toBe(EXIT_CODES.ok);
+    expect((await run(['validate', '-r', rules, '-c', context, '--fail-on', 'WARNING', records])).code).toBe(EXIT_CODES.failed);
+    expect((await run(['validate', '-r', rules, '-c', context, '--fail-on', 'none', records])).code).toBe(EXIT_CODES.ok);
+  });
+
+  test('prints JSON and NDJSON, with the engine flags and document keys', async () => {
+    const json = await run(['validate', '-r', rules, '-c', context, '-f', 'json', '--return-all-contexts', 'false', '--key', 'id', records]);
+    expect(JSON.parse(json.stdout).map(({ key, results }) => [key, results.map(({ id, conditions }) => [id, conditions.length])])).toEqual([
+      [2, [['noEmail', 1]]],
+      [3, [['minor', 1]]],
+    ]);
+    const ndjson = await run(['validate', '-r', rules, '-c', context, '-f', 'ndjson', '--context-limit', '1', records]);
+    const entries = ndjson.stdout.trim().split('\n').map((line) => JSON.parse(line));
+    expect(entries.map(({ file, index }) => [path.basename(file), index])).toEqual([['records.ndjson', 0], ['records.ndjson', 1]]);
+    expect(entries[1].results.map(({ keyword }) => keyword)).toContain('context_limit');
+  });
+
+  test('reads NDJSON from stdin with -', async () => {
+    const stdin = Readable.from([Buffer.from('{"id":9,"clients":[]}\nnot json\n')]);
+    const { code, stdout } = await run(['validate', '-r', rules, '-f', 'ndjson', '-'], stdin);
+    expect(code).toBe(EXIT_CODES.invalid);
+    expect(stdout.trim().split('\n').map((line) => JSON.parse(line).errors?.[0].code)).toEqual([undefined, 'invalid_document']);
+  });
+
+  test('prints each table row as its document is validated', async () => {
+    let stdout = '';
+    let printed;
+    let timer;
+    const firstRow = new Promise((resolve) => { printed = resolve; });
+    async function* lines() {
+      yield '{"id":1,"clients":[{"name":"Eva","age":10}]}\n';
+      // O segundo documento só é lido depois que a linha do primeiro foi impressa
+      await Promise.race([firstRow, new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error('The first row was not printed.')), 1000); })]);
+      clearTimeout(timer);
+      yield '{"id":2,"email":"a@b.c","clients":[{"name":"Ivo","age":11}]}\n';
+    }
+    const code = await runCli(['validate', '-r', rules, '-c', context, '--key', 'id', '-'], {
+      stdout: { write: (text) => { stdout += text; if (text.includes('Client Eva')) printed(); } },
+      stderr: { write: () => {} },
+      stdin: Readable.from(lines()),
+    });
+    expect(code).toBe(EXIT_CODES.failed);
+    expect(stdout.split('\n').slice(0, 4).map((line) => line.split(/\s{2,}/))).toEqual([
+      ['DOCUMENT', 'RULE', 'TYPE', 'MATCHES', 'MESSAGE'],
+      ['1', 'minor', 'ERROR', '1', 'Client Eva is a minor'],
+      ['1', 'noEmail', 'WARNING', '1', 'No email'],
+      ['2', 'minor', 'ERROR', '1', 'Client Ivo is a minor'],
+    ]);
+  });
+
+  test('exits with 3 when a rule fails to evaluate', async () => {
+    const broken = write('broken.json', [{ id: 'broken', type: 'ERROR', conditions: [{ ref: 'id', operator: 'nope', comparisonValue: 1 }] }]);
+    const { code, stdout } = await run(['validate', '-r', broken, adult]);
+    expect(code).toBe(EXIT_CODES.ruleErrors);
+    expect(stdout).toMatch(/broken\s+ERROR\s+\[evaluation_error\] Unsupported operator: nope/);
+  });
+
+  test('lints rule files', async () => {
+    const invalid = write('invalid.json', [{ id: 'a', conditions: [{ ref: 'x', operator: 'nope' }] }]);
+    expect(await run(['lint', rules])).toEqual({ code: EXIT_CODES.ok, stdout: '0 errors, 0 warnings.\n', stderr: '' });
+    const { code, stdout } = await run(['lint', invalid, '--format', 'ndjson']);
+    expect(code).toBe(EXIT_CODES.failed);
+    expect(JSON.parse(stdout).diagnostics.map(({ code: diagnosticCode }) => diagnosticCode)).toEqual(['unknown_operator']);
+  });
+
+  test('reports usage and input errors with exit code 2', async () => {
+    expect((await run([])).code).toBe(EXIT_CODES.invalid);
+    expect((await run(['validate', adult])).stderr).toMatch('requires --rules');
+    expect((await run(['validate', '-r', rules, '--bogus', adult])).stderr).toMatch('Usage:');
+    expect((await run(['validate', '-r', rules, '--context-limit', 'many', adult])).stderr).toMatch('Invalid --context-limit [many]');
+    expect((await run(['validate', '-r', path.join(directory, 'missing.json'), adult])).stderr).toMatch('Cannot read');
+    expect((await run(['validate', '-r', rules, '-f', 'xml', adult])).code).toBe(EXIT_CODES.invalid);
+  });
+});
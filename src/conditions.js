@@ -0,0 +1,282 @@
+/* eslint-disable max-len */
+/**
+ * Helpers to walk rule condition trees and to detect the array loops they reference.
+ * Shared by the evaluation engine and by lintRules.
+ */
+
+export const CONDITION_GROUP_KEYS = ['all', 'any', 'not'];
+
+// '[]' ou '[variavel]'; '[@n]' é o marcador já processado
+export const LOOP_MARKER = /\[([A-Za-z_$][\w$]*)?\]/;
+const NAMED_LOOP_MARKER = /\[([A-Za-z_$][\w$]*)\]/;
+
+export const QUANTIFIERS = ['all', 'any', 'none', 'atLeast', 'exactly'];
+
+// Valores aceitos em 'selfJoin' (variáveis nomeadas sobre o mesmo array) e no 'stopOnMatch' de uma regra
+export const SELF_JOIN_MODES = ['all', 'distinct', 'unordered'];
+export const RULE_STOP_MODES = [true, false, 'type'];
+
+/**
+ * Lists accepted values for an error message, quoting the strings.
+ * @param {Array<any>} values The values, e.g. RULE_STOP_MODES.
+ * @return {string} The list, e.g. "true, false, 'type'".
+ */
+export function listAcceptedValues(values) {
+  return values.map((value) => (typeof value === 'string' ? `'${value}'` : String(value))).join(', ');
+}
+
+/**
+ * Identifies and expands loops (arrays) in a rule's conditions.
+ * Now analyzes both the 'ref' and 'comparisonRef' fields,
+ * ensuring all referenced arrays are considered in context generation.
+ *
+ * Example: If 'ref' references 'clients[]' and 'comparisonRef' references 'references[]',
+ * both will be considered and the cartesian product of indices will be generated.
+ * Conditions nested inside 'all', 'any' and 'not' groups are analyzed as well.
+ *
+ * Arrays can also be iterated by named loop variables: every distinct name is a loop of its own,
+ * so 'clients[a].docNumber' and 'clients[b].docNumber' pair each client with every client.
+ * Named loops carry their name in 'variable'.
+ *
+ * @param {object} rule The rule being processed.
+ * @param {Array<object>} loops The array where identified loops will be stored.
+ */
+export function processConditionsForLoops(rule, loops) {
+  const leafConditions = collectLeafConditions(rule.conditions);
+  leafConditions.forEach((condition) => {
+    // Lista de campos a analisar: ref e comparisonRef
+    ['ref', 'comparisonRef'].forEach((field) => {
+      if (condition[field]) {
+        // Em agregados, '[]' é agregado e não vira loop; só variáveis nomeadas
+        const namedOnly = isAggregateRef(condition[field]);
+        const inExpression = isExpressionRef(condition[field]);
+        let refValue = getRefPath(condition[field]);
+        let details;
+        while ((details = extractLoopDetails(refValue, namedOnly, inExpression))) {
+          const {objectName, completeObjectPath, variable, marker} = details;
+          // Evita duplicidade de loops
+          let loop = loops.find(l => l.completeObjectPath === completeObjectPath && l.variable === variable);
+          if (!loop) {
+            loop = {objectName, completeObjectPath, parm: `@${loops.length}`};
+            if (variable) loop.variable = variable;
+            loops.push(loop);
+          }
+          // Atualiza todos os campos ref e comparisonRef das condições
+          leafConditions.forEach((innerCondition) => {
+            ['ref', 'comparisonRef'].forEach((innerField) => {
+              const innerPath = getRefPath(innerCondition[innerField]);
+              if (typeof innerPath !== 'string' || (!variable && isAggregateRef(innerCondition[innerField]))) return;
+              if (innerPath.includes(`${objectName}${marker}`)) {
+                setRefPath(innerCondition, innerField, innerPath.replaceAll(
+                  `${objectName}${marker}`,
+                  `${objectName}[${loop.parm}]`,
+                ));
+              }
+            });
+          });
+          // Atualiza o valor para continuar o while, se houver mais de um []
+          refValue = refValue.replace(`${objectName}${marker}`, `${objectName}[${loop.parm}]`);
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Replaces the '[]' and '[variable]' markers of a path outside the conditions (an action path, a message
+ * placeholder) by the '[@n]' markers of the rule's loops. Markers of arrays without a loop are left as they are.
+ * An array iterated only through a JSONPath filter is bound by '[]' as well.
+ * @param {string} path The path, e.g. 'orders[].items[].status'.
+ * @param {Array<object>} loops The sorted and renumbered loops of the rule.
+ * @return {string} The path with '[@n]' markers.
+ */
+export function bindLoopMarkers(path, loops) {
+  let bound = path;
+  loops.forEach(({objectName, variable, parm, filter}) => {
+    bound = bound.replaceAll(`${objectName}[${variable ?? ''}]`, `${objectName}[${parm}]`);
+    if (filter && !loops.some((loop) => loop.objectName === objectName && !loop.variable)) {
+      bound = bound.replaceAll(`${objectName}[]`, `${objectName}[${parm}]`);
+    }
+  });
+  return bound;
+}
+
+/**
+ * Tells whether a plain condition is a quantifier over an array:
+ *   { ref: 'items', quantifier: 'all', conditions: [{ ref: 'quantity', operator: '>', comparisonValue: 0 }] }
+ * Its 'ref' goes through loop detection like any other ref; its inner conditions are relative to each element.
+ * @param {object} condition The plain condition.
+ * @return {boolean} True for quantifiers.
+ */
+export function isQuantifierCondition(condition) {
+  return !!condition && typeof condition === 'object' && condition.quantifier !== undefined;
+}
+
+/**
+ * Tells whether a 'ref' or 'comparisonRef' is an aggregate ({ aggregate, path, filter }) instead of a path.
+ * @param {any} ref The ref value.
+ * @return {boolean} True for aggregate refs.
+ */
+export function isAggregateRef(ref) {
+  return ref !== null && typeof ref === 'object' && !Array.isArray(ref) && ref.expression === undefined;
+}
+
+/**
+ * Tells whether a 'ref' or 'comparisonRef' is a computed expression ({ expression }).
+ * @param {any} ref The ref value.
+ * @return {boolean} True for expression refs.
+ */
+export function isExpressionRef(ref) {
+  return ref !== null && typeof ref === 'object' && !Array.isArray(ref) && ref.expression !== undefined;
+}
+
+/**
+ * Returns the path of a 'ref' or 'comparisonRef': the ref itself, the path of an aggregate or the text of an expression.
+ * @param {string|object} ref The ref value.
+ * @return {string|undefined} The path.
+ */
+export function getRefPath(ref) {
+  if (isExpressionRef(ref)) return ref.expression;
+  return isAggregateRef(ref) ? ref.path : ref;
+}
+
+/**
+ * Replaces the path of a condition field, keeping it an aggregate or an expression when it is one.
+ * @param {object} condition The condition.
+ * @param {string} field 'ref' or 'comparisonRef'.
+ * @param {string} path The new path.
+ */
+function setRefPath(condition, field, path) {
+  if (isExpressionRef(condition[field])) {
+    condition[field].expression = path;
+  } else if (isAggregateRef(condition[field])) {
+    condition[field].path = path;
+  } else {
+    condition[field] = path;
+  }
+}
+
+/**
+ * Renumbers the '[@n]' markers of a rule so that n is the position of the loop in sortedLoops,
+ * which is also its position in every context tuple.
+ * @param {object} rule The rule, after processConditionsForLoops.
+ * @param {Array<object>} sortedLoops The loops of the rule, in exploration order.
+ */
+export function renumberLoops(rule, sortedLoops) {
+  const positions = new Map(sortedLoops.map((loop, index) => [loop.parm, `@${index}`]));
+  const renumber = (value) => value.replace(/\[(@\d+)\]/g, (marker, parm) => `[${positions.get(parm)}]`);
+  collectLeafConditions(rule.conditions).forEach((condition) => {
+    ['ref', 'comparisonRef'].forEach((field) => {
+      const path = getRefPath(condition[field]);
+      if (typeof path === 'string') setRefPath(condition, field, renumber(path));
+    });
+  });
+  sortedLoops.forEach((loop) => {
+    loop.completeObjectPath = renumber(loop.completeObjectPath);
+    loop.parm = positions.get(loop.parm);
+  });
+}
+
+/**
+ * Returns the boolean group key ('all', 'any' or 'not') of a condition node,
+ * or null when the node is a plain condition.
+ * @param {object} node The condition node.
+ * @return {string|null} The group key.
+ */
+export function getConditionGroupKey(node) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return null;
+  const keys = CONDITION_GROUP_KEYS.filter((key) => node[key] !== undefined);
+  if (keys.length === 0) return null;
+  if (keys.length > 1 || node.ref !== undefined) {
+    throw new Error(`A condition group must have exactly one of ${CONDITION_GROUP_KEYS.join(', ')} and no ref.`);
+  }
+  return keys[0];
+}
+
+/**
+ * Collects the plain conditions of a condition tree, in evaluation order.
+ * The returned objects are the same instances found in the tree, so they can be changed in place.
+ * @param {Array<object>|object} node The condition tree (an array, a group or a plain condition).
+ * @param {Array<object>} leaves The array where the conditions will be stored.
+ * @return {Array<object>} The plain conditions.
+ */
+export function collectLeafConditions(node, leaves = []) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectLeafConditions(child, leaves));
+    return leaves;
+  }
+  const groupKey = getConditionGroupKey(node);
+  if (groupKey) {
+    collectLeafConditions(node[groupKey], leaves);
+  } else {
+    leaves.push(node);
+  }
+  return leaves;
+}
+
+/**
+ * Returns a copy of a condition tree with every plain condition replaced by the result of mapLeaf.
+ * @param {Array<object>|object} node The condition tree.
+ * @param {function(object): object} mapLeaf The function applied to each plain condition.
+ * @return {Array<object>|object} The mapped condition tree.
+ */
+export function mapConditionTree(node, mapLeaf) {
+  if (Array.isArray(node)) return node.map((child) => mapConditionTree(child, mapLeaf));
+  const groupKey = getConditionGroupKey(node);
+  if (groupKey) return {[groupKey]: mapConditionTree(node[groupKey], mapLeaf)};
+  return mapLeaf(node);
+}
+
+/**
+ * Returns where the path that ends at a given position starts. Plain refs are a single path;
+ * in expressions, the path starts after the last character that cannot be part of a path.
+ * @param {string} value The ref path or expression.
+ * @param {number} end The position where the path ends.
+ * @param {boolean} inExpression Whether value is an expression.
+ * @return {number} The start position.
+ */
+function findPathStart(value, end, inExpression) {
+  if (!inExpression) return 0;
+  let start = end;
+  while (start > 0 && /[\w$.@[\]]/.test(value[start - 1])) start--;
+  return start;
+}
+
+/**
+ * Extracts details of the first loop ('[]' or '[variable]') of a condition value.
+ * @param {string} value The condition value.
+ * @param {boolean} namedOnly Whether only '[variable]' loops are considered.
+ * @param {boolean} inExpression Whether value is an expression, which may read several paths.
+ * @return {object|null} The extracted loop details: { objectName, completeObjectPath, variable, marker }, or null without loops.
+ */
+function extractLoopDetails(value, namedOnly = false, inExpression = false) {
+  const match = (namedOnly ? NAMED_LOOP_MARKER : LOOP_MARKER).exec(value);
+  if (!match) return null;
+  const completeObjectPath = value.slice(findPathStart(value, match.index, inExpression), match.index);
+  const lastDotIndex = completeObjectPath.lastIndexOf('.');
+  const objectName = completeObjectPath.slice(lastDotIndex + 1);
+  return {objectName, completeObjectPath, variable: match[1], marker: match[0]};
+}
+
+/**
+ * Lists the arrays referenced with '[]' or '[variable]' in a path, as { objectName, completeObjectPath, variable } entries.
+ * Loops are keyed by objectName in processConditionsForLoops, so two entries with the same
+ * objectName and variable but different completeObjectPath end up sharing a single loop.
+ *
+ * Example: 'orders[].items[i].price' => [{ objectName: 'orders', completeObjectPath: 'orders', variable: undefined },
+ *                                        { objectName: 'items', completeObjectPath: 'orders[].items', variable: 'i' }]
+ *
+ * @param {string} value The path.
+ * @param {boolean} inExpression Whether value is an expression, which may read several paths.
+ * @return {Array<object>} The referenced arrays.
+ */
+export function listArrayReferences(value, inExpression = false) {
+  const references = [];
+  const marker = new RegExp(LOOP_MARKER.source, 'g');
+  let match;
+  while ((match = marker.exec(value))) {
+    const completeObjectPath = value.slice(findPathStart(value, match.index, inExpression), match.index);
+    references.push({objectName: completeObjectPath.slice(completeObjectPath.lastIndexOf('.') + 1), completeObjectPath, variable: match[1]});
+  }
+  return references;
+}
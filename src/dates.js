@@ -0,0 +1,181 @@
+/* eslint-disable max-len */
+/**
+ * Date parsing for the date operators (before, after, between, within_days, age_in_years).
+ *
+ * Values can be Date instances, epoch milliseconds, the text 'now' (the reference date of the evaluation)
+ * or strings in one of the configured formats:
+ *   - 'iso': ISO 8601 dates and date-times, e.g. '2024-05-01', '2024-05-01T10:30:00Z', '2024-05-01T10:30:00-03:00';
+ *   - patterns built from YYYY, MM, DD, HH, mm, ss and SSS, e.g. 'DD/MM/YYYY' or 'MM-DD-YYYY HH:mm'.
+ * Strings without an offset are read in the configured timezone: 'UTC' (default), a fixed offset such as
+ * '-03:00', or an IANA name such as 'America/Sao_Paulo'.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const OFFSET_PATTERN = /^([+-])(\d{2}):?(\d{2})$/;
+const FORMAT_TOKENS = {YYYY: ['year', '\\d{4}'], MM: ['month', '\\d{1,2}'], DD: ['day', '\\d{1,2}'], HH: ['hour', '\\d{1,2}'], mm: ['minute', '\\d{1,2}'], ss: ['second', '\\d{1,2}'], SSS: ['millisecond', '\\d{1,3}']};
+
+const formatPatterns = new Map();
+const timezoneFormatters = new Map();
+
+/**
+ * Converts a date value to epoch milliseconds.
+ * @param {any} value The value: a Date, epoch milliseconds, 'now' or a string in one of the formats.
+ * @param {object} options { now: Date, dateFormats: Array<string> (default ['iso']), timezone: string (default 'UTC') }
+ * @return {number} The epoch milliseconds.
+ */
+export function parseDate(value, options = {}) {
+  const timezone = options.timezone ?? 'UTC';
+  if (value instanceof Date || typeof value === 'number') {
+    const time = value instanceof Date ? value.getTime() : value;
+    if (!Number.isFinite(time)) throw new Error(`Invalid date [${value}].`);
+    return time;
+  }
+  if (value === 'now') return options.now instanceof Date ? options.now.getTime() : Date.now();
+  if (typeof value !== 'string') throw new Error(`Invalid date [${value}].`);
+
+  const formats = options.dateFormats ?? ['iso'];
+  for (const format of formats) {
+    const fields = format === 'iso' ? parseIsoFields(value) : parseFormatFields(value, format);
+    if (fields && isValidDate(fields)) {
+      const local = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second, fields.millisecond);
+      // Com offset explícito a string já define o instante; sem ele, vale o timezone configurado
+      if (fields.offset !== undefined) return local - parseOffset(fields.offset);
+      return toInstant(local, timezone);
+    }
+  }
+  throw new Error(`Invalid date [${value}] for formats [${formats.join(', ')}].`);
+}
+
+/**
+ * Counts the full years from one date to another, in the calendar of a timezone.
+ * @param {number} from The earlier date, in epoch milliseconds (e.g. a birth date).
+ * @param {number} to The later date, in epoch milliseconds.
+ * @param {string} timezone The timezone.
+ * @return {number} The number of full years (negative when 'from' is after 'to').
+ */
+export function fullYearsBetween(from, to, timezone = 'UTC') {
+  const start = new Date(from + getTimezoneOffset(timezone, from));
+  const end = new Date(to + getTimezoneOffset(timezone, to));
+  let years = end.getUTCFullYear() - start.getUTCFullYear();
+  const startOfYear = [start.getUTCMonth(), start.getUTCDate(), start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds(), start.getUTCMilliseconds()];
+  const endOfYear = [end.getUTCMonth(), end.getUTCDate(), end.getUTCHours(), end.getUTCMinutes(), end.getUTCSeconds(), end.getUTCMilliseconds()];
+  const index = startOfYear.findIndex((part, i) => part !== endOfYear[i]);
+  if (index !== -1 && endOfYear[index] < startOfYear[index]) years--;
+  return years;
+}
+
+/**
+ * Formats a date with a pattern built from YYYY, MM, DD, HH, mm, ss and SSS, in the calendar of a timezone.
+ * @param {number} time The date, in epoch milliseconds.
+ * @param {string} pattern The pattern, e.g. 'DD/MM/YYYY HH:mm'.
+ * @param {string} timezone The timezone.
+ * @return {string} The formatted date.
+ */
+export function formatDate(time, pattern = 'YYYY-MM-DD', timezone = 'UTC') {
+  const date = new Date(time + getTimezoneOffset(timezone, time));
+  const parts = {
+    YYYY: String(date.getUTCFullYear()).padStart(4, '0'), MM: date.getUTCMonth() + 1, DD: date.getUTCDate(),
+    HH: date.getUTCHours(), mm: date.getUTCMinutes(), ss: date.getUTCSeconds(), SSS: String(date.getUTCMilliseconds()).padStart(3, '0'),
+  };
+  return pattern.replace(/YYYY|SSS|MM|DD|HH|mm|ss/g, (token) => String(parts[token]).padStart(2, '0'));
+}
+
+/**
+ * Reads the fields of an ISO 8601 date or date-time.
+ * @param {string} value The text.
+ * @return {object|null} The date fields, or null when the text is not ISO 8601.
+ */
+function parseIsoFields(value) {
+  const match = ISO_PATTERN.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hour = 0, minute = 0, second = 0, millisecond = '0', offset] = match;
+  return {
+    year: Number(year), month: Number(month), day: Number(day), hour: Number(hour), minute: Number(minute), second: Number(second),
+    millisecond: Number(millisecond.padEnd(3, '0')), offset: offset === 'Z' ? '+00:00' : offset,
+  };
+}
+
+/**
+ * Reads the fields of a date in a pattern such as 'DD/MM/YYYY HH:mm'.
+ * @param {string} value The text.
+ * @param {string} format The pattern.
+ * @return {object|null} The date fields, or null when the text does not match the pattern.
+ */
+function parseFormatFields(value, format) {
+  if (!formatPatterns.has(format)) {
+    const names = [];
+    const source = format.replace(/YYYY|SSS|MM|DD|HH|mm|ss|[.*+?^${}()|[\]\\]/g, (token) => {
+      if (!FORMAT_TOKENS[token]) return `\\${token}`;
+      names.push(FORMAT_TOKENS[token][0]);
+      return `(${FORMAT_TOKENS[token][1]})`;
+    });
+    if (!names.includes('year')) throw new Error(`Date format [${format}] must contain YYYY.`);
+    formatPatterns.set(format, {regex: new RegExp(`^${source}$`), names});
+  }
+  const {regex, names} = formatPatterns.get(format);
+  const match = regex.exec(value);
+  if (!match) return null;
+  const fields = {year: 0, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0};
+  names.forEach((name, index) => {
+    fields[name] = Number(match[index + 1]);
+  });
+  return fields;
+}
+
+/**
+ * Checks that date fields describe an existing date and time (e.g. rejects February 30).
+ * @param {object} fields The date fields.
+ * @return {boolean} True for valid dates.
+ */
+function isValidDate(fields) {
+  const date = new Date(Date.UTC(fields.year, fields.month - 1, fields.day));
+  return date.getUTCFullYear() === fields.year && date.getUTCMonth() === fields.month - 1 && date.getUTCDate() === fields.day &&
+    fields.hour < 24 && fields.minute < 60 && fields.second < 60;
+}
+
+/**
+ * Converts a '+hh:mm' or '-hhmm' offset to milliseconds.
+ * @param {string} offset The offset.
+ * @return {number} The offset in milliseconds.
+ */
+function parseOffset(offset) {
+  const [, sign, hours, minutes] = OFFSET_PATTERN.exec(offset);
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+}
+
+/**
+ * Converts a wall-clock time of a timezone (given as if it were UTC) to the instant it represents.
+ * @param {number} local The wall-clock time, in epoch milliseconds as if it were UTC.
+ * @param {string} timezone The timezone.
+ * @return {number} The instant, in epoch milliseconds.
+ */
+function toInstant(local, timezone) {
+  const guess = local - getTimezoneOffset(timezone, local);
+  // Perto de mudanças de horário de verão o offset do palpite pode ser outro
+  return local - getTimezoneOffset(timezone, guess);
+}
+
+/**
+ * Returns the offset of a timezone from UTC at an instant.
+ * @param {string} timezone 'UTC', a fixed offset ('-03:00') or an IANA name ('America/Sao_Paulo').
+ * @param {number} time The instant, in epoch milliseconds.
+ * @return {number} The offset in milliseconds (positive east of UTC).
+ */
+function getTimezoneOffset(timezone, time) {
+  if (timezone === 'UTC' || timezone === 'Z') return 0;
+  if (OFFSET_PATTERN.test(timezone)) return parseOffset(timezone);
+  if (!timezoneFormatters.has(timezone)) {
+    try {
+      timezoneFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+      }));
+    } catch (error) {
+      throw new Error(`Invalid timezone [${timezone}].`);
+    }
+  }
+  const parts = Object.fromEntries(timezoneFormatters.get(timezone).formatToParts(new Date(time)).map(({type, value}) => [type, Number(value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+}
@@ -0,0 +1,85 @@
+import { validateRules, lintRules } from './businessRules.js';
+import { parseDate, fullYearsBetween } from './dates.js';
+
+describe('dates', () => {
+  test('parses ISO dates, honoring explicit offsets and the timezone otherwise', () => {
+    expect(parseDate('2024-05-01T10:30:00Z')).toBe(Date.UTC(2024, 4, 1, 10, 30));
+    expect(parseDate('2024-05-01T10:30:00-03:00')).toBe(Date.UTC(2024, 4, 1, 13, 30));
+    expect(parseDate('2024-05-01', { timezone: '-03:00' })).toBe(Date.UTC(2024, 4, 1, 3));
+    expect(parseDate('2024-05-01 10:30', { timezone: 'America/Sao_Paulo' })).toBe(Date.UTC(2024, 4, 1, 13, 30));
+    expect(parseDate('2024-07-01', { timezone: 'Europe/Lisbon' })).toBe(Date.UTC(2024, 5, 30, 23));
+  });
+
+  test('parses custom formats, epoch milliseconds, Date instances and now', () => {
+    const now = new Date('2024-01-02T00:00:00Z');
+    expect(parseDate('31/12/2023', { dateFormats: ['iso', 'DD/MM/YYYY'] })).toBe(Date.UTC(2023, 11, 31));
+    expect(parseDate('12-31-2023 08:15', { dateFormats: ['MM-DD-YYYY HH:mm'] })).toBe(Date.UTC(2023, 11, 31, 8, 15));
+    expect(parseDate(0)).toBe(0);
+    expect(parseDate(now)).toBe(now.getTime());
+    expect(parseDate('now', { now })).toBe(now.getTime());
+  });
+
+  test('rejects invalid dates and timezones', () => {
+    expect(() => parseDate('2024-02-30')).toThrow('Invalid date [2024-02-30] for formats [iso].');
+    expect(() => parseDate('01/02/2024')).toThrow('Invalid date');
+    expect(() => parseDate('2024-05-01', { timezone: 'Mars/Olympus' })).toThrow('Invalid timezone [Mars/Olympus].');
+  });
+
+  test('counts full years in the calendar of the timezone', () => {
+    const birth = parseDate('2006-10-18');
+    expect(fullYearsBetween(birth, parseDate('2024-10-17'))).toBe(17);
+    expect(fullYearsBetween(birth, parseDate('2024-10-18'))).toBe(18);
+    const localBirth = parseDate('2006-10-18', { timezone: 'America/Sao_Paulo' });
+    expect(fullYearsBetween(localBirth, Date.UTC(2024, 9, 18, 1), 'America/Sao_Paulo')).toBe(17);
+    expect(fullYearsBetween(localBirth, Date.UTC(2024, 9, 18, 3), 'America/Sao_Paulo')).toBe(18);
+  });
+});
+
+describe('validateRules - date operators', () => {
+  const documentJson = {
+    birthDate: '15/10/2008',
+    issueDate: '2026-01-01',
+    dueDate: '2026-01-25T23:00:00-03:00',
+    period: ['2026-01-01', '2026-01-31'],
+  };
+  const options = { now: '2026-10-15', timezone: 'America/Sao_Paulo' };
+
+  test('compares dates as instants instead of strings', () => {
+    const rules = [
+      { id: 'before', conditions: [{ ref: 'dueDate', operator: 'before', comparisonValue: '2026-01-26T01:30:00Z' }] },
+      { id: 'after', conditions: [{ ref: 'dueDate', operator: 'after', comparisonValue: '2026-01-26T01:30:00Z' }] },
+      { id: 'between', conditions: [{ ref: 'dueDate', operator: 'between', comparisonRef: 'period' }] },
+      { id: 'context', conditions: [{ ref: 'issueDate', operator: 'after', comparisonRef: '_context.cutoff' }] },
+      { id: 'now', conditions: [{ ref: 'issueDate', operator: 'before', comparisonValue: 'now' }] },
+    ];
+    expect(validateRules(documentJson, rules, { cutoff: '2025-12-31' }, options).map(r => r.id)).toEqual(['after', 'between', 'context', 'now']);
+  });
+
+  test('checks the distance in days and the age in years', () => {
+    const rules = [
+      { id: 'within25', conditions: [{ ref: 'dueDate', operator: 'within_days', comparisonRef: 'issueDate', days: 25 }] },
+      { id: 'within24', conditions: [{ ref: 'dueDate', operator: 'within_days', comparisonRef: 'issueDate', days: 24 }] },
+      { id: 'adult', conditions: [{ ref: 'birthDate', operator: 'age_in_years', comparison: '>=', comparisonValue: 18, dateFormats: ['DD/MM/YYYY'] }] },
+      { id: 'minor', conditions: [{ ref: 'birthDate', operator: 'age_in_years', comparison: '<', comparisonValue: 18, dateFormats: ['DD/MM/YYYY'] }] },
+    ];
+    expect(validateRules(documentJson, rules, null, options).map(r => r.id)).toEqual(['within25', 'adult']);
+    expect(validateRules(documentJson, rules.slice(2), null, { ...options, now: '2026-10-14' }).map(r => r.id)).toEqual(['minor']);
+  });
+
+  test('uses the reference now for rule validity dates', () => {
+    const rules = [{ id: 'campaign', initialDate: '2020-01-01', endDate: '2020-12-31', conditions: [{ ref: 'issueDate', operator: 'exists' }] }];
+    expect(validateRules(documentJson, rules, null, { now: '2020-06-01' }).length).toBe(1);
+    expect(validateRules(documentJson, rules).length).toBe(0);
+  });
+
+  test('returns errors for unparseable dates and missing parameters', () => {
+    const rules = [
+      { id: 'format', conditions: [{ ref: 'birthDate', operator: 'before', comparisonValue: 'now' }] },
+      { id: 'days', conditions: [{ ref: 'dueDate', operator: 'within_days', comparisonValue: 'now' }] },
+    ];
+    const result = validateRules(documentJson, rules, null, options);
+    expect(result.length).toBe(2);
+    result.forEach(r => expect(r.errors).toBeDefined());
+    expect(lintRules(rules).map(d => [d.path, d.code])).toEqual([['$[1].conditions[0]', 'missing_parameter']]);
+  });
+});
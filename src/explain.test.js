@@ -0,0 +1,86 @@
+import { validateRules } from './businessRules.js';
+
+describe('validateRules - explain option', () => {
+  const documentJson = {
+    country: 'BR',
+    minAge: 18,
+    clients: [{ age: 10 }, { age: 30 }],
+  };
+  const explanations = (result) => result.filter(r => r.keyword === 'explain');
+
+  test('does not change the results and adds one explain entry per rule', () => {
+    const rules = [
+      { id: 'minor', conditions: [{ ref: 'clients[].age', operator: '<', comparisonRef: 'minAge' }] },
+      { id: 'foreign', conditions: [{ ref: 'country', operator: '<>', comparisonValue: 'BR' }] },
+    ];
+    const plain = validateRules(documentJson, rules);
+    const explained = validateRules(documentJson, rules, null, { explain: true });
+    expect(explained.filter(r => r.keyword !== 'explain')).toEqual(plain);
+    expect(explanations(explained).map(r => [r.id, r.fired])).toEqual([['minor', true], ['foreign', false]]);
+  });
+
+  test('traces every condition of every context, flagging short-circuited ones', () => {
+    const rules = [{ id: 'minorAbroad', conditions: [
+      { ref: 'clients[].age', operator: '<', comparisonRef: 'minAge' },
+      { ref: 'country', operator: '=', comparisonValue: 'AR' },
+    ] }];
+    const [explanation] = explanations(validateRules(documentJson, rules, null, { explain: true }));
+    expect(explanation.fired).toBe(false);
+    expect(explanation.contexts).toEqual([
+      { context: [0], result: false, trace: [
+        { conditionPath: '0', instancePath: 'clients.0.age', instancePathValue: 10, operator: '<', comparisonValue: 18, comparisonPath: 'minAge', result: true, shortCircuited: false },
+        { conditionPath: '1', instancePath: 'country', instancePathValue: 'BR', operator: '=', comparisonValue: 'AR', result: false, shortCircuited: false },
+      ] },
+      { context: [1], result: false, trace: [
+        { conditionPath: '0', instancePath: 'clients.1.age', instancePathValue: 30, operator: '<', comparisonValue: 18, comparisonPath: 'minAge', result: false, shortCircuited: false },
+        { conditionPath: '1', instancePath: 'country', instancePathValue: 'BR', operator: '=', comparisonValue: 'AR', result: false, shortCircuited: true },
+      ] },
+    ]);
+  });
+
+  test('traces groups, bindings and condition errors', () => {
+    const rules = [
+      { id: 'group', conditions: { any: [
+        { ref: 'country', operator: '=', comparisonValue: 'br' },
+        { not: { ref: 'clients[c].age', operator: 'nope', comparisonValue: 1 } },
+      ] } },
+    ];
+    const [explanation] = explanations(validateRules(documentJson, rules, null, { explain: true }));
+    expect(explanation.contexts.map(c => c.bindings)).toEqual([{ c: 0 }, { c: 1 }]);
+    expect(explanation.contexts[0].trace).toEqual([
+      { conditionPath: 'any.0', instancePath: 'country', instancePathValue: 'BR', operator: '=', comparisonValue: 'br', result: true, shortCircuited: false },
+      { conditionPath: 'any.1.not', instancePath: 'clients.0.age', operator: 'nope', result: false, error: 'Unsupported operator: nope', shortCircuited: true },
+    ]);
+  });
+
+  test('reports a malformed group as an error of its rule only', () => {
+    const rules = [
+      { id: 'malformed', conditions: { any: { ref: 'country', operator: '=', comparisonValue: 'BR' } } },
+      { id: 'foreign', conditions: [{ ref: 'country', operator: '<>', comparisonValue: 'AR' }] },
+    ];
+    const result = validateRules(documentJson, rules, null, { explain: true });
+    expect(result.map(r => [r.id, r.keyword, r.errors?.[0].cause])).toEqual([
+      ['malformed', 'conditional', "Condition group 'any' must be an array."],
+      ['malformed', 'explain', undefined],
+      ['foreign', 'conditional', undefined],
+      ['foreign', 'explain', undefined],
+    ]);
+    expect(explanations(result)[0].contexts).toEqual([
+      { context: [], result: false, trace: [{ conditionPath: 'any', result: false, error: "Condition group 'any' must be an array.", shortCircuited: false }] },
+    ]);
+  });
+
+  test('lists rules skipped by their dates and rules that failed to compile', () => {
+    const rules = [
+      { id: 'future', initialDate: '2030-01-01', conditions: [{ ref: 'country', operator: 'exists' }] },
+      { id: 'past', endDate: '2020-01-01', conditions: [{ ref: 'country', operator: 'exists' }] },
+      { id: 'broken', conditions: [{ ref: 'country', operator: '=', comparisonValue: 'BR', semantics: { strict: 'yes' } }] },
+    ];
+    const result = validateRules(documentJson, rules, null, { explain: true, now: '2025-06-01T00:00:00Z' });
+    expect(explanations(result)).toEqual([
+      { id: 'future', keyword: 'explain', fired: false, skipped: 'not_started', reason: 'The rule starts at 2030-01-01, after the reference date 2025-06-01T00:00:00.000Z.' },
+      { id: 'past', keyword: 'explain', fired: false, skipped: 'expired', reason: 'The rule ended at 2020-01-01, before the reference date 2025-06-01T00:00:00.000Z.' },
+      { id: 'broken', keyword: 'explain', fired: false, contexts: [], errors: [{ cause: 'Invalid comparison semantics value [yes] for [strict].', context: 'Error occurred while compiling rule [broken]' }] },
+    ]);
+  });
+});
@@ -0,0 +1,238 @@
+/* eslint-disable max-len */
+/**
+ * Computed expressions usable in 'ref' and 'comparisonRef':
+ *   { expression: 'items[].price * items[].quantity' }
+ *   { expression: 'round(total, 2)' }
+ *   { expression: 'length(trim(name ?? \'\'))' }
+ *
+ * The language is parsed into a small tree and interpreted, never passed to eval:
+ *   - literals: numbers, 'strings' or "strings", true, false and null;
+ *   - paths: the same paths as a plain ref, including '[]', '[variable]' and the '_context.' prefix;
+ *   - operators, from the lowest precedence: '??', '+' and '-', '*', '/' and '%', unary '-', parentheses;
+ *   - calls to the functions of EXPRESSION_FUNCTIONS.
+ * A null or undefined operand makes an arithmetic operation or a function call undefined, so a missing
+ * field never turns into NaN or 'undefined' text. Use '??' to give it a default.
+ */
+
+const PATH_PATTERN = /^[A-Za-z_$][\w$]*(?:\[[\w$@]*\]|\.[\w$]+)*/;
+const NUMBER_PATTERN = /^\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/;
+const KEYWORDS = {true: true, false: false, null: null};
+
+/**
+ * Builds a function entry of the catalogue.
+ * @param {number} minArgs The minimum number of arguments.
+ * @param {number} maxArgs The maximum number of arguments (Infinity for variadic functions).
+ * @param {Function} fn The implementation, called with non-null arguments only.
+ * @return {object} The function entry.
+ */
+function defineFunction(minArgs, maxArgs, fn) {
+  return {minArgs, maxArgs, fn};
+}
+
+/**
+ * Checks the type of a function argument.
+ * @param {string} name The function name.
+ * @param {any} value The argument.
+ * @param {string} type The expected typeof.
+ * @return {any} The argument.
+ */
+function expectType(name, value, type) {
+  if (typeof value !== type) throw new Error(`Function [${name}] requires ${type} arguments, got [${value}].`);
+  return value;
+}
+
+export const EXPRESSION_FUNCTIONS = {
+  length: defineFunction(1, 1, (value) => {
+    if (typeof value !== 'string' && !Array.isArray(value)) throw new Error(`Function [length] requires a string or an array, got [${value}].`);
+    return value.length;
+  }),
+  lower: defineFunction(1, 1, (value) => expectType('lower', value, 'string').toLowerCase()),
+  upper: defineFunction(1, 1, (value) => expectType('upper', value, 'string').toUpperCase()),
+  trim: defineFunction(1, 1, (value) => expectType('trim', value, 'string').trim()),
+  substring: defineFunction(2, 3, (value, start, end) => expectType('substring', value, 'string').substring(expectType('substring', start, 'number'), end === undefined ? undefined : expectType('substring', end, 'number'))),
+  replace: defineFunction(3, 3, (value, search, replacement) => expectType('replace', value, 'string').replaceAll(expectType('replace', search, 'string'), expectType('replace', replacement, 'string'))),
+  concat: defineFunction(1, Infinity, (...values) => values.map((value) => String(value)).join('')),
+  abs: defineFunction(1, 1, (value) => Math.abs(expectType('abs', value, 'number'))),
+  floor: defineFunction(1, 1, (value) => Math.floor(expectType('floor', value, 'number'))),
+  ceil: defineFunction(1, 1, (value) => Math.ceil(expectType('ceil', value, 'number'))),
+  round: defineFunction(1, 2, (value, digits = 0) => {
+    const factor = 10 ** expectType('round', digits, 'number');
+    return Math.round((expectType('round', value, 'number') + Number.EPSILON) * factor) / factor;
+  }),
+  min: defineFunction(1, Infinity, (...values) => Math.min(...values.map((value) => expectType('min', value, 'number')))),
+  max: defineFunction(1, Infinity, (...values) => Math.max(...values.map((value) => expectType('max', value, 'number')))),
+  pow: defineFunction(2, 2, (base, exponent) => expectType('pow', base, 'number') ** expectType('pow', exponent, 'number')),
+  sqrt: defineFunction(1, 1, (value) => Math.sqrt(expectType('sqrt', value, 'number'))),
+  number: defineFunction(1, 1, (value) => {
+    const number = Number(value);
+    return typeof value === 'boolean' || (typeof value === 'string' && value.trim() === '') || Number.isNaN(number) ? undefined : number;
+  }),
+  string: defineFunction(1, 1, (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value))),
+};
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} source The expression.
+ * @return {Array<object>} The tokens: { type: 'number'|'string'|'path'|'operator', value, position }.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+  while (position < source.length) {
+    const rest = source.slice(position);
+    const char = rest[0];
+    let match;
+    if (/\s/.test(char)) {
+      position++;
+    } else if (rest.startsWith('??')) {
+      tokens.push({type: 'operator', value: '??', position});
+      position += 2;
+    } else if ('+-*/%(),'.includes(char)) {
+      tokens.push({type: 'operator', value: char, position});
+      position++;
+    } else if ((match = NUMBER_PATTERN.exec(rest))) {
+      tokens.push({type: 'number', value: Number(match[0]), position});
+      position += match[0].length;
+    } else if ((match = PATH_PATTERN.exec(rest))) {
+      tokens.push({type: 'path', value: match[0], position});
+      position += match[0].length;
+    } else if (char === '\'' || char === '"') {
+      let value = '';
+      let end = position + 1;
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\' && end + 1 < source.length) end++;
+        value += source[end++];
+      }
+      if (end >= source.length) throw new Error(`Unterminated string at position ${position} of expression [${source}].`);
+      tokens.push({type: 'string', value, position});
+      position = end + 1;
+    } else {
+      throw new Error(`Unexpected character [${char}] at position ${position} of expression [${source}].`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parses an expression into a tree of nodes:
+ *   { type: 'literal', value } | { type: 'path', path } | { type: 'unary', operator, operand }
+ *   | { type: 'binary', operator, left, right } | { type: 'call', name, args }
+ * Unknown functions and wrong argument counts are reported here, so they surface when the rule is compiled.
+ * @param {string} source The expression.
+ * @return {object} The root node.
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string' || source.trim().length === 0) throw new Error('An expression must be a non-empty string.');
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+  const fail = (message) => {
+    const token = peek();
+    throw new Error(`${message} ${token ? `at position ${token.position}` : 'at the end'} of expression [${source}].`);
+  };
+  const expect = (value) => {
+    if (!isOperator(value)) fail(`Expected '${value}'`);
+    index++;
+  };
+
+  // Precedência crescente: ??, + -, * / %, unário
+  const parseBinary = (operators, parseOperand) => () => {
+    let node = parseOperand();
+    while (peek()?.type === 'operator' && operators.includes(peek().value)) {
+      const operator = tokens[index++].value;
+      node = {type: 'binary', operator, left: node, right: parseOperand()};
+    }
+    return node;
+  };
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail('Expected a value');
+    if (isOperator('-')) {
+      index++;
+      return {type: 'unary', operator: '-', operand: parsePrimary()};
+    }
+    if (isOperator('(')) {
+      index++;
+      const node = parseCoalesce();
+      expect(')');
+      return node;
+    }
+    index++;
+    if (token.type === 'number' || token.type === 'string') return {type: 'literal', value: token.value};
+    if (token.type !== 'path') {
+      index--;
+      fail(`Unexpected '${token.value}'`);
+    }
+    if (isOperator('(')) return parseCall(token.value);
+    if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) return {type: 'literal', value: KEYWORDS[token.value]};
+    return {type: 'path', path: token.value};
+  };
+  const parseCall = (name) => {
+    const definition = Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, name) ? EXPRESSION_FUNCTIONS[name] : undefined;
+    if (!definition) throw new Error(`Unknown function [${name}] in expression [${source}].`);
+    expect('(');
+    const args = [];
+    if (!isOperator(')')) {
+      args.push(parseCoalesce());
+      while (isOperator(',')) {
+        index++;
+        args.push(parseCoalesce());
+      }
+    }
+    expect(')');
+    if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+      throw new Error(`Function [${name}] expects ${definition.minArgs === definition.maxArgs ? definition.minArgs : `${definition.minArgs} to ${definition.maxArgs}`} arguments, got ${args.length}, in expression [${source}].`);
+    }
+    return {type: 'call', name, args};
+  };
+  const parseMultiplicative = parseBinary(['*', '/', '%'], parsePrimary);
+  const parseAdditive = parseBinary(['+', '-'], parseMultiplicative);
+  const parseCoalesce = parseBinary(['??'], parseAdditive);
+
+  const root = parseCoalesce();
+  if (index < tokens.length) fail(`Unexpected '${peek().value}'`);
+  return root;
+}
+
+/**
+ * Evaluates an expression tree.
+ * @param {object} node The expression tree, from parseExpression.
+ * @param {function(string): any} readPath Reads the value of a path of the expression.
+ * @return {any} The value of the expression.
+ */
+export function evaluateExpression(node, readPath) {
+  const isMissing = (value) => value === undefined || value === null;
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'path':
+      return readPath(node.path);
+    case 'unary': {
+      const operand = evaluateExpression(node.operand, readPath);
+      if (isMissing(operand)) return undefined;
+      if (typeof operand !== 'number') throw new Error(`Operator [-] requires a number, got [${operand}].`);
+      return -operand;
+    }
+    case 'binary': {
+      const left = evaluateExpression(node.left, readPath);
+      if (node.operator === '??') return isMissing(left) ? evaluateExpression(node.right, readPath) : left;
+      const right = evaluateExpression(node.right, readPath);
+      if (isMissing(left) || isMissing(right)) return undefined;
+      if (node.operator === '+' && (typeof left === 'string' || typeof right === 'string')) return `${left}${right}`;
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw new Error(`Operator [${node.operator}] requires numbers, got [${left}] and [${right}].`);
+      }
+      if ((node.operator === '/' || node.operator === '%') && right === 0) throw new Error(`Division by zero in operator [${node.operator}].`);
+      return {'+': left + right, '-': left - right, '*': left * right, '/': left / right, '%': left % right}[node.operator];
+    }
+    case 'call': {
+      const args = node.args.map((arg) => evaluateExpression(arg, readPath));
+      if (args.some(isMissing)) return undefined;
+      return EXPRESSION_FUNCTIONS[node.name].fn(...args);
+    }
+    default:
+      throw new Error(`Unsupported expression node: ${node.type}`);
+  }
+}
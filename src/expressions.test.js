@@ -0,0 +1,104 @@
+import { validateRules, lintRules } from './businessRules.js';
+import { parseExpression, evaluateExpression } from './expressions.js';
+
+describe('expressions', () => {
+  const evaluate = (expression, values = {}) => evaluateExpression(parseExpression(expression), (path) => values[path]);
+
+  test('follows arithmetic precedence and parentheses', () => {
+    expect(evaluate('1 + 2 * 3')).toBe(7);
+    expect(evaluate('(1 + 2) * 3')).toBe(9);
+    expect(evaluate('10 - 4 - 3')).toBe(3);
+    expect(evaluate('-price % 4', { price: 10 })).toBe(-2);
+    expect(evaluate('\'total: \' + total', { total: 3 })).toBe('total: 3');
+  });
+
+  test('supports string and math functions', () => {
+    expect(evaluate('length(trim(name))', { name: '  Ana ' })).toBe(3);
+    expect(evaluate('upper(substring(code, 0, 2))', { code: 'br-01' })).toBe('BR');
+    expect(evaluate('replace(concat(a, "-", b), "-", "/")', { a: 'x', b: 1 })).toBe('x/1');
+    expect(evaluate('round(1.005, 2)')).toBe(1.01);
+    expect(evaluate('max(abs(-3), floor(2.7), ceil(2.1), sqrt(pow(2, 4)))')).toBe(4);
+    expect(evaluate('number(\'12.5\') + 1')).toBe(13.5);
+  });
+
+  test('propagates missing values unless defaulted with ??', () => {
+    expect(evaluate('price * quantity', { price: 10 })).toBeUndefined();
+    expect(evaluate('length(name)')).toBeUndefined();
+    expect(evaluate('price * (quantity ?? 1)', { price: 10 })).toBe(10);
+    expect(evaluate('discount ?? null ?? 0')).toBe(0);
+  });
+
+  test('reports syntax errors, unknown functions and invalid operands', () => {
+    expect(() => parseExpression('1 +')).toThrow('Expected a value at the end of expression [1 +].');
+    expect(() => parseExpression('(1 + 2')).toThrow('Expected \')\'');
+    expect(() => parseExpression('eval(code)')).toThrow('Unknown function [eval]');
+    expect(() => parseExpression('round()')).toThrow('Function [round] expects 1 to 2 arguments, got 0');
+    expect(() => parseExpression('a; b')).toThrow('Unexpected character [;]');
+    expect(() => evaluate('name * 2', { name: 'Ana' })).toThrow('Operator [*] requires numbers');
+    expect(() => evaluate('total / 0', { total: 1 })).toThrow('Division by zero');
+  });
+});
+
+describe('validateRules - expressions in ref and comparisonRef', () => {
+  const documentJson = {
+    creditLimit: 50,
+    total: 10.004,
+    amount: 10,
+    name: ' Jo ',
+    items: [
+      { price: 10, quantity: 6 },
+      { price: 5, quantity: 2 },
+    ],
+  };
+
+  test('reports the evaluated value with the loops bound in the expression', () => {
+    const rules = [{ id: 'overLimit', type: 'ERROR', conditions: [
+      { ref: { expression: 'items[].price * items[].quantity' }, operator: '>', comparisonRef: { expression: 'creditLimit ?? 0' } },
+    ] }];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].conditions).toEqual([{ result: true, conditionValues: [{
+      instancePath: 'items.0.price * items.0.quantity',
+      instancePathValue: 60,
+      operator: '>',
+      comparisonValue: 50,
+    }] }]);
+  });
+
+  test('shares loops with plain refs and reads the context object', () => {
+    const rules = [
+      { id: 'shared', conditions: [
+        { ref: 'items[].quantity', operator: '=', comparisonValue: 2 },
+        { ref: { expression: 'items[].price * _context.rate' }, operator: '=', comparisonValue: 15 },
+      ] },
+      { id: 'rounded', conditions: [{ ref: { expression: 'round(total, 2)' }, operator: '=', comparisonRef: 'amount' }] },
+      { id: 'shortName', conditions: [{ ref: { expression: 'length(trim(name))' }, operator: '<=', comparisonValue: 3 }] },
+    ];
+    const result = validateRules(documentJson, rules, { rate: 3 });
+    expect(result.map(r => r.id)).toEqual(['shared', 'rounded', 'shortName']);
+    expect(result[0].conditions.length).toBe(1);
+    expect(result[0].conditions[0].conditionValues[1].instancePath).toBe('items.1.price * _context.rate');
+  });
+
+  test('returns errors for invalid expressions', () => {
+    const rules = [
+      { id: 'syntax', conditions: [{ ref: { expression: 'amount *' }, operator: '>', comparisonValue: 1 }] },
+      { id: 'type', conditions: [{ ref: { expression: 'name * 2' }, operator: '>', comparisonValue: 1 }] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(2);
+    expect(result[0].errors[0].cause).toContain('expression [amount *]');
+    expect(result[1].errors).toBeDefined();
+  });
+
+  test('lints expressions and the arrays they read', () => {
+    const rules = [
+      { id: 'syntax', conditions: [{ ref: { expression: 'upper(' }, operator: '=', comparisonValue: 'A' }] },
+      { id: 'arrays', conditions: [{ ref: { expression: 'a.items[].price + b.items[].price' }, operator: '>', comparisonValue: 1 }] },
+    ];
+    expect(lintRules(rules).map(d => [d.path, d.code])).toEqual([
+      ['$[0].conditions[0].ref.expression', 'invalid_expression'],
+      ['$[1].conditions', 'ambiguous_array_name'],
+    ]);
+  });
+});
@@ -0,0 +1,159 @@
+/* eslint-disable max-len */
+import objectPath from 'object-path';
+
+/**
+ * Fact providers for validateRulesAsync: values that are not in the document and are loaded on demand,
+ * read with the '_fact.' prefix:
+ *   facts: { creditLimit: async ({ documentJson }) => api.creditLimit(documentJson.customerId) }
+ *   { ref: 'total', operator: '>', comparisonRef: '_fact.creditLimit.amount' }
+ *
+ * A provider is keyed by a path prefix after '_fact.' (the longest matching key wins) and the rest of the
+ * path is read from the value it returns. A provider is an async function ({ name, documentJson, contextObj }) => value,
+ * or { provide, ttl } to keep its value for ttl milliseconds across runs of the same compiled rules.
+ * Within one run each provider is called at most once.
+ */
+
+export const FACT_PREFIX = '_fact.';
+
+const FACT_ERROR = 'fact_error';
+const FACT_PENDING = 'fact_pending';
+
+/**
+ * Checks the fact providers and normalizes them to { provide, ttl }.
+ * @param {object} providers The providers, by name.
+ * @param {number} defaultTtl The ttl of providers that do not set one.
+ * @return {Map<string, object>} The providers by name, longest names first.
+ */
+export function compileFactProviders(providers, defaultTtl) {
+  if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+    throw new Error('The facts option must be an object of fact providers.');
+  }
+  if (!isValidTtl(defaultTtl)) throw new Error(`Invalid fact ttl [${defaultTtl}].`);
+  const entries = Object.entries(providers).map(([name, provider]) => {
+    const {provide, ttl = defaultTtl} = typeof provider === 'function' ? {provide: provider} : provider ?? {};
+    if (typeof provide !== 'function') throw new Error(`Fact provider [${name}] must be a function or { provide, ttl }.`);
+    if (!isValidTtl(ttl)) throw new Error(`Invalid ttl [${ttl}] for fact provider [${name}].`);
+    return [name, {provide, ttl}];
+  });
+  // Prefixo mais longo primeiro: 'customer.score' antes de 'customer'
+  return new Map(entries.sort(([a], [b]) => b.length - a.length));
+}
+
+/**
+ * Tells whether a ttl is a non-negative number of milliseconds (Infinity included).
+ * @param {any} ttl The ttl.
+ * @return {boolean} True if valid.
+ */
+function isValidTtl(ttl) {
+  return typeof ttl === 'number' && ttl >= 0;
+}
+
+/**
+ * Creates the fact store of one run. Reading a fact that is not loaded yet records it as pending and
+ * throws an error that stops the evaluation of the rule (see isFactPending), so conditions after the read
+ * never ask for facts of their own. The run is repeated once the pending facts are loaded.
+ * @param {Map<string, object>} providers The compiled providers.
+ * @param {Map<string, object>} sharedCache Values kept across runs, by provider name: { value, loadedAt }.
+ * @param {object} request Passed to the providers: { documentJson, contextObj }.
+ * @return {object} The store: { read(path), pending: Set<string>, load(concurrency) }.
+ */
+export function createFactStore(providers, sharedCache, request) {
+  const loaded = new Map();
+  const pending = new Set();
+
+  return {
+    pending,
+    /**
+     * Reads a '_fact.' path.
+     * @param {string} path The path, with the prefix.
+     * @return {any} The value.
+     * @throws {Error} A pending error while the fact is not loaded.
+     */
+    read(path) {
+      const factPath = path.slice(FACT_PREFIX.length);
+      const name = findProviderName(providers, factPath);
+      if (name === undefined) throw new Error(`No fact provider for path [${path}].`);
+      const cached = sharedCache.get(name);
+      if (!loaded.has(name) && cached && Date.now() - cached.loadedAt < providers.get(name).ttl) {
+        loaded.set(name, {value: cached.value});
+      }
+      if (!loaded.has(name)) {
+        pending.add(name);
+        const notLoaded = new Error(`Fact provider [${name}] has not been called yet.`);
+        notLoaded.code = FACT_PENDING;
+        throw notLoaded;
+      }
+      const {value, error} = loaded.get(name);
+      if (error) {
+        const failure = new Error(`Fact provider [${name}] failed: ${error?.message ?? error}`);
+        failure.code = FACT_ERROR;
+        throw failure;
+      }
+      const rest = factPath.slice(name.length + 1);
+      return rest ? objectPath.get(value, rest) : value;
+    },
+    /**
+     * Calls the providers of the pending facts, at most `concurrency` at a time. Failures are kept
+     * and reported by read().
+     * @param {number} concurrency The maximum number of providers running at once.
+     * @return {Promise<void>}
+     */
+    async load(concurrency) {
+      const names = [...pending];
+      pending.clear();
+      await mapWithConcurrency(names, concurrency, async (name) => {
+        const {provide, ttl} = providers.get(name);
+        try {
+          const value = await provide({name, ...request});
+          loaded.set(name, {value});
+          if (ttl > 0) sharedCache.set(name, {value, loadedAt: Date.now()});
+        } catch (error) {
+          loaded.set(name, {error});
+        }
+      });
+    },
+  };
+}
+
+/**
+ * Tells whether an error was raised by a failed fact provider.
+ * @param {Error} error The error.
+ * @return {boolean} True for fact provider failures.
+ */
+export function isFactError(error) {
+  return error?.code === FACT_ERROR;
+}
+
+/**
+ * Tells whether an error was raised by reading a fact that is not loaded yet.
+ * @param {Error} error The error.
+ * @return {boolean} True for pending facts.
+ */
+export function isFactPending(error) {
+  return error?.code === FACT_PENDING;
+}
+
+/**
+ * Finds the provider of a fact path: the longest provider name equal to the path or followed by a '.'.
+ * @param {Map<string, object>} providers The providers, longest names first.
+ * @param {string} factPath The path after '_fact.'.
+ * @return {string|undefined} The provider name.
+ */
+function findProviderName(providers, factPath) {
+  return [...providers.keys()].find((name) => factPath === name || factPath.startsWith(`${name}.`));
+}
+
+/**
+ * Runs an async function over items, with at most `limit` calls pending at once.
+ * @param {Array<any>} items The items.
+ * @param {number} limit The concurrency limit.
+ * @param {function(any): Promise<void>} fn The function.
+ * @return {Promise<void>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({length: Math.min(limit, items.length)}, worker));
+}
@@ -0,0 +1,112 @@
+import { validateRules, validateRulesAsync, compileRules } from './businessRules.js';
+
+describe('validateRulesAsync - fact providers', () => {
+  const documentJson = { customerId: 7, total: 120, country: 'BR' };
+  const stub = (values) => {
+    const calls = [];
+    const facts = Object.fromEntries(Object.entries(values).map(([name, value]) => [name, async (request) => {
+      calls.push({ name, customerId: request.documentJson.customerId });
+      if (value instanceof Error) throw value;
+      return value;
+    }]));
+    return { facts, calls };
+  };
+
+  test('reads fact values and paths inside them', async () => {
+    const { facts } = stub({ creditLimit: { amount: 100 }, 'customer.score': 300 });
+    const rules = [
+      { id: 'overLimit', conditions: [{ ref: 'total', operator: '>', comparisonRef: '_fact.creditLimit.amount' }] },
+      { id: 'lowScore', conditions: [{ ref: '_fact.customer.score', operator: '<', comparisonValue: 500 }] },
+    ];
+    const result = await validateRulesAsync(documentJson, rules, null, { facts });
+    expect(result.map(r => r.id)).toEqual(['overLimit', 'lowScore']);
+    expect(result[0].conditions[0].conditionValues[0]).toEqual({ instancePath: 'total', instancePathValue: 120, operator: '>', comparisonValue: 100 });
+  });
+
+  test('calls a provider only when a condition reads it, once per run', async () => {
+    const { facts, calls } = stub({ creditLimit: 100, blocklist: [7] });
+    const rules = [
+      { id: 'shortCircuited', conditions: [
+        { ref: 'country', operator: '=', comparisonValue: 'AR' },
+        { ref: 'total', operator: '>', comparisonRef: '_fact.creditLimit' },
+      ] },
+      { id: 'blocked', conditions: [{ ref: 'customerId', operator: 'in', comparisonRef: '_fact.blocklist' }] },
+      { id: 'blockedAgain', conditions: { any: [{ ref: 'customerId', operator: 'in', comparisonRef: '_fact.blocklist' }] } },
+    ];
+    const result = await validateRulesAsync(documentJson, rules, null, { facts });
+    expect(result.map(r => r.id)).toEqual(['blocked', 'blockedAgain']);
+    expect(calls).toEqual([{ name: 'blocklist', customerId: 7 }]);
+  });
+
+  test('stops at the first fact that is not loaded, so short-circuited conditions never call their providers', async () => {
+    const { facts, calls } = stub({ a: 10, b: 10, c: 1, label: 'checked' });
+    const rules = [
+      { id: 'either', conditions: { any: [
+        { ref: '_fact.a', operator: '>', comparisonValue: 5 },
+        { ref: '_fact.b', operator: '>', comparisonValue: 5 },
+      ] }, actions: [{ type: 'set', path: 'status', valueRef: '_fact.label' }] },
+      { id: 'neither', conditions: [
+        { ref: '_results.either.fired', operator: '=', comparisonValue: false },
+        { ref: '_fact.c', operator: '>', comparisonValue: 0 },
+      ] },
+    ];
+    const { results, document } = await compileRules(rules, { facts }).applyAsync(documentJson);
+    expect(results.map(r => r.id)).toEqual(['either']);
+    expect(document.status).toBe('checked');
+    expect(calls.map(c => c.name)).toEqual(['a', 'label']);
+  });
+
+  test('keeps values across runs only for the configured ttl', async () => {
+    const { facts, calls } = stub({ blocklist: [7, 8], creditLimit: 100 });
+    const rules = [{ id: 'r', conditions: [
+      { ref: 'customerId', operator: 'in', comparisonRef: '_fact.blocklist' },
+      { ref: 'total', operator: '>', comparisonRef: '_fact.creditLimit' },
+    ] }];
+    const compiled = compileRules(rules, { facts: { blocklist: { provide: facts.blocklist, ttl: 60000 }, creditLimit: facts.creditLimit } });
+    await compiled.validateAsync(documentJson);
+    await compiled.validateAsync({ ...documentJson, customerId: 8 });
+    expect(calls.map(c => `${c.name}:${c.customerId}`)).toEqual(['blocklist:7', 'creditLimit:7', 'creditLimit:8']);
+  });
+
+  test('limits how many providers run at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const provide = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      return 1;
+    };
+    const rules = ['a', 'b', 'c'].map(name => ({ id: name, conditions: [{ ref: `_fact.${name}`, operator: '=', comparisonValue: 1 }] }));
+    const facts = { a: provide, b: provide, c: provide };
+    expect((await validateRulesAsync(documentJson, rules, null, { facts, factConcurrency: 2 })).length).toBe(3);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('turns provider failures into rule errors', async () => {
+    const { facts } = stub({ creditLimit: new Error('service unavailable'), blocklist: [7] });
+    const rules = [
+      { id: 'overLimit', conditions: [
+        { ref: 'country', operator: 'exists' },
+        { ref: 'total', operator: '>', comparisonRef: '_fact.creditLimit' },
+      ] },
+      { id: 'blocked', conditions: [{ ref: 'customerId', operator: 'in', comparisonRef: '_fact.blocklist' }] },
+      { id: 'unknown', conditions: [{ ref: '_fact.missing', operator: 'exists' }] },
+    ];
+    const result = await validateRulesAsync(documentJson, rules, null, { facts });
+    expect(result.map(r => [r.id, r.errors?.[0]])).toEqual([
+      ['overLimit', { cause: 'Fact provider [creditLimit] failed: service unavailable', context: 'Error occurred while processing rule [overLimit]', code: 'fact_error', conditionIndex: 1 }],
+      ['blocked', undefined],
+      ['unknown', { cause: 'No fact provider for path [_fact.missing].', context: 'Error occurred while processing rule [unknown]', code: 'evaluation_error', conditionIndex: 0 }],
+    ]);
+  });
+
+  test('rejects fact reads in validateRules and invalid options', () => {
+    const rules = [{ id: 'r', conditions: [{ ref: '_fact.creditLimit', operator: 'exists' }] }];
+    expect(validateRules(documentJson, rules, null, { facts: { creditLimit: async () => 1 } })[0].errors[0].cause)
+      .toBe('Fact [_fact.creditLimit] can only be read with validateRulesAsync.');
+    expect(() => compileRules(rules, { facts: { creditLimit: 1 } })).toThrow('Fact provider [creditLimit] must be a function or { provide, ttl }.');
+    expect(() => compileRules(rules, { factConcurrency: 0 })).toThrow('Invalid factConcurrency [0]');
+  });
+});
@@ -0,0 +1,105 @@
+/* eslint-disable max-len */
+import {parseDate} from './dates.js';
+
+/**
+ * Named formats used by the 'format' operator:
+ *   { ref: 'email', operator: 'format', comparisonValue: 'email' }
+ *
+ * A format is a RegExp or a function (value) => boolean. Values are checked as text, so numbers are
+ * converted to strings and any other type never matches. Like operators, custom formats are looked up
+ * before the built-in ones, and registering an existing name requires { override: true }.
+ */
+
+const builtInFormats = new Map([
+  ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i],
+  ['iso_date', (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && isIsoDate(value)],
+  ['iso_datetime', (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value) && isIsoDate(value)],
+  ['time', /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/],
+  ['phone_e164', /^\+[1-9]\d{7,14}$/],
+  ['url', (value) => /^https?:\/\/[^\s/$.?#].[^\s]*$/i.test(value)],
+  ['ipv4', /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/],
+  ['cpf', /^\d{3}\.\d{3}\.\d{3}-\d{2}$/],
+  ['cnpj', /^\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}$/],
+  ['cep', /^\d{5}-\d{3}$/],
+].map(([name, check]) => [name, toChecker(check)]));
+
+const customFormats = new Map();
+
+/**
+ * Tells whether a text is a valid ISO 8601 date (e.g. rejects '2024-02-30').
+ * @param {string} value The text.
+ * @return {boolean} True for valid dates.
+ */
+function isIsoDate(value) {
+  try {
+    parseDate(value, {dateFormats: ['iso']});
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turns a RegExp or a predicate into a checker function.
+ * @param {RegExp|Function} check The format definition.
+ * @return {function(string): boolean} The checker.
+ */
+function toChecker(check) {
+  if (check instanceof RegExp) {
+    // Sem estado entre chamadas: flags g e y fariam test() depender de lastIndex
+    const regex = new RegExp(check.source, check.flags.replace(/[gy]/g, ''));
+    return (value) => regex.test(value);
+  }
+  return (value) => Boolean(check(value));
+}
+
+/**
+ * Registers a custom format.
+ *
+ * Example:
+ *   registerFormat('plate', /^[A-Z]{3}-?\d[A-Z0-9]\d{2}$/);
+ *
+ * @param {string} name The format name, as used in the comparisonValue of the 'format' operator.
+ * @param {RegExp|function(string): boolean} check The pattern, or a predicate that receives the value as text.
+ * @param {object} options Optional settings: { override: boolean (default false) }
+ */
+export function registerFormat(name, check, options = {}) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('Format name must be a non-empty string.');
+  }
+  if (!(check instanceof RegExp) && typeof check !== 'function') {
+    throw new Error(`Format [${name}] must be a RegExp or a function.`);
+  }
+  if (getFormat(name) && !options.override) {
+    throw new Error(`Format [${name}] is already registered. Use { override: true } to replace it.`);
+  }
+  customFormats.set(name, toChecker(check));
+}
+
+/**
+ * Removes a custom format. If it overrode a built-in format, the built-in one is used again.
+ * @param {string} name The format name.
+ * @return {boolean} True if a custom format was removed.
+ */
+export function unregisterFormat(name) {
+  return customFormats.delete(name);
+}
+
+/**
+ * Lists every available format.
+ * @return {Array<object>} One entry per format: { name, builtIn, overridden }.
+ */
+export function listFormats() {
+  const names = [...new Set([...builtInFormats.keys(), ...customFormats.keys()])];
+  return names.map((name) => ({name, builtIn: builtInFormats.has(name), overridden: builtInFormats.has(name) && customFormats.has(name)}));
+}
+
+/**
+ * Returns the checker of a format, custom formats first.
+ * @param {string} name The format name.
+ * @return {function(string): boolean|undefined} The checker, or undefined if the format does not exist.
+ */
+export function getFormat(name) {
+  return customFormats.get(name) ?? builtInFormats.get(name);
+}
@@ -0,0 +1,89 @@
+import { validateRules, lintRules, registerOperator, unregisterOperator, registerFormat, unregisterFormat, listFormats } from './businessRules.js';
+
+describe('validateRules - pattern and format operators', () => {
+  const documentJson = {
+    code: 'INV-2024-001',
+    zip: 12345,
+    email: 'ana@example.com',
+    id: '3f2b8c1e-4a5d-4e6f-9a7b-1c2d3e4f5a6b',
+    taxId: '529.982.247-25',
+    date: '2024-02-30',
+    patterns: { invoice: '^inv-\\d{4}' },
+    items: [{ sku: 'AB-1' }, { sku: 'ab-2' }, { sku: 'XY-3' }],
+  };
+  const ids = (rules) => validateRules(documentJson, rules).map(r => r.id);
+
+  afterEach(() => {
+    listFormats().filter(format => !format.builtIn || format.overridden).forEach(format => unregisterFormat(format.name));
+  });
+
+  test('checks prefixes and suffixes with the usual case-insensitive comparison', () => {
+    expect(ids([
+      { id: 'starts', conditions: [{ ref: 'code', operator: 'starts_with', comparisonValue: 'inv-' }] },
+      { id: 'ends', conditions: [{ ref: 'code', operator: 'ends_with', comparisonValue: '-001' }] },
+      { id: 'exact', conditions: [{ ref: 'code', operator: 'starts_with', comparisonValue: 'inv-', semantics: { caseSensitive: true } }] },
+      { id: 'number', conditions: [{ ref: 'zip', operator: 'starts_with', comparisonValue: '12' }] },
+    ])).toEqual(['starts', 'ends']);
+  });
+
+  test('matches regular expressions with flags, from comparisonValue or comparisonRef', () => {
+    expect(ids([
+      { id: 'caseSensitive', conditions: [{ ref: 'code', operator: 'matches', comparisonValue: '^inv-\\d{4}' }] },
+      { id: 'flags', conditions: [{ ref: 'code', operator: 'matches', comparisonValue: '^inv-\\d{4}', flags: 'i' }] },
+      { id: 'number', conditions: [{ ref: 'zip', operator: 'matches', comparisonValue: '^\\d{5}$' }] },
+      { id: 'ref', conditions: [{ ref: 'code', operator: 'matches', comparisonRef: 'patterns.invoice', flags: 'i' }] },
+    ])).toEqual(['flags', 'number', 'ref']);
+  });
+
+  test('compiles the comparison once per rule instead of once per context', () => {
+    let compilations = 0;
+    registerOperator('like', (left, right, meta) => meta.compiledComparison.test(left), {
+      lowercaseStrings: false,
+      compileComparison: (pattern) => {
+        compilations++;
+        return new RegExp(`^${pattern.replace(/%/g, '.*')}$`, 'i');
+      },
+    });
+    try {
+      const result = validateRules(documentJson, [{ id: 'like', conditions: [{ ref: 'items[].sku', operator: 'like', comparisonValue: 'ab-%' }] }]);
+      expect(result[0].conditions.length).toBe(2);
+      expect(compilations).toBe(1);
+    } finally {
+      unregisterOperator('like');
+    }
+  });
+
+  test('checks named formats and custom formats', () => {
+    registerFormat('invoice_code', /^INV-\d{4}-\d{3}$/);
+    registerFormat('even_zip', (value) => Number(value) % 2 === 0);
+    expect(ids([
+      { id: 'email', conditions: [{ ref: 'email', operator: 'format', comparisonValue: 'email' }] },
+      { id: 'uuid', conditions: [{ ref: 'id', operator: 'format', comparisonValue: 'uuid' }] },
+      { id: 'cpf', conditions: [{ ref: 'taxId', operator: 'format', comparisonValue: 'cpf' }] },
+      { id: 'date', conditions: [{ ref: 'date', operator: 'format', comparisonValue: 'iso_date' }] },
+      { id: 'invoice', conditions: [{ ref: 'code', operator: 'format', comparisonValue: 'invoice_code' }] },
+      { id: 'evenZip', conditions: [{ ref: 'zip', operator: 'format', comparisonValue: 'even_zip' }] },
+    ])).toEqual(['email', 'uuid', 'cpf', 'invoice']);
+    expect(listFormats().find(format => format.name === 'invoice_code')).toEqual({ name: 'invoice_code', builtIn: false, overridden: false });
+    expect(() => registerFormat('email', /@/)).toThrow('already registered');
+  });
+
+  test('reports invalid patterns and unknown formats as rule errors', () => {
+    const rules = [
+      { id: 'pattern', conditions: [{ ref: 'code', operator: 'matches', comparisonValue: '([a-z' }] },
+      { id: 'flags', conditions: [{ ref: 'code', operator: 'matches', comparisonValue: 'a', flags: 'g' }] },
+      { id: 'format', conditions: [{ ref: 'code', operator: 'format', comparisonValue: 'isbn' }] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.map(r => r.errors[0].cause)).toEqual([
+      expect.stringContaining('Invalid pattern [([a-z] for operator [matches]'),
+      'Invalid flags [g] for operator [matches]. The flags g and y are not supported.',
+      'Unknown format [isbn].',
+    ]);
+    expect(lintRules(rules).map(d => [d.path, d.code])).toEqual([
+      ['$[0].conditions[0].comparisonValue', 'invalid_comparison_value'],
+      ['$[1].conditions[0].comparisonValue', 'invalid_comparison_value'],
+      ['$[2].conditions[0].comparisonValue', 'invalid_comparison_value'],
+    ]);
+  });
+});
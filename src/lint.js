@@ -0,0 +1,488 @@
+/* eslint-disable max-len */
+import {getOperator} from './operators.js';
+import {getConditionGroupKey, collectLeafConditions, processConditionsForLoops, listArrayReferences, isAggregateRef, isExpressionRef, getRefPath, isQuantifierCondition, LOOP_MARKER, QUANTIFIERS, SELF_JOIN_MODES, RULE_STOP_MODES, listAcceptedValues} from './conditions.js';
+import {AGGREGATE_FUNCTIONS} from './aggregates.js';
+import {parseExpression} from './expressions.js';
+import {validateSemantics} from './semantics.js';
+import {OUTCOME_FIELDS, findRuleReferences, sortRulesByDependencies} from './chaining.js';
+import {validateAction, bindActionPaths} from './actions.js';
+import {compileMessageTemplate, bindPlaceholderLoops} from './templates.js';
+import {getPathSyntax, translatePath, translateRulePaths} from './paths.js';
+import {isRuleSetDocument, resolveRuleSet} from './ruleSets.js';
+
+/**
+ * Checks a rule set without evaluating it against any document.
+ *
+ * Each diagnostic has the shape:
+ *   { ruleId, ruleIndex, conditionIndex, path, severity, code, message }
+ * where 'path' is a JSONPath into the rule set (e.g. '$[2].conditions[0].any[1].operator'),
+ * 'conditionIndex' is the position of the condition among the rule's conditions in evaluation order
+ * (null for rule-level diagnostics) and 'severity' is 'error' or 'warning'.
+ * Rules with 'error' diagnostics would return 'errors' entries (or never run) in validateRules.
+ *
+ * Rule-set documents are checked after resolving their fragments and extends, with paths into the
+ * document ('$.rules[2].conditions[0]'); abstract rules are checked through the rules that extend them.
+ *
+ * @param {Array<object>|object} rules The array of rules to check, or a rule-set document.
+ * @return {Array<object>} The diagnostics, in rule order. Empty when the rule set is clean.
+ */
+export function lintRules(rules) {
+  if (isRuleSetDocument(rules)) return lintRuleSet(rules);
+  const diagnostics = [];
+  if (!Array.isArray(rules)) {
+    diagnostics.push(createDiagnostic({ruleIndex: null}, '$', 'error', 'invalid_rules', 'Rules must be an array.'));
+    return diagnostics;
+  }
+  const seenIds = new Map();
+  const referenceProblems = lintRuleReferences(rules);
+  rules.forEach((rule, ruleIndex) => {
+    lintRule(rule, ruleIndex, seenIds, diagnostics);
+    (referenceProblems.get(rule) ?? []).forEach(([code, message]) => {
+      diagnostics.push(createDiagnostic({ruleId: rule.id ?? null, ruleIndex}, `$[${ruleIndex}].conditions`, 'error', code, message));
+    });
+  });
+  return diagnostics;
+}
+
+/**
+ * Checks a rule-set document: the errors of resolving it, then the resolved rules. Diagnostics of rules that
+ * could not be resolved are left out, since they would be about the unresolved rule.
+ * @param {object} ruleSet The document: { fragments, rules }.
+ * @return {Array<object>} The diagnostics, in rule order.
+ */
+function lintRuleSet(ruleSet) {
+  let resolved;
+  try {
+    resolved = resolveRuleSet(ruleSet);
+  } catch (error) {
+    return [createDiagnostic({ruleIndex: null}, `$.${error.field ?? 'fragments'}`, 'error', 'invalid_rule_set', error.message)];
+  }
+  const {rules, sourceIndexes, errors} = resolved;
+  const failed = new Set(errors.map(({index}) => index));
+  const diagnostics = [
+    ...errors.map((error) => createDiagnostic({ruleId: error.ruleId, ruleIndex: error.sourceIndex}, error.path, 'error', error.code, error.message)),
+    ...lintRules(rules).filter((diagnostic) => !failed.has(diagnostic.ruleIndex)).map((diagnostic) => ({
+      ...diagnostic,
+      ruleIndex: diagnostic.ruleIndex === null ? null : sourceIndexes[diagnostic.ruleIndex],
+      path: diagnostic.path.replace(/^\$\[(\d+)\]/, (match, index) => `$.rules[${sourceIndexes[index]}]`),
+    })),
+  ];
+  // Ordem das regras no documento; o sort é estável
+  return diagnostics.sort((a, b) => (a.ruleIndex ?? -1) - (b.ruleIndex ?? -1));
+}
+
+/**
+ * Checks the '_results.' references between rules: references to unknown rules or outcomes, and dependency cycles.
+ * @param {Array<any>} rules The rule set.
+ * @return {Map<object, Array<Array<string>>>} The [code, message] problems of each rule.
+ */
+function lintRuleReferences(rules) {
+  const problems = new Map();
+  const report = (rule, code, message) => problems.set(rule, [...(problems.get(rule) ?? []), [code, message]]);
+  const validRules = rules.filter((rule) => rule && typeof rule === 'object' && !Array.isArray(rule));
+  const ruleIds = new Set(validRules.map((rule) => String(rule.id)));
+  validRules.forEach((rule) => {
+    findRuleReferences(rule, ruleIds).forEach(({path, ruleId, field}) => {
+      if (ruleId === null) {
+        report(rule, 'unknown_rule_reference', `No rule matches the reference [${path}].`);
+      } else if (!OUTCOME_FIELDS.includes(field)) {
+        report(rule, 'unknown_rule_reference', `Unknown rule outcome [${field}] in [${path}]. Use one of: ${OUTCOME_FIELDS.join(', ')}.`);
+      }
+    });
+  });
+  sortRulesByDependencies(validRules).cycles.forEach((ids, rule) => {
+    report(rule, 'rule_cycle', `Rules [${ids.join(', ')}] reference each other in a cycle.`);
+  });
+  return problems;
+}
+
+/**
+ * Checks a single rule.
+ * @param {object} rule The rule to check.
+ * @param {number} ruleIndex The index of the rule in the rule set.
+ * @param {Map} seenIds The rule ids already found, mapped to their index.
+ * @param {Array<object>} diagnostics The array where diagnostics will be stored.
+ */
+function lintRule(rule, ruleIndex, seenIds, diagnostics) {
+  const rulePath = `$[${ruleIndex}]`;
+  const context = {ruleId: rule?.id ?? null, ruleIndex, leafIndex: 0, diagnostics};
+  const report = (path, severity, code, message, conditionIndex = null) => {
+    diagnostics.push(createDiagnostic(context, path, severity, code, message, conditionIndex));
+  };
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    report(rulePath, 'error', 'invalid_rule', 'A rule must be an object.');
+    return;
+  }
+
+  if (rule.id === undefined || rule.id === null) {
+    report(`${rulePath}.id`, 'error', 'missing_id', 'The rule has no id.');
+  } else if (seenIds.has(rule.id)) {
+    report(`${rulePath}.id`, 'error', 'duplicate_id', `The rule id [${rule.id}] is also used by the rule at index ${seenIds.get(rule.id)}.`);
+  } else {
+    seenIds.set(rule.id, ruleIndex);
+  }
+
+  const dates = {};
+  ['initialDate', 'endDate'].forEach((field) => {
+    if (rule[field] === undefined || rule[field] === null) return;
+    const date = new Date(rule[field]);
+    if (Number.isNaN(date.getTime())) {
+      report(`${rulePath}.${field}`, 'error', 'invalid_date', `The ${field} [${rule[field]}] is not a valid date.`);
+    } else {
+      dates[field] = date;
+    }
+  });
+  if (dates.initialDate && dates.endDate && dates.initialDate > dates.endDate) {
+    report(`${rulePath}.endDate`, 'warning', 'empty_date_range', 'The endDate is before the initialDate, so the rule is never active.');
+  }
+
+  if (rule.selfJoin !== undefined && !SELF_JOIN_MODES.includes(rule.selfJoin)) {
+    report(`${rulePath}.selfJoin`, 'error', 'invalid_self_join', `Invalid selfJoin [${rule.selfJoin}]. Use one of: ${SELF_JOIN_MODES.join(', ')}.`);
+  }
+
+  if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+    report(`${rulePath}.priority`, 'error', 'invalid_priority', `Invalid priority [${rule.priority}]. It must be a number.`);
+  }
+  if (rule.stopOnMatch !== undefined && !RULE_STOP_MODES.includes(rule.stopOnMatch)) {
+    report(`${rulePath}.stopOnMatch`, 'error', 'invalid_stop_on_match', `Invalid stopOnMatch [${rule.stopOnMatch}]. Use one of: ${listAcceptedValues(RULE_STOP_MODES)}.`);
+  }
+
+  let templateIsValid = true;
+  try {
+    compileMessageTemplate(rule.description, (path) => path);
+  } catch (error) {
+    templateIsValid = false;
+    report(`${rulePath}.description`, 'error', 'invalid_message_template', error.message);
+  }
+
+  // Ações válidas, cujos caminhos são ligados aos loops depois que as condições forem checadas
+  const validActions = [];
+  if (rule.actions !== undefined) {
+    if (!Array.isArray(rule.actions)) {
+      report(`${rulePath}.actions`, 'error', 'invalid_action', 'The actions of a rule must be an array.');
+    } else {
+      rule.actions.forEach((action, index) => {
+        try {
+          validateAction(action, index);
+          validActions.push({action, index});
+        } catch (error) {
+          report(`${rulePath}.actions[${index}]`, 'error', 'invalid_action', error.message);
+        }
+      });
+    }
+  }
+
+  if (rule.conditions === undefined || rule.conditions === null) {
+    report(`${rulePath}.conditions`, 'error', 'missing_conditions', 'The rule has no conditions.');
+    return;
+  }
+
+  const errorsBefore = diagnostics.filter((d) => d.severity === 'error').length;
+  lintConditionNode(rule.conditions, `${rulePath}.conditions`, context);
+  const treeIsValid = diagnostics.filter((d) => d.severity === 'error').length === errorsBefore;
+
+  if (treeIsValid) {
+    lintArrayReferences(rule, rulePath, report);
+    const loops = listRuleLoops(rule);
+    if (loops && templateIsValid) {
+      try {
+        compileMessageTemplate(rule.description, (path) => bindPlaceholderLoops(path, loops));
+      } catch (error) {
+        report(`${rulePath}.description`, 'error', 'invalid_message_template', error.message);
+      }
+    }
+    if (loops) {
+      validActions.forEach(({action, index}) => {
+        try {
+          bindActionPaths(action, loops);
+        } catch (error) {
+          report(`${rulePath}.actions[${index}]`, 'error', 'invalid_action', error.message);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Lists the loops of a rule the way compileRule does, so that the paths outside the conditions
+ * (actions, message placeholders) can be bound to them.
+ * @param {object} rule The rule, with a valid condition tree.
+ * @return {Array<object>|null} The loops, or null when the paths of the conditions cannot be translated.
+ */
+function listRuleLoops(rule) {
+  const translated = JSON.parse(JSON.stringify({conditions: rule.conditions}));
+  const loops = [];
+  try {
+    const filters = translateRulePaths(translated);
+    processConditionsForLoops(translated, loops);
+    loops.forEach((loop) => {
+      if (filters.has(loop.variable)) loop.filter = filters.get(loop.variable);
+    });
+  } catch (error) {
+    return null;
+  }
+  return loops;
+}
+
+/**
+ * Checks the arrays referenced by a rule: arrays with the same name but different paths, which
+ * validateRules merges into a single loop, and loop variables used for different arrays.
+ * JSON Pointer and JSONPath refs are checked in the dotted form they are compiled to.
+ * @param {object} rule The rule to check.
+ * @param {string} rulePath The JSONPath of the rule.
+ * @param {Function} report Stores a diagnostic for this rule.
+ */
+function lintArrayReferences(rule, rulePath, report) {
+  const translated = JSON.parse(JSON.stringify({conditions: rule.conditions}));
+  try {
+    translateRulePaths(translated);
+  } catch (error) {
+    // Ex.: '[*]' dentro de um quantificador
+    report(`${rulePath}.conditions`, 'error', 'invalid_path', error.message);
+    return;
+  }
+  const pathsByName = new Map();
+  const pathsByVariable = new Map();
+  const addPath = (map, key, path) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(path);
+  };
+  collectLeafConditions(translated.conditions).forEach((condition) => {
+    ['ref', 'comparisonRef'].forEach((field) => {
+      const refPath = getRefPath(condition[field]);
+      if (typeof refPath !== 'string') return;
+      listArrayReferences(refPath, isExpressionRef(condition[field])).forEach(({objectName, completeObjectPath, variable}) => {
+        // Em agregados, '[]' não vira loop
+        if (isAggregateRef(condition[field]) && !variable) return;
+        addPath(pathsByName, `${objectName}[${variable ?? ''}]`, completeObjectPath);
+        if (variable) addPath(pathsByVariable, variable, completeObjectPath);
+      });
+    });
+  });
+  pathsByName.forEach((paths, objectName) => {
+    if (paths.size > 1) {
+      report(`${rulePath}.conditions`, 'warning', 'ambiguous_array_name', `The arrays ${[...paths].join(', ')} share the name [${objectName}] and are iterated as a single loop.`);
+    }
+  });
+  pathsByVariable.forEach((paths, variable) => {
+    if (paths.size > 1) {
+      report(`${rulePath}.conditions`, 'error', 'duplicate_loop_variable', `Loop variable [${variable}] is used for different arrays: ${[...paths].join(', ')}.`);
+    }
+  });
+}
+
+/**
+ * Checks a node of a condition tree (an array, an all/any/not group or a plain condition).
+ * @param {any} node The condition node.
+ * @param {string} path The JSONPath of the node.
+ * @param {object} context The rule being checked and its diagnostics.
+ */
+function lintConditionNode(node, path, context) {
+  const report = (severity, code, message, nodePath = path, conditionIndex = null) => {
+    context.diagnostics.push(createDiagnostic(context, nodePath, severity, code, message, conditionIndex));
+  };
+
+  if (Array.isArray(node)) {
+    node.forEach((child, index) => lintConditionNode(child, `${path}[${index}]`, context));
+    return;
+  }
+  if (!node || typeof node !== 'object') {
+    report('error', 'invalid_condition', 'A condition must be an object.');
+    return;
+  }
+
+  let groupKey;
+  try {
+    groupKey = getConditionGroupKey(node);
+  } catch (error) {
+    report('error', 'invalid_group', error.message);
+    return;
+  }
+  if (groupKey === 'not') {
+    lintConditionNode(node.not, `${path}.not`, context);
+    return;
+  }
+  if (groupKey) {
+    if (!Array.isArray(node[groupKey])) {
+      report('error', 'invalid_group', `Condition group '${groupKey}' must be an array.`, `${path}.${groupKey}`);
+    } else if (node[groupKey].length === 0) {
+      report('warning', 'empty_group', `Condition group '${groupKey}' is empty, so it is always ${groupKey === 'all'}.`, `${path}.${groupKey}`);
+    } else {
+      lintConditionNode(node[groupKey], `${path}.${groupKey}`, context);
+    }
+    return;
+  }
+
+  // Condições do filtro de um agregado (ou de um quantificador) são reportadas com o índice da condição que o contém
+  const conditionIndex = context.filterOf ?? context.leafIndex++;
+  lintLeafCondition(node, path, context, conditionIndex, (severity, code, message, nodePath) => report(severity, code, message, nodePath, conditionIndex));
+}
+
+/**
+ * Checks a plain condition against the operator registry and the supported path syntax.
+ * @param {object} condition The condition.
+ * @param {string} path The JSONPath of the condition.
+ * @param {object} context The rule being checked.
+ * @param {number} conditionIndex The index of the condition.
+ * @param {Function} report Stores a diagnostic for this condition.
+ */
+function lintLeafCondition(condition, path, context, conditionIndex, report) {
+  if (isQuantifierCondition(condition)) {
+    lintQuantifierCondition(condition, path, context, conditionIndex, report);
+    return;
+  }
+  if (isExpressionRef(condition.ref)) {
+    lintExpressionRef(condition.ref, `${path}.ref`, report);
+  } else if (isAggregateRef(condition.ref)) {
+    lintAggregateRef(condition.ref, `${path}.ref`, context, conditionIndex, report);
+  } else if (typeof condition.ref !== 'string' || condition.ref.length === 0) {
+    report('error', 'missing_ref', 'The condition has no ref.', `${path}.ref`);
+  }
+  if (isExpressionRef(condition.comparisonRef)) {
+    lintExpressionRef(condition.comparisonRef, `${path}.comparisonRef`, report);
+  } else if (isAggregateRef(condition.comparisonRef)) {
+    lintAggregateRef(condition.comparisonRef, `${path}.comparisonRef`, context, conditionIndex, report);
+  } else if (condition.comparisonRef !== undefined && (typeof condition.comparisonRef !== 'string' || condition.comparisonRef.length === 0)) {
+    report('error', 'invalid_ref', 'The comparisonRef must be a non-empty string.', `${path}.comparisonRef`);
+  }
+  ['ref', 'comparisonRef'].forEach((field) => {
+    const refPath = getRefPath(condition[field]);
+    const refLocation = isAggregateRef(condition[field]) ? `${path}.${field}.path` : isExpressionRef(condition[field]) ? `${path}.${field}.expression` : `${path}.${field}`;
+    if (!isExpressionRef(condition[field]) && getPathSyntax(refPath)) {
+      try {
+        translatePath(refPath, {allocateFilter: () => 'filter'});
+      } catch (error) {
+        report('error', 'invalid_path', error.message, refLocation);
+      }
+    } else if (typeof refPath === 'string' && refPath.replace(new RegExp(LOOP_MARKER.source, 'g'), '').includes('[')) {
+      report('warning', 'unsupported_path_syntax', `The ${field} [${refPath}] uses brackets other than '[]' or '[variable]', which are read as part of the property name.`, refLocation);
+    }
+  });
+
+  const hasComparisonValue = condition.comparisonValue !== undefined;
+  const hasComparisonRef = condition.comparisonRef !== undefined;
+  if (hasComparisonValue && hasComparisonRef) {
+    report('error', 'conflicting_comparison', 'A condition cannot have both comparisonValue and comparisonRef.', path);
+  }
+
+  if (condition.semantics !== undefined) {
+    try {
+      validateSemantics(condition.semantics);
+    } catch (error) {
+      report('error', 'invalid_semantics', error.message, `${path}.semantics`);
+    }
+  }
+
+  const definition = getOperator(condition.operator);
+  if (!definition) {
+    report('error', 'unknown_operator', `Unsupported operator: ${condition.operator}`, `${path}.operator`);
+    return;
+  }
+  if (definition.requiresComparison && !hasComparisonValue && !hasComparisonRef) {
+    report('error', 'missing_comparison', `Operator [${condition.operator}] requires a comparisonValue or comparisonRef.`, path);
+  } else if (definition.usesComparison && !hasComparisonValue && !hasComparisonRef) {
+    report('warning', 'missing_comparison', `Operator [${condition.operator}] has no comparisonValue or comparisonRef, so it compares with undefined.`, path);
+  }
+  if (!definition.usesComparison && (hasComparisonValue || hasComparisonRef)) {
+    report('warning', 'unused_comparison', `Operator [${condition.operator}] does not use a comparisonValue or comparisonRef.`, path);
+  }
+  if (definition.arrayComparison && hasComparisonValue && !Array.isArray(condition.comparisonValue)) {
+    report('error', 'invalid_comparison_value', `Operator [${condition.operator}] requires an array comparisonValue.`, `${path}.comparisonValue`);
+  }
+  if (definition.compileComparison && hasComparisonValue) {
+    try {
+      definition.compileComparison(condition.comparisonValue, condition);
+    } catch (error) {
+      report('error', 'invalid_comparison_value', error.message, `${path}.comparisonValue`);
+    }
+  }
+  definition.requiredParameters.filter((parameter) => condition[parameter] === undefined).forEach((parameter) => {
+    report('error', 'missing_parameter', `Operator [${condition.operator}] requires the condition field [${parameter}].`, path);
+  });
+}
+
+/**
+ * Checks a quantifier ({ ref, quantifier, count, conditions }) and its inner conditions.
+ * @param {object} condition The quantifier condition.
+ * @param {string} path The JSONPath of the condition.
+ * @param {object} context The rule being checked.
+ * @param {number} conditionIndex The index of the condition.
+ * @param {Function} report Stores a diagnostic for this condition.
+ */
+function lintQuantifierCondition(condition, path, context, conditionIndex, report) {
+  if (!QUANTIFIERS.includes(condition.quantifier)) {
+    report('error', 'unknown_quantifier', `Unsupported quantifier: ${condition.quantifier}. Use one of: ${QUANTIFIERS.join(', ')}.`, `${path}.quantifier`);
+  } else if (['atLeast', 'exactly'].includes(condition.quantifier) && !(Number.isInteger(condition.count) && condition.count >= 0)) {
+    report('error', 'invalid_quantifier_count', `Quantifier [${condition.quantifier}] requires a non-negative integer count.`, `${path}.count`);
+  }
+  if (typeof condition.ref !== 'string' || condition.ref.length === 0) {
+    report('error', 'missing_ref', 'The condition has no ref.', `${path}.ref`);
+  } else if (/\[\]$/.test(condition.ref)) {
+    report('warning', 'quantified_loop', `The ref [${condition.ref}] ends with '[]', so each element becomes a context and the quantifier reads the element instead of the array.`, `${path}.ref`);
+  }
+  if (condition.operator !== undefined || condition.comparisonValue !== undefined || condition.comparisonRef !== undefined) {
+    report('warning', 'unused_comparison', `Quantifier [${condition.quantifier}] does not use operator, comparisonValue or comparisonRef.`, path);
+  }
+  if (condition.conditions === undefined || condition.conditions === null) {
+    report('error', 'missing_conditions', `Quantifier [${condition.quantifier}] has no conditions.`, `${path}.conditions`);
+  } else {
+    lintConditionNode(condition.conditions, `${path}.conditions`, {...context, filterOf: conditionIndex});
+  }
+}
+
+/**
+ * Checks that an expression ref ({ expression }) parses.
+ * @param {object} ref The expression ref.
+ * @param {string} path The JSONPath of the ref.
+ * @param {Function} report Stores a diagnostic for this condition.
+ */
+function lintExpressionRef(ref, path, report) {
+  try {
+    parseExpression(ref.expression);
+  } catch (error) {
+    report('error', 'invalid_expression', error.message, `${path}.expression`);
+  }
+}
+
+/**
+ * Checks an aggregate ref ({ aggregate, path, filter }) and the conditions of its filter.
+ * @param {object} ref The aggregate ref.
+ * @param {string} path The JSONPath of the ref.
+ * @param {object} context The rule being checked.
+ * @param {number} conditionIndex The index of the condition that holds the ref.
+ * @param {Function} report Stores a diagnostic for this condition.
+ */
+function lintAggregateRef(ref, path, context, conditionIndex, report) {
+  if (!AGGREGATE_FUNCTIONS.includes(ref.aggregate)) {
+    report('error', 'unknown_aggregate', `Unsupported aggregate: ${ref.aggregate}`, `${path}.aggregate`);
+  }
+  if (typeof ref.path !== 'string' || ref.path.length === 0) {
+    report('error', 'invalid_ref', `Aggregate [${ref.aggregate}] requires a path.`, `${path}.path`);
+  }
+  if (ref.filter !== undefined) {
+    lintConditionNode(ref.filter, `${path}.filter`, {...context, filterOf: conditionIndex});
+  }
+}
+
+/**
+ * Builds a diagnostic entry.
+ * @param {object} context The rule being checked.
+ * @param {string} path The JSONPath of the offending element.
+ * @param {string} severity 'error' or 'warning'.
+ * @param {string} code A stable identifier of the problem.
+ * @param {string} message A human readable description.
+ * @param {number|null} conditionIndex The index of the condition, if any.
+ * @return {object} The diagnostic.
+ */
+function createDiagnostic(context, path, severity, code, message, conditionIndex = null) {
+  return {
+    ruleId: context.ruleId ?? null,
+    ruleIndex: context.ruleIndex,
+    conditionIndex,
+    path,
+    severity,
+    code,
+    message,
+  };
+}
@@ -0,0 +1,116 @@
+import { lintRules, registerOperator, unregisterOperator } from './businessRules.js';
+
+describe('lintRules', () => {
+  test('returns no diagnostics for a clean rule set', () => {
+    const rules = [
+      { id: 1, type: 'ERROR', conditions: [
+        { ref: 'age', operator: '<', comparisonValue: 18 },
+        { ref: 'clients[].name', operator: 'exists' },
+      ] },
+      { id: 2, type: 'ERROR', initialDate: '2024-01-01T00:00:00Z', endDate: '2024-12-31T23:59:59Z', conditions: { any: [
+        { ref: 'country', operator: 'in', comparisonValue: ['BR', 'AR'] },
+        { not: { ref: 'score', operator: '>=', comparisonRef: '_context.minScore' } },
+      ] } },
+    ];
+    expect(lintRules(rules)).toEqual([]);
+  });
+
+  test('reports rule-level problems', () => {
+    const rules = [
+      { id: 'a', conditions: [{ ref: 'x', operator: 'exists' }] },
+      { id: 'a', initialDate: 'not a date', conditions: [{ ref: 'x', operator: 'exists' }] },
+      { conditions: [{ ref: 'x', operator: 'exists' }] },
+      { id: 'b', initialDate: '2024-12-31', endDate: '2024-01-01' },
+      'not a rule',
+    ];
+    const codes = lintRules(rules).map(d => [d.ruleIndex, d.code, d.severity]);
+    expect(codes).toEqual([
+      [1, 'duplicate_id', 'error'],
+      [1, 'invalid_date', 'error'],
+      [2, 'missing_id', 'error'],
+      [3, 'empty_date_range', 'warning'],
+      [3, 'missing_conditions', 'error'],
+      [4, 'invalid_rule', 'error'],
+    ]);
+  });
+
+  test('reports condition problems with their index and path', () => {
+    const rules = [
+      { id: 'r1', conditions: [
+        { ref: 'a', operator: 'unknown_op', comparisonValue: 1 },
+        { ref: 'a', operator: '=', comparisonValue: 1, comparisonRef: 'b' },
+        { any: [
+          { ref: 'a', operator: '=' },
+          { ref: 'a', operator: 'in', comparisonValue: 'BR' },
+        ] },
+        { ref: 'a', operator: 'exists', comparisonValue: true },
+      ] },
+    ];
+    const diagnostics = lintRules(rules);
+    expect(diagnostics).toEqual([
+      expect.objectContaining({ ruleId: 'r1', conditionIndex: 0, path: '$[0].conditions[0].operator', severity: 'error', code: 'unknown_operator' }),
+      expect.objectContaining({ conditionIndex: 1, path: '$[0].conditions[1]', code: 'conflicting_comparison' }),
+      expect.objectContaining({ conditionIndex: 2, path: '$[0].conditions[2].any[0]', severity: 'warning', code: 'missing_comparison' }),
+      expect.objectContaining({ conditionIndex: 3, path: '$[0].conditions[2].any[1].comparisonValue', code: 'invalid_comparison_value' }),
+      expect.objectContaining({ conditionIndex: 4, path: '$[0].conditions[3]', severity: 'warning', code: 'unused_comparison' }),
+    ]);
+  });
+
+  test('reports invalid groups and paths', () => {
+    const rules = [
+      { id: 'g', conditions: [
+        { any: [], all: [] },
+        { any: { ref: 'a', operator: 'exists' } },
+        { all: [] },
+        { operator: 'exists' },
+        { ref: 'items[0].price', operator: 'exists' },
+      ] },
+    ];
+    const codes = lintRules(rules).map(d => [d.path, d.code]);
+    expect(codes).toEqual([
+      ['$[0].conditions[0]', 'invalid_group'],
+      ['$[0].conditions[1].any', 'invalid_group'],
+      ['$[0].conditions[2].all', 'empty_group'],
+      ['$[0].conditions[3].ref', 'missing_ref'],
+      ['$[0].conditions[4].ref', 'unsupported_path_syntax'],
+    ]);
+  });
+
+  test('warns about arrays with the same name but different paths', () => {
+    const rules = [
+      { id: 'dup', conditions: [
+        { ref: 'a.items[].x', operator: '=', comparisonRef: 'b.items[].y' },
+      ] },
+    ];
+    const diagnostics = lintRules(rules);
+    expect(diagnostics.length).toBe(1);
+    expect(diagnostics[0]).toMatchObject({ code: 'ambiguous_array_name', severity: 'warning', path: '$[0].conditions' });
+    expect(rules[0].conditions[0].ref).toBe('a.items[].x');
+  });
+
+  test('knows about custom operators', () => {
+    registerOperator('is_valid_cpf', () => true, { requiresComparison: false });
+    try {
+      expect(lintRules([{ id: 1, conditions: [{ ref: 'cpf', operator: 'is_valid_cpf' }] }])).toEqual([]);
+    } finally {
+      unregisterOperator('is_valid_cpf');
+    }
+  });
+
+  test('rejects a rule set that is not an array', () => {
+    expect(lintRules({})).toEqual([expect.objectContaining({ path: '$', code: 'invalid_rules' })]);
+  });
+});
+
+describe('lintRules - named loop variables', () => {
+  test('accepts loop variables and reports their misuse', () => {
+    const rules = [
+      { id: 'ok', selfJoin: 'distinct', conditions: [{ ref: 'clients[a].doc', operator: '=', comparisonRef: 'clients[b].doc' }] },
+      { id: 'bad', selfJoin: 'twice', conditions: [{ ref: 'clients[a].doc', operator: '=', comparisonRef: 'orders[a].doc' }] },
+    ];
+    expect(lintRules(rules).map(d => [d.ruleId, d.code, d.severity])).toEqual([
+      ['bad', 'invalid_self_join', 'error'],
+      ['bad', 'duplicate_loop_variable', 'error'],
+    ]);
+  });
+});
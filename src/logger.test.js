@@ -0,0 +1,79 @@
+import { validateRules, compileRules } from './businessRules.js';
+
+describe('validateRules - logger and diagnostics', () => {
+  const documentJson = {
+    country: 'BR',
+    a: { items: [{ id: 1 }] },
+    b: { items: [{ id: 2 }] },
+  };
+  const rules = [
+    { id: 'broken', conditions: [
+      { ref: 'country', operator: '=', comparisonValue: 'BR' },
+      { ref: 'country', operator: 'nope', comparisonValue: 1 },
+    ] },
+    { id: 'ambiguous', conditions: [
+      { ref: 'a.items[].id', operator: '=', comparisonValue: 1 },
+      { ref: 'b.items[].id', operator: '=', comparisonValue: 2 },
+    ] },
+  ];
+  const collect = () => {
+    const events = [];
+    const logger = Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level => [level, (message, event) => events.push({ message, event })]));
+    return { logger, events };
+  };
+
+  test('is silent by default', () => {
+    const original = { error: console.error, warn: console.warn };
+    const calls = [];
+    console.error = console.warn = (...args) => calls.push(args);
+    try {
+      validateRules(documentJson, rules);
+    } finally {
+      Object.assign(console, original);
+    }
+    expect(calls).toEqual([]);
+  });
+
+  test('sends structured events with the rule id, condition index and code', () => {
+    const { logger, events } = collect();
+    validateRules(documentJson, rules, null, { logger });
+    const [failure] = events.filter(e => e.event.level === 'error');
+    expect(failure.message).toBe('[evaluation_error] rule [broken] condition 1: Unsupported operator: nope');
+    expect(failure.event).toMatchObject({ code: 'evaluation_error', ruleId: 'broken', conditionIndex: 1, cause: 'Unsupported operator: nope' });
+    expect(failure.event.error).toBeInstanceOf(Error);
+    expect(events.filter(e => e.event.level === 'warn').map(e => [e.event.code, e.event.ruleId])).toEqual([['ambiguous_array_name', 'ambiguous']]);
+    expect(events.filter(e => e.event.level === 'debug').map(e => [e.event.code, e.event.ruleId, e.event.cause])).toEqual([
+      ['rule_evaluated', 'broken', 'not_fired'],
+      ['rule_evaluated', 'ambiguous', 'fired'],
+    ]);
+  });
+
+  test('returns the same diagnostics in the results', () => {
+    const result = validateRules(documentJson, rules);
+    expect(result.find(r => r.id === 'broken').errors).toEqual([
+      { cause: 'Unsupported operator: nope', context: 'Error occurred while processing rule [broken]', code: 'evaluation_error', conditionIndex: 1 },
+    ]);
+    const warning = result.find(r => r.keyword === 'warning');
+    expect(warning.id).toBe('ambiguous');
+    expect(warning.errors[0]).toMatchObject({ code: 'ambiguous_array_name', conditionIndex: null });
+    expect(warning.errors[0].context).toContain('a.items, b.items');
+  });
+
+  test('reports compile errors with the index of the invalid condition', () => {
+    const { logger, events } = collect();
+    const result = validateRules(documentJson, [{ id: 'invalid', conditions: [
+      { ref: 'country', operator: 'exists' },
+      { ref: 'country', operator: '=', comparisonValue: 'BR', semantics: { strict: 'yes' } },
+    ] }], null, { logger });
+    expect(result[0].errors[0]).toMatchObject({ code: 'invalid_rule', conditionIndex: 1 });
+    expect(events.map(e => e.event.code)).toEqual(['invalid_rule', 'rule_evaluated']);
+  });
+
+  test('accepts partial loggers, ignores failing ones and rejects invalid ones', () => {
+    const warnings = [];
+    expect(() => validateRules(documentJson, rules, null, { logger: { warn: (message) => warnings.push(message) } })).not.toThrow();
+    expect(warnings.length).toBe(1);
+    expect(() => validateRules(documentJson, rules, null, { logger: { error: () => { throw new Error('down'); } } })).not.toThrow();
+    expect(() => compileRules(rules, { logger: {} })).toThrow('The logger option must be an object');
+  });
+});
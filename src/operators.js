@@ -0,0 +1,239 @@
+/* eslint-disable max-len */
+import {parseDate, fullYearsBetween, DAY_MS} from './dates.js';
+import {getFormat} from './formats.js';
+
+/**
+ * Operator registry used by testCondition.
+ *
+ * Every operator is a function (leftValue, rightValue, meta) => boolean, plus a few flags:
+ *   - requiresComparison: the condition must have a comparisonValue or comparisonRef.
+ *   - usesComparison: the function reads the right value (defaults to requiresComparison). lintRules warns about
+ *     a comparison given to an operator that does not use it, and about one missing from an operator that does.
+ *   - lowercaseStrings: string values on both sides are lowercased before the call.
+ *   - allowUndefined: the function is also called when the left value is undefined
+ *     (otherwise the condition is simply false).
+ *   - arrayComparison: a comparisonValue must be an array (checked by lintRules).
+ *   - requiredParameters: extra fields the condition must have, e.g. ['days'] for within_days.
+ *   - compileComparison: (comparison, condition) => any, prepares the comparison once (e.g. compiles a regex).
+ *     It runs when the rule is compiled for a comparisonValue, and on each call for a comparisonRef.
+ *     Errors it throws are reported as rule errors.
+ *
+ * Besides the flags, meta carries the condition being tested (meta.condition), the evaluation
+ * options (meta.options: { now, dateFormats, timezone, semantics }) and the result of
+ * compileComparison (meta.compiledComparison).
+ *
+ * Custom operators are looked up before the built-in ones, so registering an existing
+ * name with { override: true } replaces it, and unregistering it restores the built-in.
+ */
+
+const DEFAULT_OPERATOR_OPTIONS = {
+  requiresComparison: true,
+  lowercaseStrings: true,
+  allowUndefined: false,
+  arrayComparison: false,
+  requiredParameters: [],
+  compileComparison: null,
+};
+
+const AGE_COMPARISONS = {
+  '=': (age, years) => age === years,
+  '<>': (age, years) => age !== years,
+  '<': (age, years) => age < years,
+  '<=': (age, years) => age <= years,
+  '>': (age, years) => age > years,
+  '>=': (age, years) => age >= years,
+};
+
+// Os operadores originais comparam com undefined quando a condição não tem comparação
+const OPTIONAL_COMPARISON = {requiresComparison: false, usesComparison: true};
+
+const builtInOperators = new Map([
+  ['exists', defineOperator('exists', (left) => typeof left !== 'undefined', {requiresComparison: false, lowercaseStrings: false, allowUndefined: true})],
+  ['does_not_exists', defineOperator('does_not_exists', (left) => typeof left === 'undefined', {requiresComparison: false, lowercaseStrings: false, allowUndefined: true})],
+  ['is_empty', defineOperator('is_empty', (left) => left.length === 0, {requiresComparison: false, lowercaseStrings: false})],
+  ['is_not_empty', defineOperator('is_not_empty', (left) => left.length > 0, {requiresComparison: false, lowercaseStrings: false})],
+  ['=', defineOperator('=', (left, right) => left === right, OPTIONAL_COMPARISON)],
+  ['<>', defineOperator('<>', (left, right) => left !== right, OPTIONAL_COMPARISON)],
+  ['<', defineOperator('<', (left, right) => left < right, OPTIONAL_COMPARISON)],
+  ['<=', defineOperator('<=', (left, right) => left <= right, OPTIONAL_COMPARISON)],
+  ['>', defineOperator('>', (left, right) => left > right, OPTIONAL_COMPARISON)],
+  ['>=', defineOperator('>=', (left, right) => left >= right, OPTIONAL_COMPARISON)],
+  ['contains', defineOperator('contains', (left, right) => left.includes(right), OPTIONAL_COMPARISON)],
+  ['does_not_contains', defineOperator('does_not_contains', (left, right) => !left.includes(right), OPTIONAL_COMPARISON)],
+  ['is_contained', defineOperator('is_contained', (left, right) => right.includes(left), OPTIONAL_COMPARISON)],
+  ['in', defineOperator('in', (left, right) => right.includes(left), {...OPTIONAL_COMPARISON, arrayComparison: true})],
+  ['not_in', defineOperator('not_in', (left, right) => !right.includes(left), {...OPTIONAL_COMPARISON, arrayComparison: true})],
+  ['before', defineOperator('before', (left, right, meta) => toDate(left, meta) < toDate(right, meta), {lowercaseStrings: false})],
+  ['after', defineOperator('after', (left, right, meta) => toDate(left, meta) > toDate(right, meta), {lowercaseStrings: false})],
+  ['between', defineOperator('between', (left, right, meta) => {
+    if (!Array.isArray(right) || right.length !== 2) throw new Error('Operator [between] requires a [start, end] comparison.');
+    const date = toDate(left, meta);
+    return date >= toDate(right[0], meta) && date <= toDate(right[1], meta);
+  }, {lowercaseStrings: false, arrayComparison: true})],
+  ['within_days', defineOperator('within_days', (left, right, meta) => {
+    const {days} = meta.condition;
+    if (typeof days !== 'number' || days < 0) throw new Error(`Operator [within_days] requires a non-negative number of days, got [${days}].`);
+    return Math.abs(toDate(left, meta) - toDate(right, meta)) <= days * DAY_MS;
+  }, {lowercaseStrings: false, requiredParameters: ['days']})],
+  ['age_in_years', defineOperator('age_in_years', (left, right, meta) => {
+    const compare = AGE_COMPARISONS[meta.condition.comparison];
+    if (!compare) throw new Error(`Operator [age_in_years] requires a comparison (${Object.keys(AGE_COMPARISONS).join(', ')}), got [${meta.condition.comparison}].`);
+    const {timezone} = dateOptions(meta);
+    return compare(fullYearsBetween(toDate(left, meta), toDate('now', meta), timezone), right);
+  }, {lowercaseStrings: false, requiredParameters: ['comparison']})],
+  ['starts_with', defineOperator('starts_with', (left, right) => typeof left === 'string' && left.startsWith(right))],
+  ['ends_with', defineOperator('ends_with', (left, right) => typeof left === 'string' && left.endsWith(right))],
+  ['matches', defineOperator('matches', (left, right, meta) => toText(left) !== undefined && meta.compiledComparison.test(toText(left)), {lowercaseStrings: false, compileComparison: compilePattern})],
+  ['format', defineOperator('format', (left, right, meta) => toText(left) !== undefined && meta.compiledComparison(toText(left)), {lowercaseStrings: false, compileComparison: findFormat})],
+]);
+
+const customOperators = new Map();
+
+/**
+ * Builds an operator definition.
+ * @param {string} name The operator name.
+ * @param {Function} fn The operator function.
+ * @param {object} options The operator flags.
+ * @return {object} The operator definition.
+ */
+function defineOperator(name, fn, options = {}) {
+  return {
+    name,
+    fn,
+    requiresComparison: options.requiresComparison ?? DEFAULT_OPERATOR_OPTIONS.requiresComparison,
+    usesComparison: options.usesComparison ?? options.requiresComparison ?? DEFAULT_OPERATOR_OPTIONS.requiresComparison,
+    lowercaseStrings: options.lowercaseStrings ?? DEFAULT_OPERATOR_OPTIONS.lowercaseStrings,
+    allowUndefined: options.allowUndefined ?? DEFAULT_OPERATOR_OPTIONS.allowUndefined,
+    arrayComparison: options.arrayComparison ?? DEFAULT_OPERATOR_OPTIONS.arrayComparison,
+    requiredParameters: options.requiredParameters ?? DEFAULT_OPERATOR_OPTIONS.requiredParameters,
+    compileComparison: options.compileComparison ?? DEFAULT_OPERATOR_OPTIONS.compileComparison,
+  };
+}
+
+/**
+ * Compiles the pattern of a 'matches' condition, with the flags of its 'flags' field.
+ * @param {string} pattern The regular expression source.
+ * @param {object} condition The condition.
+ * @return {RegExp} The compiled regular expression.
+ */
+function compilePattern(pattern, condition) {
+  const flags = condition.flags ?? '';
+  if (typeof pattern !== 'string') throw new Error(`Operator [matches] requires a string pattern, got [${pattern}].`);
+  if (typeof flags !== 'string' || /[gy]/.test(flags)) throw new Error(`Invalid flags [${flags}] for operator [matches]. The flags g and y are not supported.`);
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    throw new Error(`Invalid pattern [${pattern}] for operator [matches]: ${error.message}`);
+  }
+}
+
+/**
+ * Looks up the format of a 'format' condition.
+ * @param {string} name The format name.
+ * @return {Function} The format checker.
+ */
+function findFormat(name) {
+  const check = getFormat(name);
+  if (!check) throw new Error(`Unknown format [${name}].`);
+  return check;
+}
+
+/**
+ * Returns a value as text for the pattern operators: strings as they are, numbers converted.
+ * @param {any} value The value.
+ * @return {string|undefined} The text, or undefined for other types.
+ */
+function toText(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number') return String(value);
+  return undefined;
+}
+
+/**
+ * Returns the date options of an operator call: the evaluation options, overridden by
+ * the 'dateFormats' and 'timezone' fields of the condition.
+ * @param {object} meta The operator metadata.
+ * @return {object} { now, dateFormats, timezone }
+ */
+function dateOptions(meta) {
+  const options = meta.options ?? {};
+  const condition = meta.condition ?? {};
+  return {
+    now: options.now,
+    dateFormats: condition.dateFormats ?? options.dateFormats,
+    timezone: condition.timezone ?? options.timezone,
+  };
+}
+
+/**
+ * Parses a date operand of an operator call.
+ * @param {any} value The operand.
+ * @param {object} meta The operator metadata.
+ * @return {number} The date, in epoch milliseconds.
+ */
+function toDate(value, meta) {
+  return parseDate(value, dateOptions(meta));
+}
+
+/**
+ * Registers a custom operator.
+ *
+ * Example:
+ *   registerOperator('is_even', (left) => left % 2 === 0, { requiresComparison: false });
+ *
+ * @param {string} name The operator name, as used in the 'operator' field of a condition.
+ * @param {function(any, any, object): boolean} fn Receives the left value, the right value and the operator metadata (flags, condition and options).
+ * @param {object} options Optional settings: { requiresComparison: boolean (default true), usesComparison: boolean (default: requiresComparison), lowercaseStrings: boolean (default true), allowUndefined: boolean (default false), arrayComparison: boolean (default false), requiredParameters: Array<string> (default []), compileComparison: function (default null), override: boolean (default false) }
+ */
+export function registerOperator(name, fn, options = {}) {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('Operator name must be a non-empty string.');
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Operator [${name}] must be a function.`);
+  }
+  if (getOperator(name) && !options.override) {
+    throw new Error(`Operator [${name}] is already registered. Use { override: true } to replace it.`);
+  }
+  customOperators.set(name, defineOperator(name, fn, options));
+}
+
+/**
+ * Removes a custom operator. If it overrode a built-in operator, the built-in one is used again.
+ * @param {string} name The operator name.
+ * @return {boolean} True if a custom operator was removed.
+ */
+export function unregisterOperator(name) {
+  return customOperators.delete(name);
+}
+
+/**
+ * Lists every available operator.
+ * @return {Array<object>} One entry per operator: { name, builtIn, overridden, requiresComparison, usesComparison, lowercaseStrings, allowUndefined, arrayComparison, requiredParameters }.
+ */
+export function listOperators() {
+  const names = [...new Set([...builtInOperators.keys(), ...customOperators.keys()])];
+  return names.map((name) => {
+    const {requiresComparison, usesComparison, lowercaseStrings, allowUndefined, arrayComparison, requiredParameters} = getOperator(name);
+    return {
+      name,
+      builtIn: builtInOperators.has(name),
+      overridden: builtInOperators.has(name) && customOperators.has(name),
+      requiresComparison,
+      usesComparison,
+      lowercaseStrings,
+      allowUndefined,
+      arrayComparison,
+      requiredParameters,
+    };
+  });
+}
+
+/**
+ * Returns the definition of an operator, custom operators first.
+ * @param {string} name The operator name.
+ * @return {object|undefined} The operator definition, or undefined if it does not exist.
+ */
+export function getOperator(name) {
+  return customOperators.get(name) ?? builtInOperators.get(name);
+}
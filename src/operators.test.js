@@ -0,0 +1,105 @@
+import { validateRules, registerOperator, unregisterOperator, listOperators } from './businessRules.js';
+
+describe('operator registry', () => {
+  const documentJson = {
+    taxId: '52998224725',
+    code: 'AbC',
+    quantity: 7,
+  };
+
+  afterEach(() => {
+    listOperators().filter(op => !op.builtIn || op.overridden).forEach(op => unregisterOperator(op.name));
+  });
+
+  test('lists the built-in operators', () => {
+    const names = listOperators().map(op => op.name);
+    expect(names).toEqual(expect.arrayContaining(['=', '<>', 'contains', 'in', 'exists', 'is_empty']));
+    expect(listOperators().every(op => op.builtIn && !op.overridden)).toBe(true);
+  });
+
+  test('registers a custom operator and uses it in rules', () => {
+    registerOperator('is_odd', (left) => left % 2 === 1, { requiresComparison: false });
+    const rules = [
+      { id: 1, type: 'custom', conditions: [{ ref: 'quantity', operator: 'is_odd' }] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].errors).toBeUndefined();
+    expect(listOperators().find(op => op.name === 'is_odd')).toMatchObject({ builtIn: false, requiresComparison: false });
+  });
+
+  test('passes left value, right value and metadata to the operator', () => {
+    const calls = [];
+    registerOperator('multiple_of', (left, right, meta) => {
+      calls.push({ left, right, meta });
+      return left % right === 0;
+    });
+    const rules = [
+      { id: 2, type: 'custom', conditions: [{ ref: 'quantity', operator: 'multiple_of', comparisonValue: 7 }] },
+    ];
+    expect(validateRules(documentJson, rules).length).toBe(1);
+    expect(calls[0].left).toBe(7);
+    expect(calls[0].right).toBe(7);
+    expect(calls[0].meta).toMatchObject({ name: 'multiple_of', requiresComparison: true, lowercaseStrings: true });
+  });
+
+  test('lowercases strings unless the operator opts out', () => {
+    registerOperator('equals_case_sensitive', (left, right) => left === right, { lowercaseStrings: false });
+    const rules = [
+      { id: 3, type: 'custom', conditions: [{ ref: 'code', operator: 'equals_case_sensitive', comparisonValue: 'abc' }] },
+      { id: 4, type: 'custom', conditions: [{ ref: 'code', operator: 'equals_case_sensitive', comparisonValue: 'AbC' }] },
+      { id: 5, type: 'builtin', conditions: [{ ref: 'code', operator: '=', comparisonValue: 'abc' }] },
+    ];
+    expect(validateRules(documentJson, rules).map(r => r.id)).toEqual([4, 5]);
+  });
+
+  test('returns a rule error when a required comparison is missing', () => {
+    registerOperator('cpf_matches', (left, right) => left === right);
+    const rules = [
+      { id: 6, type: 'custom', conditions: [{ ref: 'taxId', operator: 'cpf_matches' }] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].errors).toBeDefined();
+  });
+
+  test('built-in comparison operators still compare with undefined when the comparison is missing', () => {
+    const rules = [
+      { id: 8, type: 'builtin', conditions: [{ ref: 'code', operator: '=' }] },
+      { id: 9, type: 'builtin', conditions: [{ ref: 'code', operator: '<>' }] },
+    ];
+    expect(validateRules(documentJson, rules)).toEqual([expect.objectContaining({ id: 9 })]);
+    expect(listOperators().find(op => op.name === '=')).toMatchObject({ requiresComparison: false, usesComparison: true });
+    expect(listOperators().find(op => op.name === 'exists')).toMatchObject({ requiresComparison: false, usesComparison: false });
+  });
+
+  test('refuses to replace an existing operator unless override is set', () => {
+    expect(() => registerOperator('=', () => true)).toThrow('already registered');
+    registerOperator('=', () => true, { override: true });
+    const rules = [
+      { id: 7, type: 'override', conditions: [{ ref: 'quantity', operator: '=', comparisonValue: 1 }] },
+    ];
+    expect(validateRules(documentJson, rules).length).toBe(1);
+    expect(listOperators().find(op => op.name === '=')).toMatchObject({ builtIn: true, overridden: true });
+
+    unregisterOperator('=');
+    expect(validateRules(documentJson, rules).length).toBe(0);
+  });
+
+  test('passes the condition and the evaluation options to operators', () => {
+    registerOperator('multiple_of', (left, right, meta) => left % meta.condition.factor === 0 && meta.options.timezone === 'UTC', { requiresComparison: false, requiredParameters: ['factor'] });
+    const rules = [
+      { id: 8, conditions: [{ ref: 'quantity', operator: 'multiple_of', factor: 7 }] },
+      { id: 9, conditions: [{ ref: 'quantity', operator: 'multiple_of' }] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.map(r => r.id)).toEqual([8, 9]);
+    expect(result[1].errors).toBeDefined();
+    expect(listOperators().find(op => op.name === 'multiple_of').requiredParameters).toEqual(['factor']);
+  });
+
+  test('validates the arguments of registerOperator', () => {
+    expect(() => registerOperator('', () => true)).toThrow();
+    expect(() => registerOperator('no_fn', 'not a function')).toThrow();
+  });
+});
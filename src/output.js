@@ -0,0 +1,124 @@
+/* eslint-disable max-len */
+import {getPathSyntax, toPathKeys, escapePointerSegment} from './paths.js';
+import {resolveRuleSet} from './ruleSets.js';
+
+/**
+ * Output adapters. With { output: 'ajv' }, the results are flattened into Ajv-style error objects, so they can be
+ * merged with the errors of a JSON Schema validator:
+ *   { instancePath: '/clients/1/age', schemaPath: '#/0/conditions/0', keyword: 'conditional', message, params }
+ *
+ * With a rule-set document the schemaPath points into the document: '#/rules/1/conditions/0', or the fragment the
+ * condition comes from ('#/fragments/adult/any/0').
+ *
+ * Every matched context of a rule becomes one error, pointing at the value of its first condition. Errors and
+ * warnings of the engine (compile errors, context limits, ...) become errors with the keyword of their entry and
+ * an empty instancePath. Skipped rules and explain entries are left out.
+ */
+
+export const OUTPUT_FORMATS = ['default', 'ajv'];
+
+// Caminhos que não apontam para o documento (contexto, fatos, resultados, agregados, expressões e arrays sem elemento)
+export const EXTERNAL_PATH = /^_(context|fact|results)\.|[\s()]|\[@\d+\]/;
+
+/**
+ * Converts a reported path to a JSON Pointer: 'c.1.d' => '/c/1/d', '$.c[1].d' => '/c/1/d'.
+ * JSON Pointers are returned as they are.
+ * @param {string} path The dotted path, JSON Pointer or concrete JSONPath.
+ * @return {string} The JSON Pointer ('' for the whole document).
+ */
+export function toJsonPointer(path) {
+  if (path === undefined || path === null || path === '') return '';
+  const syntax = getPathSyntax(path);
+  if (syntax === 'pointer') return path;
+  if (syntax === 'jsonpath') return toPathKeys(path).map((segment) => `/${escapePointerSegment(segment)}`).join('');
+  return String(path).split('.').map((segment) => `/${escapePointerSegment(segment)}`).join('');
+}
+
+/**
+ * Flattens the results of validateRules into Ajv-style error objects.
+ * @param {Array<object>} results The results.
+ * @param {Array<object>|object} rules The rules the results come from, an array or a rule-set document, used to build the schemaPath of each error.
+ * @return {Array<object>} The errors: { instancePath, schemaPath, keyword, message, params }.
+ */
+export function toAjvErrors(results, rules = []) {
+  return formatAjvErrors(results, Array.isArray(rules) ? {rules} : resolveRuleSet(rules));
+}
+
+/**
+ * Flattens results into Ajv-style error objects, for rules already resolved by resolveRuleSet.
+ * @param {Array<object>} results The results.
+ * @param {object} ruleSet { rules, sourceIndexes, conditionSources }: the plain rules and, for a rule-set document, where
+ *   they are in it (see resolveRuleSet).
+ * @return {Array<object>} The errors of toAjvErrors.
+ */
+export function formatAjvErrors(results, {rules, sourceIndexes, conditionSources}) {
+  const ruleIndexes = new Map();
+  rules.forEach((rule, index) => {
+    if (!ruleIndexes.has(rule?.id)) ruleIndexes.set(rule?.id, index);
+  });
+  const errors = [];
+  results.forEach((result) => {
+    if (result.keyword === 'skipped' || result.keyword === 'explain') return;
+    const ruleIndex = ruleIndexes.get(result.id);
+    let rulePointer = `#/${escapePointerSegment(result.id)}`;
+    if (ruleIndex !== undefined) rulePointer = sourceIndexes ? `#/rules/${sourceIndexes[ruleIndex]}` : `#/${ruleIndex}`;
+    const ruleParams = {ruleId: result.id, type: result.type};
+    if (result.version !== undefined) ruleParams.version = result.version;
+
+    if (result.errors) {
+      result.errors.forEach((error) => errors.push({
+        instancePath: '',
+        schemaPath: rulePointer,
+        keyword: result.keyword,
+        message: error.cause,
+        params: {...ruleParams, code: error.code, conditionIndex: error.conditionIndex, context: error.context},
+      }));
+      return;
+    }
+    const rule = ruleIndex === undefined ? undefined : rules[ruleIndex];
+    // Regras que casaram sem contextos (ex.: 'not' sobre um array vazio) têm um único objeto em conditions
+    const matches = Array.isArray(result.conditions) ? result.conditions : [result.conditions].filter(Boolean);
+    matches.forEach((match) => {
+      const conditionValues = match.conditionValues ?? [];
+      const [first] = conditionValues;
+      const params = {...ruleParams, conditionValues};
+      if (match.bindings) params.bindings = match.bindings;
+      errors.push({
+        instancePath: first && (getPathSyntax(first.instancePath) || !EXTERNAL_PATH.test(first.instancePath)) ? toJsonPointer(first.instancePath) : '',
+        schemaPath: first ? locateCondition(getConditionPointer(first, Array.isArray(rule?.conditions)), rulePointer, conditionSources?.[ruleIndex]) : rulePointer,
+        keyword: result.keyword,
+        message: match.message ?? result.message ?? `Rule [${result.id}] matched.`,
+        params,
+      });
+    });
+  });
+  return errors;
+}
+
+/**
+ * Returns the JSON Pointer, inside rule.conditions, of the first condition value of a matched context. Conditions
+ * inside groups carry their conditionPath ('1.any.0'); otherwise it is the first plain condition of the rule.
+ * @param {object} conditionValue The condition value.
+ * @param {boolean} topLevelArray Whether rule.conditions is an array.
+ * @return {string} The pointer, relative to rule.conditions (e.g. '/1/any/0', or '' for a single condition).
+ */
+function getConditionPointer(conditionValue, topLevelArray) {
+  if (conditionValue.conditionPath !== undefined) return toJsonPointer(conditionValue.conditionPath);
+  return topLevelArray ? '/0' : '';
+}
+
+/**
+ * Returns the schemaPath of a condition: inside the rule, or where the closest of its nodes with a known
+ * location is in the rule-set document.
+ * @param {string} pointer The pointer of the condition, relative to rule.conditions.
+ * @param {string} rulePointer The schemaPath of the rule.
+ * @param {Map<string, string>} [sources] The locations of the rule's condition nodes (see resolveRuleSet).
+ * @return {string} The schemaPath.
+ */
+function locateCondition(pointer, rulePointer, sources) {
+  for (let prefix = pointer; sources; prefix = prefix.slice(0, prefix.lastIndexOf('/'))) {
+    if (sources.has(prefix)) return `${sources.get(prefix)}${pointer.slice(prefix.length)}`;
+    if (prefix === '') break;
+  }
+  return `${rulePointer}/conditions${pointer}`;
+}
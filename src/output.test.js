@@ -0,0 +1,74 @@
+import { validateRules, applyRules, compileRules, toAjvErrors, toJsonPointer } from './businessRules.js';
+
+describe('output - Ajv-style errors', () => {
+  const documentJson = {
+    minAge: 18,
+    'a/b': { 'x~y': 1 },
+    clients: [{ name: 'Maria', age: 15 }, { name: 'João', age: 30 }],
+  };
+  const rules = [
+    { id: 'minor', type: 'ERROR', description: '{{clients[].name}} is a minor', conditions: [{ ref: 'clients[].age', operator: '<', comparisonRef: 'minAge' }] },
+    { id: 'grouped', type: 'WARNING', description: 'Grouped', conditions: { any: [
+      { ref: 'minAge', operator: '>', comparisonValue: 100 },
+      { ref: 'minAge', operator: '=', comparisonValue: 18 },
+    ] } },
+    { id: 'broken', type: 'ERROR', conditions: [{ ref: 'minAge', operator: 'nope', comparisonValue: 1 }] },
+  ];
+
+  test('converts dotted paths to JSON Pointers', () => {
+    expect(toJsonPointer('c.1.d')).toBe('/c/1/d');
+    expect(toJsonPointer('a/b.x~y')).toBe('/a~1b/x~0y');
+    expect(toJsonPointer('')).toBe('');
+  });
+
+  test('flattens every matched context and every engine error into one Ajv error', () => {
+    expect(validateRules(documentJson, rules, null, { output: 'ajv' })).toEqual([
+      {
+        instancePath: '/clients/0/age',
+        schemaPath: '#/0/conditions/0',
+        keyword: 'conditional',
+        message: 'Maria is a minor',
+        params: { ruleId: 'minor', type: 'ERROR', conditionValues: [
+          { instancePath: 'clients.0.age', instancePathValue: 15, operator: '<', comparisonValue: 18 },
+        ] },
+      },
+      {
+        instancePath: '/minAge',
+        schemaPath: '#/1/conditions/any/1',
+        keyword: 'conditional',
+        message: 'Grouped',
+        params: { ruleId: 'grouped', type: 'WARNING', conditionValues: [
+          { instancePath: 'minAge', instancePathValue: 18, operator: '=', comparisonValue: 18, conditionPath: 'any.1' },
+        ] },
+      },
+      {
+        instancePath: '',
+        schemaPath: '#/2',
+        keyword: 'conditional',
+        message: 'Unsupported operator: nope',
+        params: { ruleId: 'broken', type: 'ERROR', code: 'evaluation_error', conditionIndex: 0, context: 'Error occurred while processing rule [broken]' },
+      },
+    ]);
+  });
+
+  test('converts rules that matched without any array element', () => {
+    const rules = [{ id: 'noOrders', type: 'WARNING', description: 'No order', conditions: [{ not: { ref: 'orders[].status', operator: '=', comparisonValue: 'x' } }] }];
+    expect(validateRules({ orders: [] }, rules, null, { output: 'ajv' })).toEqual([{
+      instancePath: '',
+      schemaPath: '#/0/conditions/0/not',
+      keyword: 'conditional',
+      message: 'No order',
+      params: { ruleId: 'noOrders', type: 'WARNING', conditionValues: [
+        { instancePath: 'orders[@0].status', operator: '=', comparisonValue: 'x', conditionPath: '0.not' },
+      ] },
+    }]);
+  });
+
+  test('is also available as a function and for applyRules', () => {
+    const results = validateRules(documentJson, rules);
+    expect(toAjvErrors(results, rules)).toEqual(compileRules(rules, { output: 'ajv' }).validate(documentJson));
+    expect(applyRules(documentJson, rules, null, { output: 'ajv' }).results.length).toBe(3);
+    expect(toAjvErrors(results)[0].schemaPath).toBe('#/minor/conditions');
+    expect(() => compileRules(rules, { output: 'xml' })).toThrow('Invalid output [xml]. Use one of: default, ajv.');
+  });
+});
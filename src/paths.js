@@ -0,0 +1,439 @@
+/* eslint-disable max-len */
+import {collectLeafConditions, isAggregateRef, isQuantifierCondition} from './conditions.js';
+
+/**
+ * Alternative path syntaxes for 'ref' and 'comparisonRef', detected by their first character:
+ *   '/clients/0/age'                              JSON Pointer (RFC 6901)
+ *   "$.clients[*].age", "$['tax.rate']"           JSONPath subset
+ *   "$.items[?(@.type == 'fee')].amount"          JSONPath filter
+ *
+ * Both are translated to the engine's own dotted paths when the rules are compiled: '[*]' becomes a '[]' loop and a
+ * filter becomes a loop of its own that only visits the elements the filter accepts. Keys with dots are escaped
+ * ('tax\.rate') and read as a list of keys. Results report the concrete path in the syntax of the rule, e.g.
+ * '$.items[2].amount' or '/items/2/amount'.
+ *
+ * JSONPath subset: '$' followed by '.name', '.*', "['name']", '[n]', '[*]' and '[?(filter)]'. Filters compare
+ * '@' paths ('@.a.b', "@['a']", '@[0]') with numbers, strings, true, false and null using ==, !=, <, <=, >, >=,
+ * combined with &&, || and !; a bare '@' path tests that the value exists. Recursive descent ('..'), slices,
+ * unions and negative indexes are not supported.
+ */
+
+export const PATH_SYNTAXES = ['pointer', 'jsonpath'];
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const FILTER_TOKENS = [
+  ['space', /\s+/y],
+  ['member', /\.([A-Za-z_$][\w$]*)/y],
+  ['member', /\[\s*(\d+)\s*\]/y],
+  ['member', /\[\s*('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\s*\]/y],
+  ['operator', /(==|!=|<=|>=|<|>)/y],
+  ['logical', /(&&|\|\|)/y],
+  ['literal', /(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/y],
+  ['literal', /('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")/y],
+  ['literal', /(true|false|null)\b/y],
+  ['punctuation', /([@!()])/y],
+];
+
+/**
+ * Tells which syntax a path is written in.
+ * @param {any} path The path.
+ * @return {string|null} 'pointer', 'jsonpath', or null for the engine's dotted paths.
+ */
+export function getPathSyntax(path) {
+  if (typeof path !== 'string') return null;
+  if (path.startsWith('/')) return 'pointer';
+  if (path === '$' || path.startsWith('$.') || path.startsWith('$[')) return 'jsonpath';
+  return null;
+}
+
+/**
+ * Translates a JSON Pointer or JSONPath to the engine's dotted path.
+ * @param {string} path The path.
+ * @param {object} [options] { allocateFilter: (arrayPath, source, test) => variable, wildcards: boolean }.
+ *   Without allocateFilter, filters are rejected; with wildcards false, so are '[*]' and '.*'.
+ * @return {{path: string, syntax: string}|null} The dotted path, with '[]' for wildcards and '[variable]' for filters,
+ *   or null when the path is already a dotted path.
+ */
+export function translatePath(path, {allocateFilter, wildcards = true} = {}) {
+  const syntax = getPathSyntax(path);
+  if (!syntax) return null;
+  const segments = syntax === 'pointer' ? parseJsonPointer(path) : parseJsonPath(path);
+  let translated = '';
+  let previous = null;
+  segments.forEach((segment) => {
+    if (segment.type === 'key') {
+      if (/[[\]]/.test(segment.key)) throw new Error(`Invalid path [${path}]: keys with '[' or ']' are not supported.`);
+      translated += `${previous === null ? '' : '.'}${segment.key.replace(/\\/g, '\\\\').replace(/\./g, '\\.')}`;
+    } else {
+      if (previous?.type !== 'key') throw new Error(`Invalid path [${path}]: '[*]' and filters must follow a property name.`);
+      if (!wildcards) throw new Error(`Invalid path [${path}]: arrays cannot be iterated here.`);
+      if (segment.type === 'wildcard') {
+        translated += '[]';
+      } else {
+        if (!allocateFilter) throw new Error(`Invalid path [${path}]: filters are only supported in ref and comparisonRef.`);
+        translated += `[${allocateFilter(translated, segment.source, segment.test)}]`;
+      }
+    }
+    previous = segment;
+  });
+  return {path: translated, syntax};
+}
+
+/**
+ * Translates the JSON Pointer and JSONPath refs of a rule, in place. The syntax of each translated ref is kept in
+ * 'refSyntax' or 'comparisonRefSyntax' (and 'syntax' for aggregate paths), so results can report it back.
+ * Paths inside quantifiers and aggregate filters are relative to the element and cannot iterate arrays;
+ * aggregate paths can use '[*]' but not filters.
+ * @param {object} rule The rule (a copy, since its conditions are modified).
+ * @return {Map<string, function(any): boolean>} The filter of each generated loop variable.
+ */
+export function translateRulePaths(rule) {
+  const filters = new Map();
+  const variables = new Map();
+  // O mesmo filtro sobre o mesmo array é o mesmo loop
+  const allocateFilter = (arrayPath, source, test) => {
+    const key = `${arrayPath}[?${source}]`;
+    if (!variables.has(key)) {
+      const variable = `$filter${variables.size}`;
+      variables.set(key, variable);
+      filters.set(variable, test);
+    }
+    return variables.get(key);
+  };
+  collectLeafConditions(rule.conditions).forEach((condition) => translateConditionPaths(condition, allocateFilter));
+  return filters;
+}
+
+/**
+ * Translates the refs of a plain condition, and of the conditions nested in it.
+ * @param {object} condition The plain condition.
+ * @param {Function|null} allocateFilter Creates the loop of a filter, or null where arrays cannot be iterated.
+ */
+function translateConditionPaths(condition, allocateFilter) {
+  if (!condition || typeof condition !== 'object') return;
+  ['ref', 'comparisonRef'].forEach((field) => {
+    const ref = condition[field];
+    if (typeof ref === 'string') {
+      const translated = translatePath(ref, {allocateFilter, wildcards: !!allocateFilter});
+      if (!translated) return;
+      condition[field] = translated.path;
+      condition[`${field}Syntax`] = translated.syntax;
+    } else if (isAggregateRef(ref)) {
+      const translated = translatePath(ref.path);
+      if (translated) Object.assign(ref, translated);
+      if (ref.filter !== undefined && ref.filter !== null) {
+        collectLeafConditions(ref.filter).forEach((inner) => translateConditionPaths(inner, null));
+      }
+    }
+  });
+  if (isQuantifierCondition(condition) && condition.conditions !== undefined && condition.conditions !== null) {
+    collectLeafConditions(condition.conditions).forEach((inner) => translateConditionPaths(inner, null));
+  }
+}
+
+/**
+ * Formats a dotted path in the syntax a ref was written in.
+ *
+ * Example:
+ *   ('items.2.amount', 'jsonpath') => '$.items[2].amount'
+ *   ('items.2.amount', 'pointer')  => '/items/2/amount'
+ *
+ * @param {string} path The dotted path, usually with its loops bound.
+ * @param {string|null} syntax 'pointer', 'jsonpath', or null to keep the dotted path.
+ * @return {string} The formatted path.
+ */
+export function formatPath(path, syntax) {
+  if (!syntax || typeof path !== 'string') return path;
+  const parts = splitDottedPath(path);
+  if (syntax === 'pointer') {
+    return parts.map(({key, suffix}) => `/${key.replace(/~/g, '~0').replace(/\//g, '~1')}${suffix}`).join('');
+  }
+  if (path === '') return '$';
+  return `$${parts.map(({key, suffix}) => {
+    let selector;
+    if (/^\d+$/.test(key)) selector = `[${key}]`;
+    else if (IDENTIFIER.test(key)) selector = `.${key}`;
+    else selector = `['${key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}']`;
+    return `${selector}${suffix.replace(/\[\]/g, '[*]')}`;
+  }).join('')}`;
+}
+
+/**
+ * Escapes a JSON Pointer segment: '~' => '~0', '/' => '~1'.
+ * @param {any} segment The segment.
+ * @return {string} The escaped segment.
+ */
+export function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Returns the keys of a concrete path, in any of the supported syntaxes.
+ * @param {string} path A dotted path, a JSON Pointer or a JSONPath without wildcards or filters.
+ * @return {Array<string>} The keys.
+ */
+export function toPathKeys(path) {
+  const syntax = getPathSyntax(path);
+  if (syntax === 'pointer') return parseJsonPointer(path).map(({key}) => key);
+  if (syntax === 'jsonpath') {
+    return parseJsonPath(path).map((segment) => {
+      if (segment.type !== 'key') throw new Error(`Path [${path}] is not a concrete path.`);
+      return segment.key;
+    });
+  }
+  return path === '' ? [] : splitDottedPath(path).map(({key, suffix}) => `${key}${suffix}`);
+}
+
+/**
+ * Returns the form object-path reads a dotted path in: the path itself, or its list of keys when
+ * it has escaped dots.
+ * @param {string} path The dotted path.
+ * @return {string|Array<string>} The path for object-path.
+ */
+export function toObjectPath(path) {
+  if (typeof path !== 'string' || !path.includes('\\')) return path;
+  return splitDottedPath(path).map(({key, suffix}) => `${key}${suffix}`);
+}
+
+/**
+ * Splits a dotted path at its unescaped dots, into keys and the '[...]' markers that follow them.
+ * @param {string} path The dotted path.
+ * @return {Array<{key: string, suffix: string}>} The parts.
+ */
+function splitDottedPath(path) {
+  const parts = [];
+  let key = '';
+  let suffix = '';
+  for (let i = 0; i < path.length; i++) {
+    const char = path[i];
+    if (char === '\\' && i + 1 < path.length) {
+      key += path[++i];
+    } else if (char === '.') {
+      parts.push({key, suffix});
+      key = '';
+      suffix = '';
+    } else if (char === '[') {
+      const end = path.indexOf(']', i);
+      suffix += path.slice(i, end === -1 ? path.length : end + 1);
+      i = end === -1 ? path.length : end;
+    } else {
+      key += char;
+    }
+  }
+  parts.push({key, suffix});
+  return parts;
+}
+
+/**
+ * Parses a JSON Pointer into key segments.
+ * @param {string} pointer The pointer, e.g. '/a~1b/0'.
+ * @return {Array<object>} The segments: { type: 'key', key }.
+ */
+function parseJsonPointer(pointer) {
+  return pointer.slice(1).split('/').map((segment) => {
+    if (/~(?![01])/.test(segment)) throw new Error(`Invalid JSON Pointer [${pointer}]: '~' must be followed by 0 or 1.`);
+    return {type: 'key', key: segment.replace(/~1/g, '/').replace(/~0/g, '~')};
+  });
+}
+
+/**
+ * Parses a JSONPath of the supported subset into segments.
+ * @param {string} path The JSONPath, starting with '$'.
+ * @return {Array<object>} The segments: { type: 'key', key }, { type: 'wildcard' } or { type: 'filter', source, test }.
+ */
+function parseJsonPath(path) {
+  const segments = [];
+  let i = 1;
+  while (i < path.length) {
+    if (path.startsWith('..', i)) throw new Error(`Invalid JSONPath [${path}]: recursive descent ('..') is not supported.`);
+    if (path[i] === '.') {
+      if (path[i + 1] === '*') {
+        segments.push({type: 'wildcard'});
+        i += 2;
+        continue;
+      }
+      const name = /^[^.[\]]+/.exec(path.slice(i + 1));
+      if (!name) throw new Error(`Invalid JSONPath [${path}]: expected a property name at position ${i + 1}.`);
+      segments.push({type: 'key', key: name[0]});
+      i += 1 + name[0].length;
+    } else if (path[i] === '[') {
+      const end = findClosingBracket(path, i);
+      if (end === -1) throw new Error(`Invalid JSONPath [${path}]: '[' at position ${i} is not closed.`);
+      segments.push(parseBracketSelector(path, path.slice(i + 1, end).trim()));
+      i = end + 1;
+    } else {
+      throw new Error(`Invalid JSONPath [${path}]: unexpected '${path[i]}' at position ${i}.`);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Parses the content of a JSONPath bracket: '*', an index, a quoted name or a filter.
+ * @param {string} path The whole JSONPath, for error messages.
+ * @param {string} selector The content between the brackets.
+ * @return {object} The segment.
+ */
+function parseBracketSelector(path, selector) {
+  if (selector === '*') return {type: 'wildcard'};
+  if (/^\d+$/.test(selector)) return {type: 'key', key: selector};
+  if (/^('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")$/.test(selector)) return {type: 'key', key: unquote(selector)};
+  if (selector.startsWith('?')) {
+    const source = selector.slice(1).trim();
+    try {
+      return {type: 'filter', source, test: compileFilter(source)};
+    } catch (error) {
+      throw new Error(`Invalid JSONPath [${path}]: ${error.message}`);
+    }
+  }
+  throw new Error(`Invalid JSONPath [${path}]: unsupported selector [${selector}].`);
+}
+
+/**
+ * Finds the ']' that closes the '[' at a position, skipping quoted strings and nested brackets.
+ * @param {string} text The text.
+ * @param {number} start The position of the '['.
+ * @return {number} The position of the ']', or -1.
+ */
+function findClosingBracket(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\'' || char === '"') {
+      for (i++; i < text.length && text[i] !== char; i++) {
+        if (text[i] === '\\') i++;
+      }
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Removes the quotes of a JSONPath string and its escapes.
+ * @param {string} text The quoted string.
+ * @return {string} The string.
+ */
+function unquote(text) {
+  return text.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Compiles a JSONPath filter into a test of an array element.
+ * @param {string} source The filter, e.g. "(@.type == 'fee' && @.amount > 0)".
+ * @return {function(any): boolean} The test.
+ */
+function compileFilter(source) {
+  const tokens = tokenizeFilter(source);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (value) => {
+    if (peek()?.value !== value) throw new Error(`expected '${value}' in filter [${source}].`);
+    position++;
+  };
+
+  const parseOperand = () => {
+    const token = next();
+    if (token?.type === 'literal') return () => token.value;
+    if (token?.value !== '@') throw new Error(`expected '@' or a value in filter [${source}].`);
+    const keys = [];
+    while (peek()?.type === 'member') keys.push(next().value);
+    const read = (element) => keys.reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), element);
+    read.isPath = true;
+    return read;
+  };
+  const parseUnary = () => {
+    if (peek()?.value === '!') {
+      next();
+      const operand = parseUnary();
+      return (element) => !operand(element);
+    }
+    if (peek()?.value === '(') {
+      next();
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    const left = parseOperand();
+    if (peek()?.type === 'operator') {
+      const operator = next().value;
+      const right = parseOperand();
+      return (element) => compareFilterValues(left(element), operator, right(element));
+    }
+    if (!left.isPath) throw new Error(`a value needs a comparison in filter [${source}].`);
+    return (element) => left(element) !== undefined;
+  };
+  const parseBinary = (operator, parseOperandFn) => () => {
+    let left = parseOperandFn();
+    while (peek()?.value === operator) {
+      next();
+      const previous = left;
+      const right = parseOperandFn();
+      left = operator === '&&' ? (element) => previous(element) && right(element) : (element) => previous(element) || right(element);
+    }
+    return left;
+  };
+  const parseAnd = parseBinary('&&', parseUnary);
+  const parseOr = parseBinary('||', parseAnd);
+
+  const test = parseOr();
+  if (position < tokens.length) throw new Error(`unexpected '${peek().text}' in filter [${source}].`);
+  return (element) => !!test(element);
+}
+
+/**
+ * Splits a filter into tokens: { type, value, text }.
+ * @param {string} source The filter.
+ * @return {Array<object>} The tokens.
+ */
+function tokenizeFilter(source) {
+  const tokens = [];
+  let position = 0;
+  while (position < source.length) {
+    let matched = false;
+    for (const [type, pattern] of FILTER_TOKENS) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(source);
+      if (!match) continue;
+      position = pattern.lastIndex;
+      matched = true;
+      if (type !== 'space') tokens.push({type, value: parseTokenValue(type, match[1]), text: match[0]});
+      break;
+    }
+    if (!matched) throw new Error(`unexpected '${source[position]}' in filter [${source}].`);
+  }
+  return tokens;
+}
+
+/**
+ * Returns the value of a filter token.
+ * @param {string} type The token type.
+ * @param {string} text The captured text.
+ * @return {any} The value: the key of a member, the value of a literal, or the text itself.
+ */
+function parseTokenValue(type, text) {
+  if (type === 'member') return /^['"]/.test(text) ? unquote(text) : text;
+  if (type !== 'literal') return text;
+  if (/^['"]/.test(text)) return unquote(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  return text === 'null' ? null : Number(text);
+}
+
+/**
+ * Compares two values of a filter. Ordering operators only compare two numbers or two strings.
+ * @param {any} left The left value.
+ * @param {string} operator The operator.
+ * @param {any} right The right value.
+ * @return {boolean} The result.
+ */
+function compareFilterValues(left, operator, right) {
+  if (operator === '==') return left === right;
+  if (operator === '!=') return left !== right;
+  const comparable = (typeof left === 'number' && typeof right === 'number') || (typeof left === 'string' && typeof right === 'string');
+  if (!comparable) return false;
+  return {'<': left < right, '<=': left <= right, '>': left > right, '>=': left >= right}[operator];
+}
@@ -0,0 +1,98 @@
+import { validateRules, applyRules, lintRules, toJsonPointer } from './businessRules.js';
+import { getPathSyntax, translatePath, formatPath } from './paths.js';
+
+describe('paths - JSON Pointer and JSONPath refs', () => {
+  const documentJson = {
+    'tax.rate': 0.25,
+    'a/b': { 'x~y': 7 },
+    limits: { fee: 10 },
+    orders: [
+      { id: 'A', status: 'open', items: [{ type: 'fee', amount: 12 }, { type: 'product', amount: 90 }] },
+      { id: 'B', status: 'closed', items: [{ type: 'fee', amount: 30 }] },
+      { id: 'C', status: 'open', items: [{ type: 'fee', amount: 4 }, { type: 'fee', amount: 15 }] },
+    ],
+  };
+
+  const paths = (results) => results.flatMap((result) => result.conditions.map((match) => match.conditionValues.map((value) => value.instancePath)));
+
+  test('detects the syntax by prefix', () => {
+    expect(getPathSyntax('/a/0')).toBe('pointer');
+    expect(getPathSyntax('$.a[0]')).toBe('jsonpath');
+    expect(getPathSyntax("$['a']")).toBe('jsonpath');
+    expect(getPathSyntax('$price.total')).toBe(null);
+    expect(getPathSyntax('clients[].age')).toBe(null);
+  });
+
+  test('translates to dotted paths and formats them back', () => {
+    expect(translatePath('/orders/0/items')).toEqual({ path: 'orders.0.items', syntax: 'pointer' });
+    expect(translatePath("$.orders[*]['tax.rate']")).toEqual({ path: 'orders[].tax\\.rate', syntax: 'jsonpath' });
+    expect(formatPath('orders.2.tax\\.rate', 'jsonpath')).toBe("$.orders[2]['tax.rate']");
+    expect(formatPath('a~1.0', 'pointer')).toBe('/a~01/0');
+    expect(toJsonPointer("$.orders[2]['tax.rate']")).toBe('/orders/2/tax.rate');
+    expect(toJsonPointer('/orders/2')).toBe('/orders/2');
+  });
+
+  test('reads JSON Pointers, including escaped keys, and reports them as pointers', () => {
+    const results = validateRules(documentJson, [
+      { id: 'r', conditions: [{ ref: '/a~1b/x~0y', operator: '=', comparisonValue: 7 }, { ref: '/orders/1/status', operator: '=', comparisonRef: '/orders/1/status' }] },
+    ]);
+    expect(paths(results)).toEqual([['/a~1b/x~0y', '/orders/1/status']]);
+    expect(results[0].conditions[0].conditionValues[1].comparisonValue).toBe('closed');
+  });
+
+  test('reads keys with dots through bracket notation', () => {
+    const results = validateRules(documentJson, [{ id: 'r', conditions: [{ ref: "$['tax.rate']", operator: '<', comparisonValue: 0.5 }] }]);
+    expect(paths(results)).toEqual([["$['tax.rate']"]]);
+  });
+
+  test('turns wildcards into loops, shared with the [] marker', () => {
+    const results = validateRules(documentJson, [
+      { id: 'r', conditions: [{ ref: '$.orders[*].items[*].amount', operator: '>', comparisonValue: 20 }, { ref: 'orders[].status', operator: '=', comparisonValue: 'closed' }] },
+    ]);
+    expect(paths(results)).toEqual([['$.orders[1].items[0].amount', 'orders.1.status']]);
+  });
+
+  test('turns filters into loops over the matching elements only', () => {
+    const results = validateRules(documentJson, [
+      { id: 'r', conditions: [{ ref: "$.orders[?(@.status == 'open')].items[?(@.type == 'fee')].amount", operator: '>', comparisonRef: '/limits/fee' }] },
+    ]);
+    expect(paths(results)).toEqual([['$.orders[0].items[0].amount'], ['$.orders[2].items[1].amount']]);
+    expect(results[0].conditions[0].bindings).toBeUndefined();
+  });
+
+  test('supports &&, ||, !, ordering operators and existence tests in filters', () => {
+    const ids = (filter) => validateRules(documentJson, [{ id: 'r', conditions: [{ ref: `$.orders[?(${filter})].id`, operator: 'exists' }] }])[0]
+      .conditions.map((match) => match.conditionValues[0].instancePathValue);
+    expect(ids("@.status == 'open' && @.items[1].amount > 50")).toEqual(['A']);
+    expect(ids("@.id == 'B' || !(@.items[1])")).toEqual(['B']);
+    expect(ids('@.items[1]')).toEqual(['A', 'C']);
+    expect(ids("@['status'] != 'open'")).toEqual(['B']);
+  });
+
+  test('binds a filtered array in actions and message placeholders with []', () => {
+    const { document, changes } = applyRules(documentJson, [{
+      id: 'r',
+      description: 'Order {{orders[].id}}',
+      conditions: [{ ref: "$.orders[?(@.status == 'open')].items[0].amount", operator: '<', comparisonValue: 5 }],
+      actions: [{ type: 'set', path: 'orders[].flagged', value: true }],
+    }]);
+    expect(changes.map((change) => change.path)).toEqual(['orders.2.flagged']);
+    expect(document.orders[2].flagged).toBe(true);
+  });
+
+  test('reports unsupported JSONPath as a rule error and as a lint error', () => {
+    const rules = [
+      { id: 'descent', conditions: [{ ref: '$..amount', operator: '>', comparisonValue: 1 }] },
+      { id: 'filter', conditions: [{ ref: '$.orders[?(@.status ==)]', operator: 'exists' }] },
+      { id: 'nested', conditions: [{ ref: 'orders', quantifier: 'any', conditions: [{ ref: '$.items[*].amount', operator: '>', comparisonValue: 1 }] }] },
+    ];
+    const results = validateRules(documentJson, rules);
+    expect(results.map((result) => result.errors[0].code)).toEqual(['invalid_rule', 'invalid_rule', 'invalid_rule']);
+    expect(results[0].errors[0].cause).toMatch(/recursive descent/);
+    expect(lintRules(rules).map(({ code, path }) => [code, path])).toEqual([
+      ['invalid_path', '$[0].conditions[0].ref'],
+      ['invalid_path', '$[1].conditions[0].ref'],
+      ['invalid_path', '$[2].conditions'],
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+import { validateRules, compileRules, lintRules } from './businessRules.js';
+
+describe('validateRules - priorities and stopOnMatch', () => {
+  const documentJson = { total: 150, country: 'BR' };
+  const ids = (result) => result.filter(r => r.keyword === 'conditional').map(r => r.id);
+  const skipped = (result) => result.filter(r => r.keyword === 'skipped').map(r => [r.id, r.skippedBy]);
+  const matches = (id, type, extra = {}) => ({ id, type, conditions: [{ ref: 'total', operator: '>', comparisonValue: 100 }], ...extra });
+
+  test('evaluates and returns rules by priority, keeping the array order on ties', () => {
+    const rules = [
+      matches('low', 'WARNING', { priority: -1 }),
+      matches('first', 'WARNING'),
+      matches('high', 'ERROR', { priority: 10 }),
+      matches('second', 'WARNING', { priority: 0 }),
+    ];
+    expect(ids(validateRules(documentJson, rules))).toEqual(['high', 'first', 'second', 'low']);
+  });
+
+  test('stops after a rule with stopOnMatch matches and reports the skipped rules', () => {
+    const rules = [
+      matches('notMatching', 'PRICING', { priority: 3, stopOnMatch: true, conditions: [{ ref: 'total', operator: '<', comparisonValue: 100 }] }),
+      matches('bulkPrice', 'PRICING', { priority: 2, stopOnMatch: 'type' }),
+      matches('basePrice', 'PRICING', { priority: 1 }),
+      matches('audit', 'INFO'),
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(ids(result)).toEqual(['bulkPrice', 'audit']);
+    expect(skipped(result)).toEqual([['basePrice', 'bulkPrice']]);
+    expect(result.find(r => r.keyword === 'skipped').reason).toBe('Rule [bulkPrice] matched with stopOnMatch for type [PRICING].');
+  });
+
+  test('stops globally for any rule or for the given types, unless a rule opts out', () => {
+    const rules = [
+      matches('warning', 'WARNING', { priority: 2 }),
+      matches('optOut', 'ERROR', { priority: 1, stopOnMatch: false }),
+      matches('error', 'ERROR'),
+      matches('info', 'INFO'),
+    ];
+    expect(skipped(validateRules(documentJson, rules, null, { stopOnMatch: true }))).toEqual([['optOut', 'warning'], ['error', 'warning'], ['info', 'warning']]);
+    const result = validateRules(documentJson, rules, null, { stopOnMatch: ['ERROR'] });
+    expect(ids(result)).toEqual(['warning', 'optOut', 'error']);
+    expect(skipped(result)).toEqual([['info', 'error']]);
+    expect(skipped(validateRules(documentJson, rules, null, { stopOnMatch: 'ERROR', explain: true }))).toEqual([['info', 'error']]);
+  });
+
+  test('does not stop on rules that fail with errors', () => {
+    const rules = [
+      matches('broken', 'ERROR', { priority: 1, stopOnMatch: true, conditions: [{ ref: 'total', operator: 'nope', comparisonValue: 1 }] }),
+      matches('next', 'ERROR'),
+    ];
+    expect(ids(validateRules(documentJson, rules)).length).toBe(2);
+  });
+
+  test('rejects invalid priorities and stopOnMatch values', () => {
+    const rules = [matches('badPriority', 'ERROR', { priority: 'high' }), matches('badStop', 'ERROR', { stopOnMatch: 'all' })];
+    expect(validateRules(documentJson, rules).map(r => r.errors[0].cause)).toEqual([
+      'Invalid priority [high]. It must be a number.',
+      'Invalid stopOnMatch [all]. Use one of: true, false, \'type\'.',
+    ]);
+    expect(lintRules(rules).map(d => [d.path, d.code, d.message])).toEqual([
+      ['$[0].priority', 'invalid_priority', 'Invalid priority [high]. It must be a number.'],
+      ['$[1].stopOnMatch', 'invalid_stop_on_match', 'Invalid stopOnMatch [all]. Use one of: true, false, \'type\'.'],
+    ]);
+    expect(() => compileRules(rules, { stopOnMatch: 1 })).toThrow('Invalid stopOnMatch [1]');
+  });
+});
@@ -0,0 +1,93 @@
+import { validateRules, lintRules } from './businessRules.js';
+
+describe('validateRules - array quantifiers', () => {
+  const documentJson = {
+    items: [
+      { sku: 'A', quantity: 2 },
+      { sku: 'B', quantity: 0 },
+      { sku: 'C', quantity: 5 },
+    ],
+    clients: [
+      { name: 'Ana', addresses: [{ main: true }, { main: false }] },
+      { name: 'Bia', addresses: [{ main: true }, { main: true }] },
+      { name: 'Caio', addresses: [] },
+    ],
+  };
+  const positive = [{ ref: 'quantity', operator: '>', comparisonValue: 0 }];
+
+  test('reports the matched and failed indices', () => {
+    const rules = [{ id: 'notAllPositive', type: 'ERROR', conditions: [
+      { not: { ref: 'items', quantifier: 'all', conditions: positive } },
+    ] }];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].errors).toBeUndefined();
+    expect(result[0].conditions[0].conditionValues[0]).toEqual({
+      instancePath: 'items',
+      quantifier: 'all',
+      matchedIndices: [0, 2],
+      failedIndices: [1],
+      conditionPath: '0.not',
+    });
+  });
+
+  test('supports all, any, none, atLeast and exactly', () => {
+    const quantified = (id, quantifier, count) => ({ id, conditions: [{ ref: 'items', quantifier, count, conditions: positive }] });
+    const rules = [
+      quantified('all', 'all'),
+      quantified('any', 'any'),
+      quantified('none', 'none'),
+      quantified('atLeast2', 'atLeast', 2),
+      quantified('atLeast3', 'atLeast', 3),
+      quantified('exactly2', 'exactly', 2),
+      quantified('exactly1', 'exactly', 1),
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.map(r => r.id)).toEqual(['any', 'atLeast2', 'exactly2']);
+    expect(result[1].conditions[0].conditionValues[0].count).toBe(2);
+  });
+
+  test('is evaluated once per context of the outer loops', () => {
+    const rules = [{ id: 'mainAddress', conditions: [
+      { not: { ref: 'clients[].addresses', quantifier: 'exactly', count: 1, conditions: [{ ref: 'main', operator: '=', comparisonValue: true }] } },
+    ] }];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(1);
+    expect(result[0].conditions.map(c => c.conditionValues[0])).toEqual([
+      { instancePath: 'clients.1.addresses', quantifier: 'exactly', count: 1, matchedIndices: [0, 1], failedIndices: [], conditionPath: '0.not' },
+      { instancePath: 'clients.2.addresses', quantifier: 'exactly', count: 1, matchedIndices: [], failedIndices: [], conditionPath: '0.not' },
+    ]);
+  });
+
+  test('reads the context object and handles missing arrays as empty', () => {
+    const rules = [
+      { id: 'context', conditions: [{ ref: 'items', quantifier: 'any', conditions: [{ ref: 'sku', operator: '=', comparisonRef: '_context.sku' }] }] },
+      { id: 'missing', conditions: [{ ref: 'nothing', quantifier: 'none', conditions: positive }] },
+    ];
+    const result = validateRules(documentJson, rules, { sku: 'c' });
+    expect(result.map(r => r.id)).toEqual(['context', 'missing']);
+    expect(result[0].conditions[0].conditionValues[0].matchedIndices).toEqual([2]);
+  });
+
+  test('returns errors for unknown quantifiers and missing counts', () => {
+    const rules = [
+      { id: 'unknown', conditions: [{ ref: 'items', quantifier: 'most', conditions: positive }] },
+      { id: 'noCount', conditions: [{ ref: 'items', quantifier: 'atLeast', conditions: positive }] },
+    ];
+    const result = validateRules(documentJson, rules);
+    expect(result.length).toBe(2);
+    result.forEach(r => expect(r.errors).toBeDefined());
+  });
+
+  test('lints quantifiers and their inner conditions', () => {
+    const rules = [{ id: 'lint', conditions: [
+      { ref: 'items', operator: 'exists' },
+      { ref: 'items[]', quantifier: 'exactly', conditions: [{ ref: 'quantity', operator: 'bigger', comparisonValue: 0 }] },
+    ] }];
+    expect(lintRules(rules).map(d => [d.conditionIndex, d.path, d.code])).toEqual([
+      [1, '$[0].conditions[1].count', 'invalid_quantifier_count'],
+      [1, '$[0].conditions[1].ref', 'quantified_loop'],
+      [1, '$[0].conditions[1].conditions[0].operator', 'unknown_operator'],
+    ]);
+  });
+});
@@ -0,0 +1,273 @@
+/* eslint-disable max-len */
+import {getConditionGroupKey, isAggregateRef, isQuantifierCondition} from './conditions.js';
+import {escapePointerSegment} from './paths.js';
+
+/**
+ * Rule-set documents: besides an array of rules, the engine accepts a document with reusable condition
+ * fragments and rules that extend other rules:
+ *   {
+ *     fragments: { activeResident: [{ ref: 'client.active', operator: '=', comparisonValue: true }, ...] },
+ *     rules: [
+ *       { id: 'base', abstract: true, type: 'ERROR', conditions: [{ $ref: 'activeResident' }] },
+ *       { id: 'minor', extends: 'base', addConditions: [{ ref: 'client.age', operator: '<', comparisonValue: 18 }] },
+ *     ],
+ *     version: '2024.06.1',
+ *   }
+ *
+ * A '{ $ref: name }' (or '#/fragments/name') anywhere in a condition tree is replaced by the fragment; an array
+ * fragment referenced inside an array is spliced into it. A rule with 'extends' inherits every field of its base
+ * rule but 'id' and 'abstract': its own fields override them, and 'addConditions' is appended to the inherited
+ * conditions. Abstract rules are only bases and are not evaluated. The optional 'version' is echoed in every result.
+ */
+
+const FRAGMENT_PREFIX = '#/fragments/';
+
+/**
+ * Tells whether a value is a rule-set document rather than an array of rules.
+ * @param {any} value The rules given to the engine.
+ * @return {boolean} True for objects with a 'rules' array.
+ */
+export function isRuleSetDocument(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && Array.isArray(value.rules);
+}
+
+/**
+ * Resolves a rule-set document into plain rules. A rule that cannot be resolved (unknown fragment or base rule,
+ * cycles) is returned as it is, with an entry in errors, so the other rules are not affected.
+ * @param {object} ruleSet The document: { fragments, rules }.
+ * @return {{version: any, rules: Array<object>, sourceIndexes: Array<number>, conditionSources: Array<Map<string, string>>, errors: Array<object>}}
+ *   The version of the document (undefined when it has none); the plain rules, without the abstract ones; the index of each of them in ruleSet.rules;
+ *   for each of them, where its conditions come from: JSON Pointers relative to rule.conditions ('/2/any/0') mapped to pointers into the
+ *   document ('#/fragments/adult/any/0', '#/rules/0/conditions/1'); and the errors: { index, sourceIndex, ruleId, code, path, message },
+ *   where index is the position in rules and path is a JSONPath into the document.
+ * @throws {Error} When the document itself is invalid.
+ */
+export function resolveRuleSet(ruleSet) {
+  if (!isRuleSetDocument(ruleSet)) {
+    throw new Error('Rules must be an array or a rule-set document: { fragments, rules }.');
+  }
+  const fragments = ruleSet.fragments ?? {};
+  if (typeof fragments !== 'object' || Array.isArray(fragments)) {
+    throw new Error('The fragments of a rule set must be an object of condition trees, by name.');
+  }
+  if (ruleSet.version !== undefined && typeof ruleSet.version !== 'string' && typeof ruleSet.version !== 'number') {
+    throw createResolveError('invalid_rule_set', 'version', `Invalid version [${ruleSet.version}]. The version of a rule set must be a string or a number.`);
+  }
+  const rulesById = new Map();
+  ruleSet.rules.forEach((rule) => {
+    if (rule && typeof rule === 'object' && rule.id !== undefined && rule.id !== null && !rulesById.has(String(rule.id))) {
+      rulesById.set(String(rule.id), rule);
+    }
+  });
+
+  const origins = collectOrigins(ruleSet.rules, fragments);
+
+  const rules = [];
+  const sourceIndexes = [];
+  const conditionSources = [];
+  const errors = [];
+  ruleSet.rules.forEach((rule, sourceIndex) => {
+    if (rule?.abstract === true) return;
+    try {
+      const resolved = resolveRule(rule, rulesById, fragments, origins);
+      rules.push(resolved);
+      conditionSources.push(listConditionSources(resolved?.conditions, '', origins, new Map()));
+    } catch (error) {
+      errors.push({index: rules.length, sourceIndex, ruleId: rule?.id ?? null, code: error.code, path: `$.rules[${sourceIndex}].${error.field}`, message: error.message});
+      rules.push(rule);
+      conditionSources.push(new Map([['', `#/rules/${sourceIndex}/conditions`]]));
+    }
+    sourceIndexes.push(sourceIndex);
+  });
+  return {version: ruleSet.version, rules, sourceIndexes, conditionSources, errors};
+}
+
+/**
+ * Records where the condition trees of the document are: the conditions and addConditions of each rule and each
+ * fragment. Inherited conditions are the same objects as the base rule's, so they keep the base rule's location.
+ * @param {Array<any>} rules The rules of the document.
+ * @param {object} fragments The fragments, by name.
+ * @return {WeakMap<object, string>} The location of each tree, as a JSON Pointer into the document.
+ */
+function collectOrigins(rules, fragments) {
+  const origins = new WeakMap();
+  const record = (node, pointer) => {
+    if (node && typeof node === 'object' && !origins.has(node)) origins.set(node, pointer);
+  };
+  rules.forEach((rule, sourceIndex) => {
+    if (!rule || typeof rule !== 'object') return;
+    // Os itens também, porque addConditions os junta num array novo
+    ['conditions', 'addConditions'].forEach((field) => {
+      record(rule[field], `#/rules/${sourceIndex}/${field}`);
+      if (Array.isArray(rule[field])) rule[field].forEach((condition, index) => record(condition, `#/rules/${sourceIndex}/${field}/${index}`));
+    });
+  });
+  Object.entries(fragments).forEach(([name, fragment]) => record(fragment, `#/fragments/${escapePointerSegment(name)}`));
+  return origins;
+}
+
+/**
+ * Maps the nodes of a resolved condition tree to their location in the document.
+ * @param {any} node The resolved node.
+ * @param {string} pointer The JSON Pointer of the node, relative to rule.conditions.
+ * @param {WeakMap<object, string>} origins The location of each resolved node (see resolveFragments).
+ * @param {Map<string, string>} sources The map being built.
+ * @return {Map<string, string>} sources.
+ */
+function listConditionSources(node, pointer, origins, sources) {
+  if (!node || typeof node !== 'object') return sources;
+  if (origins.has(node)) sources.set(pointer, origins.get(node));
+  Object.entries(node).forEach(([key, child]) => listConditionSources(child, `${pointer}/${escapePointerSegment(key)}`, origins, sources));
+  return sources;
+}
+
+/**
+ * Resolves the inheritance and the fragments of a rule.
+ * @param {any} rule The rule.
+ * @param {Map<string, object>} rulesById The rules of the document, by id.
+ * @param {object} fragments The fragments, by name.
+ * @param {WeakMap<object, string>} origins The location of the trees of the document; the resolved nodes are added to it.
+ * @return {any} The plain rule (values that are not objects are left for the engine to report).
+ */
+function resolveRule(rule, rulesById, fragments, origins) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return rule;
+  const {abstract, ...plain} = inheritRule(rule, rulesById, [rule]);
+  if (plain.conditions !== undefined && plain.conditions !== null) {
+    plain.conditions = resolveFragments(plain.conditions, fragments, [], origins, null);
+  }
+  return plain;
+}
+
+/**
+ * Merges a rule with the chain of rules it extends.
+ * @param {object} rule The rule.
+ * @param {Map<string, object>} rulesById The rules of the document, by id.
+ * @param {Array<object>} chain The rules already visited, from the rule being resolved.
+ * @return {object} The merged rule, without 'extends' and 'addConditions'.
+ */
+function inheritRule(rule, rulesById, chain) {
+  const {extends: baseId, addConditions, ...own} = rule;
+  let merged = own;
+  if (baseId !== undefined) {
+    if (typeof baseId !== 'string' && typeof baseId !== 'number') {
+      throw createResolveError('invalid_extends', 'extends', `The extends of rule [${rule.id}] must be a rule id.`);
+    }
+    const base = rulesById.get(String(baseId));
+    if (!base) throw createResolveError('unknown_base_rule', 'extends', `Rule [${rule.id}] extends [${baseId}], which is not a rule of the set.`);
+    if (chain.includes(base)) {
+      throw createResolveError('extends_cycle', 'extends', `Rules extend each other in a cycle: ${[...chain, base].map((item) => item.id).join(' -> ')}.`);
+    }
+    const {id, abstract, ...inherited} = inheritRule(base, rulesById, [...chain, base]);
+    merged = {...inherited, ...own};
+  }
+  if (addConditions !== undefined) merged.conditions = [...toConditionList(merged.conditions), ...toConditionList(addConditions)];
+  return merged;
+}
+
+/**
+ * Returns a condition tree as a list of conditions joined by AND.
+ * @param {any} conditions The condition tree.
+ * @return {Array<any>} The list.
+ */
+function toConditionList(conditions) {
+  if (conditions === undefined || conditions === null) return [];
+  return Array.isArray(conditions) ? conditions : [conditions];
+}
+
+/**
+ * Replaces the '$ref' nodes of a condition tree by their fragments, including inside quantifiers and aggregate filters.
+ * Every resolved node is a new object, whose location in the document is added to origins.
+ * @param {any} node The condition tree.
+ * @param {object} fragments The fragments, by name.
+ * @param {Array<string>} chain The fragments being resolved, to detect cycles.
+ * @param {WeakMap<object, string>} origins The location of the trees of the document and of the nodes already resolved.
+ * @param {string|null} location The location of the node, from its parent (null when unknown, as for the array built by addConditions).
+ * @return {any} The resolved tree.
+ */
+function resolveFragments(node, fragments, chain, origins, location) {
+  if (!node || typeof node !== 'object') return node;
+  const here = origins.get(node) ?? location;
+  const resolved = resolveNode(node, fragments, chain, origins, (segment) => (here === null ? null : `${here}/${segment}`));
+  if (here !== null && resolved && typeof resolved === 'object' && !origins.has(resolved)) origins.set(resolved, here);
+  return resolved;
+}
+
+/**
+ * Resolves one node of a condition tree (see resolveFragments).
+ * @param {object} node The node.
+ * @param {object} fragments The fragments, by name.
+ * @param {Array<string>} chain The fragments being resolved.
+ * @param {WeakMap<object, string>} origins The locations.
+ * @param {function(string): (string|null)} childLocation The location of a child of the node, by key.
+ * @return {any} The resolved node.
+ */
+function resolveNode(node, fragments, chain, origins, childLocation) {
+  if (Array.isArray(node)) {
+    // Fragmento em array dentro de array: os itens entram no lugar da referência
+    return node.flatMap((child, index) => {
+      const resolved = resolveFragments(child, fragments, chain, origins, childLocation(index));
+      return isFragmentRef(child) && Array.isArray(resolved) ? resolved : [resolved];
+    });
+  }
+  if (isFragmentRef(node)) {
+    const name = getFragmentName(node);
+    if (chain.includes(name)) {
+      throw createResolveError('fragment_cycle', 'conditions', `Fragments reference each other in a cycle: ${[...chain, name].join(' -> ')}.`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(fragments, name)) {
+      throw createResolveError('unknown_fragment', 'conditions', `Unknown fragment [${node.$ref}].`);
+    }
+    return resolveFragments(fragments[name], fragments, [...chain, name], origins, null);
+  }
+  let groupKey = null;
+  try {
+    groupKey = getConditionGroupKey(node);
+  } catch (error) {
+    return node;
+  }
+  if (groupKey) return {[groupKey]: resolveFragments(node[groupKey], fragments, chain, origins, childLocation(groupKey))};
+
+  const leaf = {...node};
+  if (isQuantifierCondition(node) && node.conditions !== undefined) leaf.conditions = resolveFragments(node.conditions, fragments, chain, origins, childLocation('conditions'));
+  ['ref', 'comparisonRef'].forEach((field) => {
+    if (isAggregateRef(node[field]) && node[field].filter !== undefined) {
+      leaf[field] = {...node[field], filter: resolveFragments(node[field].filter, fragments, chain, origins, childLocation(`${field}/filter`))};
+    }
+  });
+  return leaf;
+}
+
+/**
+ * Tells whether a node is a fragment reference.
+ * @param {any} node The node.
+ * @return {boolean} True for objects with '$ref'.
+ */
+function isFragmentRef(node) {
+  return !!node && typeof node === 'object' && !Array.isArray(node) && Object.prototype.hasOwnProperty.call(node, '$ref');
+}
+
+/**
+ * Returns the fragment name of a reference: '{ $ref: "name" }' or '{ $ref: "#/fragments/name" }'.
+ * @param {object} node The reference.
+ * @return {string} The fragment name.
+ */
+function getFragmentName(node) {
+  if (typeof node.$ref !== 'string' || Object.keys(node).length > 1) {
+    throw createResolveError('invalid_fragment_ref', 'conditions', `Invalid fragment reference [${JSON.stringify(node)}]. Use { $ref: 'name' } with no other fields.`);
+  }
+  return node.$ref.startsWith(FRAGMENT_PREFIX) ? node.$ref.slice(FRAGMENT_PREFIX.length) : node.$ref;
+}
+
+/**
+ * Creates a resolution error.
+ * @param {string} code The error code.
+ * @param {string} field The rule field the error is about.
+ * @param {string} message The message.
+ * @return {Error} The error, with code and field.
+ */
+function createResolveError(code, field, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.field = field;
+  return error;
+}
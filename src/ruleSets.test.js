@@ -0,0 +1,113 @@
+import { validateRules, compileRules, lintRules, resolveRuleSet, toAjvErrors } from './businessRules.js';
+
+describe('rule sets - fragments and extends', () => {
+  const ruleSet = {
+    fragments: {
+      activeResident: [
+        { ref: 'client.active', operator: '=', comparisonValue: true },
+        { ref: 'client.country', operator: '=', comparisonValue: 'BR' },
+      ],
+      adultOrVip: { any: [{ ref: 'client.age', operator: '>=', comparisonValue: 18 }, { $ref: '#/fragments/vip' }] },
+      vip: { ref: 'client.vip', operator: '=', comparisonValue: true },
+    },
+    rules: [
+      { id: 'base', abstract: true, type: 'ERROR', description: 'Active resident', conditions: [{ $ref: 'activeResident' }] },
+      { id: 'minor', extends: 'base', description: 'Minor resident', addConditions: { not: { $ref: 'adultOrVip' } } },
+      { id: 'minorWarning', extends: 'minor', type: 'WARNING', endDate: '2000-01-01' },
+      { id: 'foreign', extends: 'base', conditions: [{ ref: 'client.country', operator: '<>', comparisonValue: 'BR' }] },
+    ],
+  };
+  const client = { client: { active: true, country: 'BR', age: 15 } };
+
+  test('resolves fragments, splicing array fragments and nesting the others', () => {
+    const { rules, sourceIndexes, errors } = resolveRuleSet(ruleSet);
+    expect(errors).toEqual([]);
+    expect(sourceIndexes).toEqual([1, 2, 3]);
+    expect(rules[0]).toEqual({
+      id: 'minor',
+      type: 'ERROR',
+      description: 'Minor resident',
+      conditions: [
+        { ref: 'client.active', operator: '=', comparisonValue: true },
+        { ref: 'client.country', operator: '=', comparisonValue: 'BR' },
+        { not: { any: [{ ref: 'client.age', operator: '>=', comparisonValue: 18 }, { ref: 'client.vip', operator: '=', comparisonValue: true }] } },
+      ],
+    });
+  });
+
+  test('inherits fields through the chain and lets the rule override them', () => {
+    const [, minorWarning, foreign] = resolveRuleSet(ruleSet).rules;
+    expect(minorWarning).toMatchObject({ id: 'minorWarning', type: 'WARNING', description: 'Minor resident', endDate: '2000-01-01' });
+    expect(minorWarning.conditions).toHaveLength(3);
+    expect(foreign.conditions).toEqual([{ ref: 'client.country', operator: '<>', comparisonValue: 'BR' }]);
+    expect(ruleSet.rules[1].addConditions).toEqual({ not: { $ref: 'adultOrVip' } });
+  });
+
+  test('validateRules and compileRules accept the rule-set document', () => {
+    expect(validateRules(client, ruleSet).map(({ id, type }) => [id, type])).toEqual([['minor', 'ERROR']]);
+    expect(compileRules(ruleSet).validate({ client: { ...client.client, vip: true } })).toEqual([]);
+  });
+
+  test('points the Ajv-style schemaPath into the document, at the rule or the fragment of the condition', () => {
+    const document = {
+      ...ruleSet,
+      rules: [
+        ...ruleSet.rules,
+        { id: 'youngOrVip', conditions: [{ ref: 'client.active', operator: '=', comparisonValue: true }, { any: [{ ref: 'client.age', operator: '<', comparisonValue: 16 }, { $ref: 'vip' }] }] },
+        { id: 'broken', extends: 'nope' },
+      ],
+    };
+    const schemaPaths = (documentJson) => validateRules(documentJson, document, null, { output: 'ajv' }).map(({ params, schemaPath }) => [params.ruleId, schemaPath]);
+    expect(schemaPaths(client)).toEqual([
+      ['minor', '#/fragments/activeResident/0'],
+      ['youngOrVip', '#/rules/4/conditions/0'],
+      ['broken', '#/rules/5'],
+    ]);
+    expect(toAjvErrors(validateRules(client, document), document).map(({ schemaPath }) => schemaPath)).toEqual(['#/fragments/activeResident/0', '#/rules/4/conditions/0', '#/rules/5']);
+    const vip = { client: { ...client.client, active: false, age: 30, vip: true } };
+    expect(validateRules(vip, { rules: [{ id: 'vip', conditions: [{ any: [{ ref: 'client.age', operator: '<', comparisonValue: 16 }, { $ref: 'vip' }] }] }], fragments: ruleSet.fragments }, null, { output: 'ajv' })
+      .map(({ schemaPath }) => schemaPath)).toEqual(['#/fragments/vip']);
+  });
+
+  test('reports cycles and unknown references as errors of the rules involved', () => {
+    const broken = {
+      fragments: { a: { $ref: 'b' }, b: [{ $ref: 'a' }] },
+      rules: [
+        { id: 'ok', conditions: [{ ref: 'x', operator: 'exists' }] },
+        { id: 'fragments', conditions: [{ $ref: 'a' }] },
+        { id: 'x1', extends: 'x2' },
+        { id: 'x2', extends: 'x1', conditions: [] },
+        { id: 'unknown', extends: 'nope' },
+        { id: 'missing', conditions: [{ $ref: 'nope' }] },
+      ],
+    };
+    expect(validateRules({ x: 1 }, broken).map(({ id, errors }) => [id, errors?.[0].code, errors?.[0].cause])).toEqual([
+      ['ok', undefined, undefined],
+      ['fragments', 'invalid_rule', 'Fragments reference each other in a cycle: a -> b -> a.'],
+      ['x1', 'invalid_rule', 'Rules extend each other in a cycle: x1 -> x2 -> x1.'],
+      ['x2', 'invalid_rule', 'Rules extend each other in a cycle: x2 -> x1 -> x2.'],
+      ['unknown', 'invalid_rule', 'Rule [unknown] extends [nope], which is not a rule of the set.'],
+      ['missing', 'invalid_rule', 'Unknown fragment [nope].'],
+    ]);
+    expect(lintRules(broken).map(({ code, path }) => [code, path])).toEqual([
+      ['fragment_cycle', '$.rules[1].conditions'],
+      ['extends_cycle', '$.rules[2].extends'],
+      ['extends_cycle', '$.rules[3].extends'],
+      ['unknown_base_rule', '$.rules[4].extends'],
+      ['unknown_fragment', '$.rules[5].conditions'],
+    ]);
+  });
+
+  test('lints the resolved rules with paths into the document', () => {
+    const document = {
+      fragments: { bad: { ref: 'x', operator: 'nope', comparisonValue: 1 } },
+      rules: [{ id: 'base', abstract: true, conditions: [] }, { id: 'r', extends: 'base', conditions: [{ $ref: 'bad' }] }],
+    };
+    expect(lintRules(document).map(({ ruleIndex, path, code }) => [ruleIndex, path, code])).toEqual([[1, '$.rules[1].conditions[0].operator', 'unknown_operator']]);
+    expect(lintRules({ fragments: [], rules: [] }).map(({ code }) => code)).toEqual(['invalid_rule_set']);
+  });
+
+  test('rejects values that are neither an array nor a rule-set document', () => {
+    expect(() => compileRules({ fragments: {} })).toThrow('Rules must be an array or a rule-set document');
+  });
+});
@@ -0,0 +1,91 @@
+/* eslint-disable max-len */
+/**
+ * Comparison semantics applied by testCondition before calling an operator, set for the whole call
+ * (options.semantics) and for each condition (condition.semantics, merged over the call's):
+ *   - caseSensitive: strings keep their case (default false: they are lowercased);
+ *   - normalize: Unicode normalization form of strings, 'NFC', 'NFD', 'NFKC' or 'NFKD' (true means 'NFC'; default false);
+ *   - foldAccents: accents and other combining marks are removed, so 'São' equals 'Sao' (default false);
+ *   - coerceNumbers: numeric strings are compared as numbers, so '10' > '9' and 10 = '10' (default false);
+ *   - strict: values of different types make the condition fail with an error instead of being false (default false).
+ * Only operators with the lowercaseStrings flag use them; the others (e.g. the date operators) receive the raw values.
+ * Strings inside arrays are left as they are.
+ */
+
+export const DEFAULT_SEMANTICS = {
+  caseSensitive: false,
+  normalize: false,
+  foldAccents: false,
+  coerceNumbers: false,
+  strict: false,
+};
+
+const NORMALIZATION_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+const NUMERIC_STRING = /^\s*[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?\s*$/;
+
+/**
+ * Checks a comparison semantics object.
+ * @param {any} semantics The semantics, as given in the options or in a condition.
+ * @throws {Error} When the semantics has unknown settings or invalid values.
+ */
+export function validateSemantics(semantics) {
+  if (!semantics || typeof semantics !== 'object' || Array.isArray(semantics)) {
+    throw new Error('Comparison semantics must be an object.');
+  }
+  Object.entries(semantics).forEach(([key, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_SEMANTICS, key)) {
+      throw new Error(`Unknown comparison semantics setting [${key}]. Use: ${Object.keys(DEFAULT_SEMANTICS).join(', ')}.`);
+    }
+    if (key === 'normalize' ? !(typeof value === 'boolean' || NORMALIZATION_FORMS.includes(value)) : typeof value !== 'boolean') {
+      throw new Error(`Invalid comparison semantics value [${value}] for [${key}].`);
+    }
+  });
+}
+
+/**
+ * Prepares the two values of a condition according to the comparison semantics.
+ * @param {any} leftValue The left-hand side value.
+ * @param {any} rightValue The right-hand side value.
+ * @param {object} semantics The comparison semantics, already merged with the defaults.
+ * @param {string} operator The operator name, used in error messages.
+ * @return {Array<any>} The prepared [leftValue, rightValue].
+ * @throws {Error} In strict mode, when the values have different types.
+ */
+export function applySemantics(leftValue, rightValue, semantics, operator) {
+  let values = [leftValue, rightValue];
+  if (semantics.coerceNumbers) {
+    values = values.map((value) => (typeof value === 'string' && NUMERIC_STRING.test(value) ? Number(value) : value));
+  }
+  if (semantics.strict) {
+    const [leftType, rightType] = values.map(describeType);
+    if (leftType && rightType && leftType !== rightType) {
+      throw new Error(`Type mismatch in operator [${operator}]: ${leftType} [${values[0]}] and ${rightType} [${values[1]}].`);
+    }
+  }
+  return values.map((value) => (typeof value === 'string' ? prepareString(value, semantics) : value));
+}
+
+/**
+ * Returns the type of a scalar value for the strict mode, or null for values that are not checked
+ * (undefined, null, arrays and objects, which operators such as 'in' and 'contains' mix with scalars).
+ * @param {any} value The value.
+ * @return {string|null} The type.
+ */
+function describeType(value) {
+  if (value === undefined || value === null || typeof value === 'object') return null;
+  return typeof value;
+}
+
+/**
+ * Applies normalization, accent folding and case folding to a string.
+ * @param {string} value The string.
+ * @param {object} semantics The comparison semantics.
+ * @return {string} The prepared string.
+ */
+function prepareString(value, semantics) {
+  let prepared = value;
+  if (semantics.normalize) prepared = prepared.normalize(semantics.normalize === true ? 'NFC' : semantics.normalize);
+  // Decompõe e remove as marcas combinantes (acentos, cedilha, til)
+  if (semantics.foldAccents) prepared = prepared.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+  if (!semantics.caseSensitive) prepared = prepared.toLowerCase();
+  return prepared;
+}
@@ -0,0 +1,71 @@
+import { validateRules, compileRules, lintRules } from './businessRules.js';
+
+describe('validateRules - comparison semantics', () => {
+  const documentJson = {
+    code: 'AbC',
+    city: 'São Paulo',
+    composed: 'Café',
+    quantity: '10',
+    limit: '9',
+    total: 10,
+  };
+  const ids = (rules, options) => validateRules(documentJson, rules, null, options).map(r => r.id);
+
+  test('keeps the default case-insensitive comparison of raw values', () => {
+    const rules = [
+      { id: 'lower', conditions: [{ ref: 'code', operator: '=', comparisonValue: 'abc' }] },
+      { id: 'text', conditions: [{ ref: 'quantity', operator: '<', comparisonRef: 'limit' }] },
+      { id: 'mixed', conditions: [{ ref: 'total', operator: '=', comparisonRef: 'quantity' }] },
+    ];
+    expect(ids(rules)).toEqual(['lower', 'text']);
+  });
+
+  test('compares case-sensitively for the whole call or for one condition', () => {
+    const rules = [
+      { id: 'lower', conditions: [{ ref: 'code', operator: '=', comparisonValue: 'abc' }] },
+      { id: 'exact', conditions: [{ ref: 'code', operator: '=', comparisonValue: 'AbC' }] },
+      { id: 'perCondition', conditions: [{ ref: 'code', operator: '=', comparisonValue: 'abc', semantics: { caseSensitive: false } }] },
+    ];
+    expect(ids(rules, { semantics: { caseSensitive: true } })).toEqual(['exact', 'perCondition']);
+    expect(ids([{ id: 'one', conditions: [{ ref: 'code', operator: 'contains', comparisonValue: 'B', semantics: { caseSensitive: true } }] }])).toEqual([]);
+  });
+
+  test('normalizes Unicode and folds accents', () => {
+    const rules = [
+      { id: 'raw', conditions: [{ ref: 'composed', operator: '=', comparisonValue: 'Café' }] },
+      { id: 'normalized', conditions: [{ ref: 'composed', operator: '=', comparisonValue: 'Café', semantics: { normalize: 'NFC' } }] },
+      { id: 'folded', conditions: [{ ref: 'city', operator: 'contains', comparisonValue: 'sao', semantics: { foldAccents: true } }] },
+    ];
+    expect(ids(rules)).toEqual(['normalized', 'folded']);
+  });
+
+  test('coerces numeric strings to numbers', () => {
+    const rules = [
+      { id: 'numeric', conditions: [{ ref: 'quantity', operator: '>', comparisonRef: 'limit' }] },
+      { id: 'mixed', conditions: [{ ref: 'total', operator: '=', comparisonRef: 'quantity' }] },
+      { id: 'in', conditions: [{ ref: 'quantity', operator: 'in', comparisonValue: [5, 10] }] },
+      { id: 'text', conditions: [{ ref: 'code', operator: '=', comparisonValue: 'abc' }] },
+    ];
+    expect(ids(rules, { semantics: { coerceNumbers: true } })).toEqual(['numeric', 'mixed', 'in', 'text']);
+  });
+
+  test('reports type mismatches as errors in strict mode', () => {
+    const rules = [
+      { id: 'mismatch', conditions: [{ ref: 'total', operator: '=', comparisonRef: 'quantity' }] },
+      { id: 'coerced', conditions: [{ ref: 'total', operator: '=', comparisonRef: 'quantity', semantics: { coerceNumbers: true } }] },
+      { id: 'array', conditions: [{ ref: 'total', operator: 'in', comparisonValue: [10] }] },
+      { id: 'missing', conditions: [{ ref: 'nothing', operator: '=', comparisonValue: 1 }] },
+    ];
+    const result = validateRules(documentJson, rules, null, { semantics: { strict: true } });
+    expect(result.map(r => r.id)).toEqual(['mismatch', 'coerced', 'array']);
+    expect(result[0].errors[0].cause).toBe('Type mismatch in operator [=]: number [10] and string [10].');
+    expect(result[1].errors).toBeUndefined();
+  });
+
+  test('rejects invalid semantics in the options and in conditions', () => {
+    expect(() => compileRules([], { semantics: { caseInsensitive: true } })).toThrow('Unknown comparison semantics setting [caseInsensitive]');
+    const rules = [{ id: 'bad', conditions: [{ ref: 'code', operator: '=', comparisonValue: 'a', semantics: { normalize: 'NFX' } }] }];
+    expect(validateRules(documentJson, rules)[0].errors[0].cause).toBe('Invalid comparison semantics value [NFX] for [normalize].');
+    expect(lintRules(rules).map(d => [d.path, d.code])).toEqual([['$[0].conditions[0].semantics', 'invalid_semantics']]);
+  });
+});
@@ -0,0 +1,149 @@
+/* eslint-disable max-len */
+import {getPathSyntax, toPathKeys} from './paths.js';
+import {EXTERNAL_PATH} from './output.js';
+
+/**
+ * Shadow evaluation: the results of a baseline and a candidate rule set for the same document are compared
+ * rule by rule, to see how a change to the rules changes the outcomes before it is published.
+ *
+ * A matched context is identified by the array elements its condition values point at, e.g. 'clients.1 | orders.0'
+ * ('$' for rules without arrays), so a context is the same in both rule sets even when its conditions change.
+ */
+
+/**
+ * Compares the results of two rule sets for the same document.
+ * @param {Array<object>} baselineResults The results of the baseline rule set, in the default output format.
+ * @param {Array<object>} candidateResults The results of the candidate rule set.
+ * @return {object} The diff, keyed by rule id:
+ *   { newlyFiring: { id: { type, contexts } }, noLongerFiring: { id: { type, contexts } },
+ *     changed: { id: { type?, addedContexts?, removedContexts?, changedMessages? } },
+ *     errors: { id: { baseline, candidate } }, identical }
+ */
+export function diffResults(baselineResults, candidateResults) {
+  const baseline = summarizeResults(baselineResults);
+  const candidate = summarizeResults(candidateResults);
+  const diff = {newlyFiring: {}, noLongerFiring: {}, changed: {}, errors: {}};
+
+  new Set([...baseline.keys(), ...candidate.keys()]).forEach((id) => {
+    const before = baseline.get(id);
+    const after = candidate.get(id);
+    if (after?.fired && !before?.fired) {
+      diff.newlyFiring[id] = {type: after.type, contexts: [...after.contexts.keys()]};
+    } else if (before?.fired && !after?.fired) {
+      diff.noLongerFiring[id] = {type: before.type, contexts: [...before.contexts.keys()]};
+    } else if (before?.fired && after?.fired) {
+      const change = {};
+      if (before.type !== after.type) change.type = {baseline: before.type, candidate: after.type};
+      const added = [...after.contexts.keys()].filter((context) => !before.contexts.has(context));
+      const removed = [...before.contexts.keys()].filter((context) => !after.contexts.has(context));
+      const changedMessages = [...after.contexts].filter(([context, message]) => before.contexts.has(context) && before.contexts.get(context) !== message)
+          .map(([context, message]) => ({context, baseline: before.contexts.get(context), candidate: message}));
+      if (added.length > 0) change.addedContexts = added;
+      if (removed.length > 0) change.removedContexts = removed;
+      if (changedMessages.length > 0) change.changedMessages = changedMessages;
+      if (Object.keys(change).length > 0) diff.changed[id] = change;
+    }
+    const errorsBefore = before?.errors ?? [];
+    const errorsAfter = after?.errors ?? [];
+    if (errorsBefore.join() !== errorsAfter.join()) diff.errors[id] = {baseline: errorsBefore, candidate: errorsAfter};
+  });
+
+  diff.identical = ['newlyFiring', 'noLongerFiring', 'changed', 'errors'].every((field) => Object.keys(diff[field]).length === 0);
+  return diff;
+}
+
+/**
+ * Groups results by rule id.
+ * @param {Array<object>} results The results.
+ * @return {Map<string, object>} By rule id: { type, fired, contexts: Map<context, message>, errors: Array<string> }.
+ */
+function summarizeResults(results) {
+  const rules = new Map();
+  results.forEach((result) => {
+    if (result.keyword === 'explain' || result.keyword === 'warning') return;
+    const id = String(result.id);
+    if (!rules.has(id)) rules.set(id, {type: result.type, fired: false, contexts: new Map(), errors: []});
+    const rule = rules.get(id);
+    if (result.errors) {
+      rule.errors.push(...result.errors.map(({code}) => code));
+    } else if (result.keyword === 'conditional') {
+      rule.fired = true;
+      (Array.isArray(result.conditions) ? result.conditions : [result.conditions]).forEach((match) => {
+        rule.contexts.set(getContextKey(match), match?.message ?? result.message);
+      });
+    }
+  });
+  return rules;
+}
+
+/**
+ * Identifies a matched context by the array elements it binds.
+ * @param {object} match The matched context: { conditionValues }.
+ * @return {string} The sorted element paths joined by ' | ', or '$' when the context binds no array element.
+ */
+function getContextKey(match) {
+  const elements = new Set();
+  (match?.conditionValues ?? []).forEach(({instancePath}) => {
+    if (typeof instancePath !== 'string' || (!getPathSyntax(instancePath) && EXTERNAL_PATH.test(instancePath))) return;
+    let keys;
+    try {
+      keys = toPathKeys(instancePath);
+    } catch (error) {
+      return;
+    }
+    const last = keys.findLastIndex((key) => /^\d+$/.test(key));
+    if (last >= 0) elements.add(keys.slice(0, last + 1).join('.'));
+  });
+  return elements.size > 0 ? [...elements].sort().join(' | ') : '$';
+}
+
+/**
+ * Creates the summary of a corpus comparison.
+ * @param {any} baselineVersion The version of the baseline rule set.
+ * @param {any} candidateVersion The version of the candidate rule set.
+ * @return {object} { baselineVersion, candidateVersion, documents, invalidDocuments, changedDocuments, rules, completed }
+ */
+export function createDiffSummary(baselineVersion, candidateVersion) {
+  return {baselineVersion, candidateVersion, documents: 0, invalidDocuments: 0, changedDocuments: 0, rules: {}, completed: false};
+}
+
+/**
+ * Adds the diff of one document to the summary of a corpus comparison.
+ * @param {object} summary The summary.
+ * @param {object} diff The diff of the document.
+ * @param {any} document The index or key of the document, kept as an example of the rules it changed.
+ * @param {number} maxExamples The maximum number of examples kept per rule.
+ */
+export function addDiffToSummary(summary, diff, document, maxExamples) {
+  summary.documents++;
+  if (diff.identical) return;
+  summary.changedDocuments++;
+  const ruleSummary = (id) => {
+    summary.rules[id] ??= {newlyFiring: 0, noLongerFiring: 0, changed: 0, errorsChanged: 0, addedContexts: 0, removedContexts: 0, changedMessages: 0, examples: []};
+    return summary.rules[id];
+  };
+  const changedRules = new Set();
+  Object.keys(diff.newlyFiring).forEach((id) => {
+    ruleSummary(id).newlyFiring++;
+    changedRules.add(id);
+  });
+  Object.keys(diff.noLongerFiring).forEach((id) => {
+    ruleSummary(id).noLongerFiring++;
+    changedRules.add(id);
+  });
+  Object.entries(diff.changed).forEach(([id, change]) => {
+    const rule = ruleSummary(id);
+    rule.changed++;
+    rule.addedContexts += change.addedContexts?.length ?? 0;
+    rule.removedContexts += change.removedContexts?.length ?? 0;
+    rule.changedMessages += change.changedMessages?.length ?? 0;
+    changedRules.add(id);
+  });
+  Object.keys(diff.errors).forEach((id) => {
+    ruleSummary(id).errorsChanged++;
+    changedRules.add(id);
+  });
+  changedRules.forEach((id) => {
+    if (summary.rules[id].examples.length < maxExamples) summary.rules[id].examples.push(document);
+  });
+}
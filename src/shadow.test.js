@@ -0,0 +1,114 @@
+import { validateRules, compileRules, lintRules, toAjvErrors, compareRuleSets, compareRuleSetsMany, compileComparison } from './businessRules.js';
+
+describe('rule set versions', () => {
+  const rules = [
+    { id: 'minor', type: 'ERROR', conditions: [{ ref: 'clients[].age', operator: '<', comparisonValue: 18 }] },
+    { id: 'broken', type: 'ERROR', conditions: [{ ref: 'x', operator: 'nope', comparisonValue: 1 }] },
+  ];
+  const document = { clients: [{ age: 12 }] };
+
+  test('echoes the version of the rule-set document in every result', () => {
+    const results = validateRules(document, { version: '2024.06.1', rules });
+    expect(results.map(({ id, version }) => [id, version])).toEqual([['minor', '2024.06.1'], ['broken', '2024.06.1']]);
+    expect(validateRules(document, rules).every((result) => !('version' in result))).toBe(true);
+  });
+
+  test('takes the version of an array of rules from the options', () => {
+    const compiled = compileRules(rules, { version: 7 });
+    expect(compiled.version).toBe(7);
+    expect(toAjvErrors(compiled.validate(document), rules)[0].params).toMatchObject({ ruleId: 'minor', version: 7 });
+    expect(() => compileRules(rules, { version: {} })).toThrow('Invalid version');
+  });
+
+  test('lints an invalid version', () => {
+    expect(lintRules({ version: [1], rules: [] }).map(({ code, path }) => [code, path])).toEqual([['invalid_rule_set', '$.version']]);
+  });
+});
+
+describe('shadow evaluation - compareRuleSets', () => {
+  const baseline = {
+    version: 'v1',
+    rules: [
+      { id: 'minor', type: 'ERROR', description: 'Client {{clients[].name}} is a minor', conditions: [{ ref: 'clients[].age', operator: '<', comparisonValue: 18 }] },
+      { id: 'noEmail', type: 'WARNING', description: 'No email', conditions: [{ ref: 'email', operator: 'does_not_exists' }] },
+      { id: 'total', type: 'WARNING', conditions: [{ ref: 'total', operator: '>', comparisonValue: 100 }] },
+    ],
+  };
+  const candidate = {
+    version: 'v2',
+    rules: [
+      { id: 'minor', type: 'ERROR', description: 'Client {{clients[].name}} is under age', conditions: [{ ref: 'clients[].age', operator: '<', comparisonValue: 21 }] },
+      { id: 'total', type: 'ERROR', conditions: [{ ref: 'total', operator: '>', comparisonValue: 100 }] },
+      { id: 'vip', type: 'INFO', conditions: [{ ref: 'clients[].vip', operator: '=', comparisonValue: true }] },
+    ],
+  };
+  const document = { total: 150, clients: [{ name: 'Ana', age: 30, vip: true }, { name: 'Bia', age: 19 }, { name: 'Caio', age: 12 }] };
+
+  test('reports rules newly firing, no longer firing and changed contexts, messages and types', () => {
+    expect(compareRuleSets(document, baseline, candidate)).toEqual({
+      baselineVersion: 'v1',
+      candidateVersion: 'v2',
+      newlyFiring: { vip: { type: 'INFO', contexts: ['clients.0'] } },
+      noLongerFiring: { noEmail: { type: 'WARNING', contexts: ['$'] } },
+      changed: {
+        minor: {
+          addedContexts: ['clients.1'],
+          changedMessages: [{ context: 'clients.2', baseline: 'Client Caio is a minor', candidate: 'Client Caio is under age' }],
+        },
+        total: { type: { baseline: 'WARNING', candidate: 'ERROR' } },
+      },
+      errors: {},
+      identical: false,
+    });
+  });
+
+  test('reports rules whose errors changed, and identical outcomes', () => {
+    const broken = [{ id: 'noEmail', type: 'WARNING', conditions: [{ ref: 'email', operator: 'nope', comparisonValue: 1 }] }];
+    const diff = compareRuleSets({}, baseline.rules.slice(1, 2), broken, null, { baselineVersion: 1, candidateVersion: 2 });
+    expect(diff).toMatchObject({
+      baselineVersion: 1,
+      candidateVersion: 2,
+      noLongerFiring: { noEmail: { type: 'WARNING', contexts: ['$'] } },
+      errors: { noEmail: { baseline: [], candidate: ['evaluation_error'] } },
+    });
+    expect(compareRuleSets(document, baseline, { ...baseline, version: 'v1.1' })).toMatchObject({ candidateVersion: 'v1.1', identical: true });
+  });
+
+  test('compares over a corpus and aggregates the diffs by rule', async () => {
+    const documents = [
+      document,
+      '{"id": 2, "total": 10, "email": "a@b.c", "clients": []}',
+      'not json',
+      { id: 4, total: 500, email: 'x@y.z', clients: [{ name: 'Duda', age: 20 }] },
+    ];
+    const comparison = compareRuleSetsMany(documents, baseline, candidate, null, { documentKey: 'id', maxExamples: 1 });
+    const entries = [];
+    for await (const entry of comparison) entries.push(entry);
+    expect(entries.map(({ index, key, diff, errors }) => [index, key, diff?.identical, errors?.[0].code])).toEqual([
+      [0, undefined, false, undefined],
+      [1, 2, true, undefined],
+      [2, undefined, undefined, 'invalid_document'],
+      [3, 4, false, undefined],
+    ]);
+    expect(comparison.summary).toEqual({
+      baselineVersion: 'v1',
+      candidateVersion: 'v2',
+      documents: 4,
+      invalidDocuments: 1,
+      changedDocuments: 2,
+      rules: {
+        vip: { newlyFiring: 1, noLongerFiring: 0, changed: 0, errorsChanged: 0, addedContexts: 0, removedContexts: 0, changedMessages: 0, examples: [0] },
+        noEmail: { newlyFiring: 0, noLongerFiring: 1, changed: 0, errorsChanged: 0, addedContexts: 0, removedContexts: 0, changedMessages: 0, examples: [0] },
+        minor: { newlyFiring: 1, noLongerFiring: 0, changed: 1, errorsChanged: 0, addedContexts: 1, removedContexts: 0, changedMessages: 1, examples: [0] },
+        total: { newlyFiring: 0, noLongerFiring: 0, changed: 2, errorsChanged: 0, addedContexts: 0, removedContexts: 0, changedMessages: 0, examples: [0] },
+      },
+      completed: true,
+    });
+  });
+
+  test('compileComparison loads facts with compareAsync', async () => {
+    const overLimit = (operator) => [{ id: 'overLimit', type: 'ERROR', conditions: [{ ref: 'total', operator, comparisonRef: '_fact.limit' }] }];
+    const comparison = compileComparison(overLimit('>'), overLimit('>='), { facts: { limit: async () => 100 } });
+    expect(await comparison.compareAsync({ total: 100 })).toMatchObject({ baselineVersion: null, newlyFiring: { overLimit: { type: 'ERROR', contexts: ['$'] } } });
+  });
+});
@@ -0,0 +1,126 @@
+/* eslint-disable max-len */
+import {parseDate, formatDate} from './dates.js';
+import {LOOP_MARKER, bindLoopMarkers} from './conditions.js';
+
+/**
+ * Message templates: a rule description with placeholders, rendered for every matched context:
+ *   description: 'Client {{clients[].name | upper}} has age {{value}}, below minimum {{comparisonValue}}'
+ *
+ * A placeholder is a path (with the arrays of the conditions, bound to the matched context), a '_context.' path,
+ * or one of the values of the matched conditions: 'value' and 'comparisonValue' for the first one, 'value.1' and
+ * 'comparisonValue.1' for the second, and so on. Formatters are chained with '|' and take arguments after ':',
+ * quoted when they contain ':' (e.g. {{createdAt | date:'DD/MM/YYYY HH:mm'}}). Missing values render as ''.
+ */
+
+const PLACEHOLDER = /\{\{(.*?)\}\}/g;
+const CONDITION_VALUE = /^(value|comparisonValue)(?:\.(\d+))?$/;
+
+/**
+ * The formatters, called with (value, args, options), where options holds dateFormats and timezone.
+ */
+const FORMATTERS = {
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  // number:2 fixa as casas decimais; number:2:pt-BR também usa o formato do locale
+  number: (value, [decimals, locale]) => {
+    const number = Number(value);
+    if (value === null || value === '' || Number.isNaN(number)) return String(value);
+    if (locale) {
+      const digits = decimals === undefined ? {} : {minimumFractionDigits: Number(decimals), maximumFractionDigits: Number(decimals)};
+      return new Intl.NumberFormat(locale, digits).format(number);
+    }
+    return decimals === undefined ? String(number) : number.toFixed(Number(decimals));
+  },
+  date: (value, [pattern], options) => {
+    try {
+      return formatDate(parseDate(value, options), pattern, options.timezone);
+    } catch (error) {
+      return String(value);
+    }
+  },
+  default: (value, [fallback = '']) => (value === undefined || value === null || value === '' ? fallback : value),
+};
+
+export const MESSAGE_FORMATTERS = Object.keys(FORMATTERS);
+
+/**
+ * Parses a message template.
+ * @param {string} text The rule description.
+ * @param {function(string): string} bindPath Binds the arrays of a placeholder path to the rule's loops.
+ * @return {Array<string|object>|null} The literal parts and the placeholders ({ source, conditionValue, path, formatters }),
+ *   or null when the text has no placeholders.
+ */
+export function compileMessageTemplate(text, bindPath) {
+  if (typeof text !== 'string' || !text.includes('{{')) return null;
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(PLACEHOLDER)) {
+    parts.push(text.slice(last, match.index));
+    parts.push(parsePlaceholder(match[1], bindPath));
+    last = match.index + match[0].length;
+  }
+  parts.push(text.slice(last));
+  return parts;
+}
+
+/**
+ * Binds the arrays of a placeholder path to the rule's loops, the bindPath of compileMessageTemplate.
+ * @param {string} path The placeholder path, e.g. 'clients[].name'.
+ * @param {Array<object>} loops The loops of the rule.
+ * @return {string} The path with '[@n]' markers.
+ * @throws {Error} When the path uses an array that the conditions do not iterate.
+ */
+export function bindPlaceholderLoops(path, loops) {
+  const bound = bindLoopMarkers(path, loops);
+  if (LOOP_MARKER.test(bound)) throw new Error(`Message placeholder [${path}] uses an array that is not iterated by the conditions.`);
+  return bound;
+}
+
+/**
+ * Parses the content of a placeholder: a path followed by formatters.
+ * @param {string} source The text between '{{' and '}}'.
+ * @param {function(string): string} bindPath Binds the arrays of the path to the rule's loops.
+ * @return {object} { source, conditionValue: { field, index }|undefined, path, formatters: [{ name, args }] }
+ */
+function parsePlaceholder(source, bindPath) {
+  const [target, ...specs] = source.split(/\|(?=(?:[^']*'[^']*')*[^']*$)/).map((part) => part.trim());
+  if (!target) throw new Error(`Empty placeholder in message template [{{${source}}}].`);
+  const formatters = specs.map((spec) => {
+    const [name, ...args] = [...spec.matchAll(/'([^']*)'|([^:]+)/g)].map(([, quoted, plain]) => quoted ?? plain.trim());
+    if (!Object.prototype.hasOwnProperty.call(FORMATTERS, name)) {
+      throw new Error(`Unknown message formatter [${name}]. Use one of: ${MESSAGE_FORMATTERS.join(', ')}.`);
+    }
+    return {name, args};
+  });
+  const conditionMatch = CONDITION_VALUE.exec(target);
+  if (conditionMatch) {
+    return {source, conditionValue: {field: conditionMatch[1], index: Number(conditionMatch[2] ?? 0)}, formatters};
+  }
+  return {source, path: bindPath(target), formatters};
+}
+
+/**
+ * Renders a message template for a matched context.
+ * @param {Array<string|object>} template The parsed template.
+ * @param {function(string): any} readPath Reads a bound placeholder path for the context.
+ * @param {Array<object>} conditionValues The condition values of the matched context.
+ * @param {object} options { dateFormats, timezone, now }, used by the date formatter.
+ * @return {string} The message.
+ */
+export function renderMessageTemplate(template, readPath, conditionValues, options) {
+  return template.map((part) => {
+    if (typeof part === 'string') return part;
+    let value;
+    if (part.conditionValue) {
+      const conditionValue = conditionValues?.[part.conditionValue.index];
+      value = part.conditionValue.field === 'value' ? conditionValue?.instancePathValue : conditionValue?.comparisonValue;
+    } else {
+      value = readPath(part.path);
+    }
+    part.formatters.forEach(({name, args}) => {
+      if ((value !== undefined && value !== null) || name === 'default') value = FORMATTERS[name](value, args, options);
+    });
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }).join('');
+}
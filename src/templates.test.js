@@ -0,0 +1,55 @@
+import { validateRules, lintRules } from './businessRules.js';
+
+describe('validateRules - message templates', () => {
+  const documentJson = {
+    minAge: 18,
+    clients: [
+      { name: 'Maria', age: 15, limit: 1234.5, since: '2024-03-05T14:30:00Z' },
+      { name: 'João', age: 30, limit: 10 },
+      { name: 'Ana', age: 12 },
+    ],
+  };
+  const minor = { ref: 'clients[].age', operator: '<', comparisonRef: 'minAge' };
+
+  test('renders the description once per matched context, next to the raw data', () => {
+    const rules = [{ id: 'minor', description: 'Client {{clients[].name}} has age {{value}}, below minimum {{comparisonValue}}', conditions: [minor] }];
+    const [result] = validateRules(documentJson, rules);
+    expect(result.message).toBe(rules[0].description);
+    expect(result.conditions.map(c => c.message)).toEqual([
+      'Client Maria has age 15, below minimum 18',
+      'Client Ana has age 12, below minimum 18',
+    ]);
+    expect(result.conditions[0].conditionValues[0].instancePathValue).toBe(15);
+  });
+
+  test('reads the context object, named variables and later condition values', () => {
+    const rules = [{ id: 'pair', description: '{{clients[a].name}} and {{clients[b].name}} ({{value.1}}) - {{_context.meta.source}}', conditions: [
+      { ref: 'clients[a].age', operator: '<', comparisonValue: 18 },
+      { ref: 'clients[b].age', operator: '>', comparisonValue: 18 },
+    ] }];
+    const [result] = validateRules(documentJson, rules, { meta: { source: 'import' } });
+    expect(result.conditions.map(c => c.message)).toEqual(['Maria and João (30) - import', 'Ana and João (30) - import']);
+  });
+
+  test('applies formatters', () => {
+    const rules = [{ id: 'formatted', conditions: [{ ref: 'clients[].name', operator: '=', comparisonValue: 'maria' }],
+      description: '{{clients[].name | upper}} {{clients[].limit | number:2}} {{clients[].limit | number:2:pt-BR}} {{clients[].since | date:\'DD/MM/YYYY HH:mm\'}} {{clients[].missing | default:none}} [{{clients[].other}}]' }];
+    const [result] = validateRules(documentJson, rules, null, { timezone: '-03:00' });
+    expect(result.conditions[0].message).toBe('MARIA 1234.50 1.234,50 05/03/2024 11:30 none []');
+  });
+
+  test('reports invalid templates as rule errors', () => {
+    const rules = [
+      { id: 'formatter', description: '{{clients[].name | reverse}}', conditions: [minor] },
+      { id: 'array', description: '{{orders[].id}}', conditions: [minor] },
+    ];
+    expect(validateRules(documentJson, rules).map(r => r.errors[0].cause)).toEqual([
+      'Unknown message formatter [reverse]. Use one of: upper, lower, number, date, default.',
+      'Message placeholder [orders[].id] uses an array that is not iterated by the conditions.',
+    ]);
+    expect(lintRules(rules).map(d => [d.path, d.code, d.message])).toEqual([
+      ['$[0].description', 'invalid_message_template', 'Unknown message formatter [reverse]. Use one of: upper, lower, number, date, default.'],
+      ['$[1].description', 'invalid_message_template', 'Message placeholder [orders[].id] uses an array that is not iterated by the conditions.'],
+    ]);
+  });
+});